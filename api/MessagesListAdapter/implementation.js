@@ -4,7 +4,14 @@
  * This experimental API provides access to message list DOM events
  * for alt-click filtering functionality. It listens to click events
  * on the message list table and emits custom events when user alt-clicks
- * on columns.
+ * (or uses the click chosen with setClickModifier) on columns.
+ *
+ * It also applies search constraints that the Quick Filter API cannot
+ * express (e.g. date ranges or message headers) directly on the about:3pane
+ * view, and drives native Quick Filter bar buttons the API does not expose.
+ * Quick Filter states can be searched in other folders and listed in a new
+ * tab, or saved as search (virtual) folders, and message filter rules added
+ * to an account.
  *
  * @file api/MessagesListAdapter/implementation.js
  * @version 14.0.0
@@ -15,11 +22,13 @@
 
 "use strict";
 
-/* globals ExtensionCommon, Services */
+/* globals ExtensionCommon, ExtensionUtils, ChromeUtils, Services, Cc, Ci, Cr */
 
 // Using a closure to not leak anything but API to the outside world.
 (function (exports) {
 
+  const { ExtensionError } = ExtensionUtils;
+
   /**
    * Set of threadPanes that have active event listeners.
    * Used for cleanup on shutdown.
@@ -36,6 +45,218 @@
    */
   const messageListListener = new ExtensionCommon.EventEmitter();
 
+  /**
+   * Search constraints applied on top of the Quick Filter, per view search.
+   * Keyed by the view wrapper's SearchSpec, which Thunderbird replaces when
+   * the displayed folder changes, so constraints never leak to other folders.
+   *
+   * The Quick Filter bar replaces the user terms of the search on every
+   * change, so the search's userTerms property is taken over: the terms set
+   * by the bar are kept as ownerTerms, and the view searches them together
+   * with the terms of the constraints.
+   *
+   * @type {WeakMap<Object, ConstrainedSearch>}
+   */
+  const searchConstraints = new WeakMap();
+
+  /**
+   * Searches whose userTerms property was taken over, to restore them on
+   * shutdown. Weak references, so closed views can be collected.
+   *
+   * @type {Set<WeakRef>}
+   */
+  const constrainedSearches = new Set();
+
+  /**
+   * Quick Filter bar values of the attachment button, by API state.
+   * A false value is the inverted ("no attachment") state of the button.
+   *
+   * @type {Map<string, boolean|null>}
+   */
+  const ATTACHMENT_FILTER_VALUES = new Map([
+    ["attached", true],
+    ["missing", false],
+    ["any", null],
+  ]);
+
+  /**
+   * Native Quick Filter names of the tri-state buttons, by state property.
+   * true = filter on, false = inverted, null = off.
+   *
+   * @type {Object<string, string>}
+   */
+  const QUICK_FILTER_BUTTONS = {
+    unread: "unread",
+    flagged: "starred",
+    attachment: "attachment",
+    contact: "addrBook",
+  };
+
+  /**
+   * Native tag filter modes, by API mode.
+   *
+   * @type {Object<string, string>}
+   */
+  const TAG_FILTER_MODES = {
+    any: "OR",
+    all: "AND",
+  };
+
+  /**
+   * Search attributes (Ci.nsMsgSearchAttrib names) of the fields of
+   * additional text conditions.
+   *
+   * @type {Object<string, string>}
+   */
+  const TEXT_CONDITION_ATTRIBUTES = {
+    author: "Sender",
+    recipients: "ToOrCC",
+    cc: "CC",
+    subject: "Subject",
+    body: "Body",
+  };
+
+  /**
+   * Message flags (Ci.nsMsgMessageFlags names) of the tri-state buttons,
+   * by state property, for search terms outside the Quick Filter bar.
+   *
+   * @type {Object<string, string>}
+   */
+  const STATUS_FLAGS = {
+    unread: "Read",
+    flagged: "Marked",
+    attachment: "Attachment",
+  };
+
+  /**
+   * Preference listing the headers searches can match besides the
+   * standard ones, separated by colons.
+   *
+   * @constant {string}
+   */
+  const CUSTOM_HEADERS_PREF = "mailnews.customHeaders";
+
+  /**
+   * Native tab of each initialized about:3pane window.
+   * Used to report the tab of Quick Filter changes.
+   *
+   * @type {WeakMap<Object, Object>}
+   */
+  const windowTabs = new WeakMap();
+
+  /**
+   * Quick Filter bar elements with an active change listener, mapped to
+   * the listener. Used for cleanup on shutdown.
+   *
+   * @type {Map<Element, Function>}
+   */
+  const quickFilterBarListeners = new Map();
+
+  /**
+   * Delay before reporting user edits of the Quick Filter bar (ms).
+   * Coalesces keystrokes in the text box into one change event.
+   *
+   * @constant {number}
+   */
+  const QUICK_FILTER_CHANGE_DELAY = 300;
+
+  /**
+   * Clicks that fire onMessageListClick, by modifier name.
+   * Modifier keys must match exactly, so "alt" does not fire on Ctrl+Alt.
+   *
+   * @type {Object<string, {button: number, altKey?: boolean, ctrlKey?: boolean, shiftKey?: boolean}>}
+   */
+  const CLICK_MODIFIERS = {
+    "alt": { button: 0, altKey: true, ctrlKey: false, shiftKey: false },
+    "ctrl-alt": { button: 0, altKey: true, ctrlKey: true, shiftKey: false },
+    "shift-alt": { button: 0, altKey: true, ctrlKey: false, shiftKey: true },
+    "middle": { button: 1 },
+  };
+
+  /**
+   * Click currently firing onMessageListClick, or null when turned off.
+   *
+   * @type {Object|null}
+   */
+  let clickModifier = CLICK_MODIFIERS.alt;
+
+  /**
+   * DOM events listened to on the message list table.
+   * Middle clicks are only reported as "auxclick".
+   *
+   * @constant {Array<string>}
+   */
+  const MESSAGE_LIST_CLICK_EVENTS = ["click", "auxclick"];
+
+  /**
+   * Columns whose cells toggle a message flag when clicked.
+   * Filter clicks on them must not reach the thread pane.
+   *
+   * @constant {Array<string>}
+   */
+  const TOGGLE_COLUMNS = ["unreadbuttoncolheader-column", "flaggedcol-column"];
+
+  // ============================================================================
+  // SEARCH RESULTS VIEW
+  // ============================================================================
+
+  /**
+   * Synthetic view of a fixed list of messages, shown by a mail3PaneTab
+   * like Thunderbird's GlodaSyntheticView.
+   *
+   * @class
+   */
+  class MessageListView {
+    /**
+     * @param {Array<nsIMsgDBHdr>} msgHdrs - Messages to list
+     */
+    constructor(msgHdrs) {
+      this.msgHdrs = msgHdrs;
+      this.defaultSort = [[Ci.nsMsgViewSortType.byDate, Ci.nsMsgViewSortOrder.descending]];
+      this.persistedSettings = {};
+    }
+
+    /**
+     * Reports the messages to the view as search hits.
+     *
+     * @param {nsIMsgSearchNotify} searchListener - Listener of the view
+     * @param {Function} [completionCallback] - Called when done
+     */
+    search(searchListener, completionCallback) {
+      searchListener.onNewSearch();
+      for (let msgHdr of this.msgHdrs) {
+        searchListener.onSearchHit(msgHdr, msgHdr.folder);
+      }
+      searchListener.onSearchDone(Cr.NS_OK);
+      if (completionCallback) {
+        completionCallback();
+      }
+    }
+
+    /**
+     * Nothing to abort: all messages are reported at once.
+     */
+    abortSearch() {}
+
+    /**
+     * View settings (sort, columns) of the tab, kept in memory only.
+     *
+     * @param {string} name - Setting name
+     * @returns {*} Setting value
+     */
+    getPersistedSetting(name) {
+      return this.persistedSettings[name];
+    }
+
+    /**
+     * @param {string} name - Setting name
+     * @param {*} value - Setting value
+     */
+    setPersistedSetting(name, value) {
+      this.persistedSettings[name] = value;
+    }
+  }
+
   // ============================================================================
   // MAIN API CLASS
   // ============================================================================
@@ -82,7 +303,9 @@
         for (const threadPane of listenerThreadPanes.values()) {
           try {
             if (threadPane && threadPane.treeTable) {
-              threadPane.treeTable.removeEventListener("click", onMessageListClick, true);
+              for (const type of MESSAGE_LIST_CLICK_EVENTS) {
+                threadPane.treeTable.removeEventListener(type, onMessageListClick, true);
+              }
             }
           } catch (error) {
             console.error("[QuickFilterBy] Error removing listener from threadPane:", error);
@@ -92,6 +315,33 @@
         // Clear all listeners
         listenerThreadPanes.clear();
 
+        // Removing Quick Filter bar listeners
+        for (const [bar, listener] of quickFilterBarListeners) {
+          try {
+            for (const type of ["click", "input"]) {
+              bar.removeEventListener(type, listener);
+            }
+          } catch (error) {
+            console.error("[QuickFilterBy] Error removing listener from Quick Filter bar:", error);
+          }
+        }
+        quickFilterBarListeners.clear();
+
+        // Giving back the userTerms of searches, without the constraints
+        for (const ref of constrainedSearches) {
+          try {
+            let search = ref.deref();
+            let constrained = search && searchConstraints.get(search);
+            if (constrained) {
+              delete search.userTerms;
+              search.userTerms = constrained.ownerTerms;
+            }
+          } catch (error) {
+            console.error("[QuickFilterBy] Error restoring search terms:", error);
+          }
+        }
+        constrainedSearches.clear();
+
         // Flush all caches
         try {
           Services.obs.notifyObservers(null, "startupcache-invalidate");
@@ -140,10 +390,22 @@
                  * @param {Event} event - DOM click event
                  * @param {string} columnName - Name of column clicked
                  * @param {string} columnText - Text content of column
+                 * @param {Object} about3PaneWindow - Window of the message list
+                 * @param {nsIMsgDBHdr|null} msgHdr - Message of the clicked row
                  */
-                function callback(event, columnName, columnText) {
+                function callback(event, columnName, columnText, about3PaneWindow, msgHdr) {
                   try {
-                    return fire.async(columnName, columnText);
+                    let row = {};
+                    let nativeTab = windowTabs.get(about3PaneWindow);
+                    let tab = nativeTab && context.extension.tabManager.getWrapper(nativeTab);
+                    if (tab) {
+                      row.tabId = tab.id;
+                    }
+                    if (msgHdr) {
+                      row.message = context.extension.messageManager.convert(msgHdr);
+                      row.hasAttachment = !!(msgHdr.flags & Ci.nsMsgMessageFlags.Attachment);
+                    }
+                    return fire.async(columnName, columnText, row);
                   } catch (error) {
                     console.error("[QuickFilterBy] Error in event callback:", error);
                   }
@@ -163,6 +425,54 @@
               },
             }).api(),
 
+            /**
+             * Event fired when the Quick Filter state of a mail tab changes,
+             * either through this API or by the user editing the filter bar.
+             *
+             * @type {ExtensionCommon.EventManager}
+             */
+            onQuickFilterChanged: new ExtensionCommon.EventManager({
+              context,
+              name: "MessagesListAdapter.onQuickFilterChanged",
+
+              /**
+               * Register callback for Quick Filter change events.
+               *
+               * @param {Function} fire - Event emitter function
+               * @returns {Function} Unregister function
+               */
+              register(fire) {
+                /**
+                 * Callback that fires event to WebExtension.
+                 *
+                 * @param {Event} event - Emitter event name
+                 * @param {Object} about3PaneWindow - Window whose filter changed
+                 */
+                function callback(event, about3PaneWindow) {
+                  try {
+                    let nativeTab = windowTabs.get(about3PaneWindow);
+                    let tab = nativeTab && context.extension.tabManager.getWrapper(nativeTab);
+                    if (!tab) {
+                      return;
+                    }
+                    return fire.async(tab.id, readQuickFilterState(about3PaneWindow));
+                  } catch (error) {
+                    console.error("[QuickFilterBy] Error in Quick Filter change callback:", error);
+                  }
+                }
+
+                messageListListener.on("quickfilter-changed", callback);
+
+                return function () {
+                  try {
+                    messageListListener.off("quickfilter-changed", callback);
+                  } catch (error) {
+                    console.error("[QuickFilterBy] Error unregistering callback:", error);
+                  }
+                };
+              },
+            }).api(),
+
             /**
              * Initialize a tab for message list click detection.
              * Sets up event listener on the tab's message list table.
@@ -205,14 +515,271 @@
                   return;
                 }
 
-                // Add click event listener to message list table
-                threadPane.treeTable.addEventListener("click", onMessageListClick, true);
+                // Add click event listeners to message list table
+                for (const type of MESSAGE_LIST_CLICK_EVENTS) {
+                  threadPane.treeTable.addEventListener(type, onMessageListClick, true);
+                }
                 listenerThreadPanes.add(threadPane);
 
+                // Report user edits of the Quick Filter bar
+                windowTabs.set(about3PaneWindow, nativeTab);
+                observeQuickFilterBar(about3PaneWindow);
+
                 console.log("[QuickFilterBy] Initialized tab:", tabId);
               } catch (error) {
                 console.error("[QuickFilterBy] Error in initTab for tabId", tabId, ":", error);
               }
+            },
+
+            /**
+             * Restrict the message list of a tab to a date range.
+             * The Quick Filter API has no date field, so the range is applied
+             * as additional search terms on the about:3pane view.
+             *
+             * @param {number} tabId - The ID of the mail tab
+             * @param {Object|null} range - {start, end} in milliseconds, or null to clear
+             * @returns {Promise<void>}
+             */
+            setDateFilter: async function (tabId, range) {
+              let about3PaneWindow = getAbout3PaneWindowForTab(context, tabId);
+
+              setDateConstraint(about3PaneWindow, range);
+              applySearchConstraints(about3PaneWindow);
+              notifyQuickFilterChanged(about3PaneWindow);
+            },
+
+            /**
+             * Toggle the attachment button of the native Quick Filter bar.
+             * Other Quick Filter criteria are left untouched.
+             *
+             * @param {number} tabId - The ID of the mail tab
+             * @param {string} state - "attached", "missing" or "any"
+             * @returns {Promise<void>}
+             */
+            setAttachmentFilter: async function (tabId, state) {
+              if (!ATTACHMENT_FILTER_VALUES.has(state)) {
+                throw new ExtensionError(`Invalid attachment state: ${state}`);
+              }
+
+              let about3PaneWindow = getAbout3PaneWindowForTab(context, tabId);
+              setQuickFilterValue(about3PaneWindow, "attachment", ATTACHMENT_FILTER_VALUES.get(state));
+              notifyQuickFilterChanged(about3PaneWindow);
+            },
+
+            /**
+             * Read the complete Quick Filter state of a mail tab, including
+             * the constraints added by this API.
+             *
+             * @param {number} tabId - The ID of the mail tab
+             * @returns {Promise<Object>} QuickFilterState
+             */
+            getQuickFilterState: async function (tabId) {
+              let about3PaneWindow = getAbout3PaneWindowForTab(context, tabId);
+              return readQuickFilterState(about3PaneWindow);
+            },
+
+            /**
+             * Replace the complete Quick Filter state of a mail tab.
+             * Criteria missing from the state are cleared, except for the
+             * visibility of the bar, which is only changed if "show" is set.
+             *
+             * @param {number} tabId - The ID of the mail tab
+             * @param {Object} state - QuickFilterState, as returned by getQuickFilterState
+             * @returns {Promise<void>}
+             */
+            setQuickFilterState: async function (tabId, state) {
+              let about3PaneWindow = getAbout3PaneWindowForTab(context, tabId);
+              writeQuickFilterState(about3PaneWindow, state);
+              notifyQuickFilterChanged(about3PaneWindow);
+            },
+
+            /**
+             * Find the messages of the folders shown in a mail tab whose
+             * Message-ID or references contain any of the given IDs.
+             * Used to walk the conversation of a message.
+             *
+             * @param {number} tabId - The ID of the mail tab
+             * @param {Array<string>} messageIds - Message-IDs without angle brackets
+             * @returns {Promise<Array<Object>>} ThreadMessage objects
+             */
+            findRelatedMessages: async function (tabId, messageIds) {
+              let about3PaneWindow = getAbout3PaneWindowForTab(context, tabId);
+              let wanted = new Set(messageIds);
+              let related = [];
+
+              for (let folder of getViewFolders(about3PaneWindow)) {
+                for (let msgHdr of folder.msgDatabase.enumerateMessages()) {
+                  // In-Reply-To is stored as the references of messages
+                  // without a References header
+                  let references = [];
+                  for (let i = 0; i < msgHdr.numReferences; i++) {
+                    references.push(msgHdr.getStringReference(i));
+                  }
+                  if (wanted.has(msgHdr.messageId) || references.some(id => wanted.has(id))) {
+                    related.push({ messageId: msgHdr.messageId, references });
+                  }
+                }
+              }
+
+              return related;
+            },
+
+            /**
+             * Open a mail tab listing the given messages, which may be in
+             * any folder or account, like the "Open as List" results of a
+             * global search.
+             *
+             * @param {Array<number>} messageIds - IDs of messages.MessageHeader objects
+             * @param {string} title - Title of the tab
+             * @returns {Promise<number>} ID of the new tab
+             */
+            openSearchResults: async function (messageIds, title) {
+              let msgHdrs = messageIds
+                .map(id => context.extension.messageManager.get(id))
+                .filter(Boolean);
+
+              let window = Services.wm.getMostRecentWindow("mail:3pane");
+              let tabmail = window && window.document.getElementById("tabmail");
+              if (!tabmail) {
+                throw new ExtensionError("No mail window is open");
+              }
+
+              let nativeTab = tabmail.openTab("mail3PaneTab", {
+                folderPaneVisible: false,
+                syntheticView: new MessageListView(msgHdrs),
+                title,
+              });
+              return context.extension.tabManager.getWrapper(nativeTab).id;
+            },
+
+            /**
+             * Find the messages matching a Quick Filter state in the
+             * folders shown in a mail tab, all folders of its account, or
+             * all accounts, with the same criteria as the Quick Filter.
+             *
+             * @param {number} tabId - The ID of the mail tab
+             * @param {Object} properties - ScopeSearchProperties ({scope, maxResults})
+             * @param {Object} state - QuickFilterState
+             * @returns {Promise<Object>} ScopeSearchResults ({messageIds, truncated})
+             */
+            searchMessages: async function (tabId, properties, state) {
+              let about3PaneWindow = getAbout3PaneWindowForTab(context, tabId);
+              let folders = getScopeFolders(about3PaneWindow, properties.scope);
+              if (folders.length === 0) {
+                throw new ExtensionError("There are no folders to search");
+              }
+
+              let { msgHdrs, truncated } = await searchFolders(folders, state, properties.maxResults);
+              return {
+                messageIds: msgHdrs.map(msgHdr => context.extension.messageManager.convert(msgHdr).id),
+                truncated,
+              };
+            },
+
+            /**
+             * Create a search (virtual) folder listing the messages that
+             * match a Quick Filter state. The folder is created next to the
+             * top-level folders of the account shown in the mail tab.
+             *
+             * @param {number} tabId - The ID of the mail tab
+             * @param {Object} properties - SearchFolderProperties ({name, scope, searchOnline})
+             * @param {Object} state - QuickFilterState
+             * @returns {Promise<void>}
+             */
+            createSearchFolder: async function (tabId, properties, state) {
+              let about3PaneWindow = getAbout3PaneWindowForTab(context, tabId);
+              let name = properties.name.trim();
+              let sourceFolders = getScopeFolders(about3PaneWindow, properties.scope);
+              let parentFolder = about3PaneWindow.gViewWrapper.displayedFolder?.rootFolder ||
+                sourceFolders[0]?.rootFolder;
+
+              if (!name) {
+                throw new ExtensionError("The search folder needs a name");
+              }
+              if (!parentFolder || sourceFolders.length === 0) {
+                throw new ExtensionError("There are no folders to search");
+              }
+              if (parentFolder.containsChildNamed(name)) {
+                throw new ExtensionError(`A folder named "${name}" already exists`);
+              }
+
+              let session = Cc["@mozilla.org/messenger/searchSession;1"].createInstance(Ci.nsIMsgSearchSession);
+              let terms = createStateTerms(session, state);
+              if (terms.length === 0) {
+                throw new ExtensionError("The filter has no criteria");
+              }
+              for (let condition of [...(state.conditions || []), ...(state.anyOf || [])]) {
+                if (condition.header) {
+                  registerCustomHeader(condition.header);
+                }
+              }
+
+              let { VirtualFolderHelper } = ChromeUtils.importESModule(
+                "resource:///modules/VirtualFolderWrapper.sys.mjs"
+              );
+              VirtualFolderHelper.createNewVirtualFolder(
+                name, parentFolder, sourceFolders, terms, !!properties.searchOnline
+              );
+            },
+
+            /**
+             * Add a rule at the top of the Message Filters of the account
+             * of a message. The rule runs on new mail and manually.
+             *
+             * @param {number} messageId - ID of a messages.MessageHeader
+             * @param {Object} rule - FilterRule ({name, conditions, actions})
+             * @returns {Promise<string>} Name of the account
+             */
+            createMessageFilter: async function (messageId, rule) {
+              let msgHdr = context.extension.messageManager.get(messageId);
+              if (!msgHdr) {
+                throw new ExtensionError(`Message not found: ${messageId}`);
+              }
+              if (!rule.name.trim() || rule.conditions.length === 0 || rule.actions.length === 0) {
+                throw new ExtensionError("The rule needs a name, conditions and actions");
+              }
+
+              let server = getFilterServer(msgHdr);
+              let filterList = server.getFilterList(null);
+              let filter = filterList.createFilter(rule.name.trim());
+              filter.enabled = true;
+              filter.filterType = (server.type == "nntp" ? Ci.nsMsgFilterType.NewsRule : Ci.nsMsgFilterType.InboxRule) |
+                Ci.nsMsgFilterType.Manual;
+
+              // Filter terms are created like search terms
+              for (let term of createConditionsTerms(filter, rule.conditions)) {
+                filter.appendTerm(term);
+              }
+              for (let ruleAction of rule.actions) {
+                filter.appendAction(createFilterAction(context, filter, ruleAction));
+              }
+              for (let condition of rule.conditions) {
+                if (condition.header) {
+                  registerCustomHeader(condition.header);
+                }
+              }
+
+              filterList.insertFilterAt(0, filter);
+              filterList.saveToDefaultFile();
+              return server.prettyName;
+            },
+
+            /**
+             * Choose the click that fires onMessageListClick.
+             * Applies to all initialized tabs.
+             *
+             * @param {string} modifier - "alt", "ctrl-alt", "shift-alt", "middle", or "none" to turn it off
+             * @returns {Promise<void>}
+             */
+            setClickModifier: async function (modifier) {
+              if (modifier === "none") {
+                clickModifier = null;
+                return;
+              }
+              if (!Object.prototype.hasOwnProperty.call(CLICK_MODIFIERS, modifier)) {
+                throw new ExtensionError(`Invalid click modifier: ${modifier}`);
+              }
+              clickModifier = CLICK_MODIFIERS[modifier];
             }
           },
         };
@@ -253,36 +820,732 @@
   }
 
   /**
-   * Event handler for message list click events.
-   * Detects alt-click on columns and emits event to WebExtension.
+   * Gets the about:3pane window of a tab, throwing an ExtensionError
+   * that is reported to the WebExtension if the tab has no message list.
    *
-   * @param {Event} event - DOM click event
+   * @param {Object} context - Extension context
+   * @param {number} tabId - The ID of the tab
+   * @returns {Object} The about:3pane window object
+   * @throws {ExtensionError} If the tab is not a mail tab with a loaded view
    */
-  function onMessageListClick(event) {
-    try {
-      // Only process left-click with Alt key modifier
-      if (event.button != 0 || !event.altKey) {
-        return;
-      }
+  function getAbout3PaneWindowForTab(context, tabId) {
+    let { nativeTab } = context.extension.tabManager.get(tabId);
+    let about3PaneWindow = getAbout3PaneWindow(nativeTab);
+    if (!about3PaneWindow || !about3PaneWindow.gViewWrapper) {
+      throw new ExtensionError(`Tab ${tabId} does not display a message list`);
+    }
+    windowTabs.set(about3PaneWindow, nativeTab);
+    return about3PaneWindow;
+  }
 
-      // Validate event target
-      let target = event.composedTarget;
-      if (!target) {
-        console.warn("[QuickFilterBy] Click event has no target");
-        return;
-      }
+  /**
+   * Gets the folders whose messages a view shows: the displayed folder, or
+   * the searched folders of a virtual or unified folder.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   * @returns {Array<nsIMsgFolder>} Folders
+   */
+  function getViewFolders(about3PaneWindow) {
+    let viewWrapper = about3PaneWindow.gViewWrapper;
+    if (viewWrapper.isVirtual || viewWrapper.isMultiFolder) {
+      return viewWrapper._underlyingFolders || [];
+    }
+    return viewWrapper.displayedFolder ? [viewWrapper.displayedFolder] : [];
+  }
 
-      // Find the closest table cell (td element)
-      let box = target.closest("td");
-      if (!box) {
-        console.warn("[QuickFilterBy] Could not find table cell for click");
-        return;
+  // ============================================================================
+  // QUICK FILTER BAR
+  // ============================================================================
+
+  /**
+   * Sets one filter of the native Quick Filter bar and re-runs the search,
+   * as if the user had toggled the corresponding button.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   * @param {string} filterName - Quick Filter name (e.g. "attachment")
+   * @param {*} value - Filter value, null to clear
+   * @throws {ExtensionError} If the Quick Filter bar is not available
+   */
+  function setQuickFilterValue(about3PaneWindow, filterName, value) {
+    let quickFilterBar = about3PaneWindow.quickFilterBar;
+    if (!quickFilterBar || !quickFilterBar.filterer) {
+      throw new ExtensionError("The Quick Filter bar is not available");
+    }
+
+    changeQuickFilterBar(about3PaneWindow, () => {
+      // Show the bar so the user can see (and reset) the active filter
+      if (!quickFilterBar.filterer.visible) {
+        quickFilterBar._showFilterBar(true);
       }
 
-      // Find column name by looking for class ending with "-column"
-      let columnName = null;
-      try {
-        columnName = [...box.classList.values()].find(e => e.endsWith("-column"));
+      quickFilterBar.filterer.setFilterValue(filterName, value);
+      updateQuickFilterSearch(about3PaneWindow);
+    });
+  }
+
+  /**
+   * Runs a change of the Quick Filter bar made by the extension. Searches
+   * the bar runs meanwhile keep the search constraints, even without terms
+   * of the bar, which otherwise means that the user cleared the bar.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   * @param {Function} change - Changes the bar
+   */
+  function changeQuickFilterBar(about3PaneWindow, change) {
+    let constrained = getConstrainedSearch(about3PaneWindow.gViewWrapper.search);
+    constrained.changing = true;
+    try {
+      change();
+    } finally {
+      constrained.changing = false;
+    }
+  }
+
+  /**
+   * Re-runs the search of the Quick Filter bar. The bar sets its terms as
+   * the user terms of the view search, which adds the terms of the search
+   * constraints, so the view is searched once with both.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   */
+  function updateQuickFilterSearch(about3PaneWindow) {
+    let constrained = getConstrainedSearch(about3PaneWindow.gViewWrapper.search);
+    let updates = constrained.updates;
+
+    about3PaneWindow.quickFilterBar.updateSearch();
+
+    // The bar skips the search when it has no view to filter
+    if (constrained.updates === updates) {
+      applySearchConstraints(about3PaneWindow);
+    }
+  }
+
+  /**
+   * Reads the Quick Filter state of a window.
+   * The shape matches browser.mailTabs.setQuickFilter's QuickFilterProperties,
+   * extended with inverted (false) button states and API constraints.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   * @returns {Object} QuickFilterState
+   */
+  function readQuickFilterState(about3PaneWindow) {
+    let filterer = about3PaneWindow.quickFilterBar?.filterer;
+    let values = filterer ? filterer.filterValues : {};
+
+    let state = {
+      show: !!filterer?.visible,
+      text: null,
+      conditions: getSearchConstraint(about3PaneWindow, "conditions") || [],
+      anyOf: getSearchConstraint(about3PaneWindow, "anyOf") || [],
+      tags: null,
+      date: getSearchConstraint(about3PaneWindow, "date"),
+      messageIds: getSearchConstraint(about3PaneWindow, "messageIds"),
+    };
+
+    for (let [property, filterName] of Object.entries(QUICK_FILTER_BUTTONS)) {
+      let value = values[filterName];
+      state[property] = typeof value === "boolean" ? value : null;
+    }
+
+    let text = values.text;
+    if (text && text.text) {
+      state.text = {
+        text: text.text,
+        author: !!text.states?.sender,
+        recipients: !!text.states?.recipients,
+        subject: !!text.states?.subject,
+        body: !!text.states?.body,
+      };
+    }
+
+    let tags = values.tags;
+    if (tags && typeof tags === "object") {
+      state.tags = {
+        mode: tags.mode === TAG_FILTER_MODES.all ? "all" : "any",
+        tags: { ...tags.tags },
+      };
+    } else if (tags === true) {
+      // "Any tag" - the button is on but no specific tag was picked
+      state.tags = { mode: "any", tags: {} };
+    }
+
+    return state;
+  }
+
+  /**
+   * Writes a complete Quick Filter state to a window and re-runs the search
+   * once, with the terms of the bar and of the constraints.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   * @param {Object} state - QuickFilterState
+   * @throws {ExtensionError} If the Quick Filter bar is not available
+   */
+  function writeQuickFilterState(about3PaneWindow, state) {
+    let quickFilterBar = about3PaneWindow.quickFilterBar;
+    if (!quickFilterBar || !quickFilterBar.filterer) {
+      throw new ExtensionError("The Quick Filter bar is not available");
+    }
+    let filterer = quickFilterBar.filterer;
+
+    // Invalid constraints are rejected before the bar is changed
+    setConditionsConstraint(about3PaneWindow, state.conditions || []);
+    setAnyOfConstraint(about3PaneWindow, state.anyOf || []);
+    setDateConstraint(about3PaneWindow, state.date || null);
+    setMessageIdsConstraint(about3PaneWindow, state.messageIds || null);
+
+    changeQuickFilterBar(about3PaneWindow, () => {
+      if (typeof state.show === "boolean" && state.show !== filterer.visible) {
+        quickFilterBar._showFilterBar(state.show);
+      }
+
+      for (let [property, filterName] of Object.entries(QUICK_FILTER_BUTTONS)) {
+        let value = state[property];
+        filterer.setFilterValue(filterName, typeof value === "boolean" ? value : null);
+      }
+
+      let text = state.text;
+      filterer.setFilterValue("text", text && text.text ? {
+        text: text.text,
+        states: {
+          sender: !!text.author,
+          recipients: !!text.recipients,
+          subject: !!text.subject,
+          body: !!text.body,
+        },
+      } : null);
+
+      let tags = state.tags;
+      filterer.setFilterValue("tags", tags ? {
+        mode: TAG_FILTER_MODES[tags.mode] || TAG_FILTER_MODES.any,
+        tags: { ...tags.tags },
+      } : null);
+
+      updateQuickFilterSearch(about3PaneWindow);
+    });
+  }
+
+  /**
+   * Listens for user edits of the Quick Filter bar of a window and reports
+   * them (debounced) as Quick Filter changes.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   */
+  function observeQuickFilterBar(about3PaneWindow) {
+    let bar = about3PaneWindow.document.getElementById("quick-filter-bar");
+    if (!bar || quickFilterBarListeners.has(bar)) {
+      return;
+    }
+
+    let timer = null;
+    let listener = () => {
+      about3PaneWindow.clearTimeout(timer);
+      timer = about3PaneWindow.setTimeout(
+        () => notifyQuickFilterChanged(about3PaneWindow),
+        QUICK_FILTER_CHANGE_DELAY
+      );
+    };
+
+    for (const type of ["click", "input"]) {
+      bar.addEventListener(type, listener);
+    }
+    quickFilterBarListeners.set(bar, listener);
+  }
+
+  /**
+   * Emits a Quick Filter change for a window.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   */
+  function notifyQuickFilterChanged(about3PaneWindow) {
+    try {
+      messageListListener.emit("quickfilter-changed", about3PaneWindow);
+    } catch (error) {
+      console.error("[QuickFilterBy] Error emitting Quick Filter change:", error);
+    }
+  }
+
+  // ============================================================================
+  // SEARCH CONSTRAINTS
+  // ============================================================================
+
+  /**
+   * Creates a date search term.
+   *
+   * @param {nsIMsgSearchSession} session - Search session of the view
+   * @param {number} op - nsMsgSearchOp value (IsBefore, IsAfter)
+   * @param {number} timestamp - Milliseconds since epoch
+   * @returns {nsIMsgSearchTerm} Search term
+   */
+  function createDateTerm(session, op, timestamp) {
+    let term = session.createTerm();
+    let value = term.value;
+    value.attrib = Ci.nsMsgSearchAttrib.Date;
+    // Search values use PRTime (microseconds)
+    value.date = timestamp * 1000;
+    term.attrib = Ci.nsMsgSearchAttrib.Date;
+    term.op = op;
+    term.value = value;
+    term.booleanAnd = true;
+    return term;
+  }
+
+  /**
+   * Creates a "contains" (or "doesn't contain") search term for one
+   * message field.
+   *
+   * @param {nsIMsgSearchSession} session - Search session of the view
+   * @param {number} attrib - Ci.nsMsgSearchAttrib value (Sender, Subject, ...)
+   * @param {string} text - Text to search for
+   * @param {boolean} [exclude=false] - Match fields not containing the text
+   * @returns {nsIMsgSearchTerm} Search term
+   */
+  function createTextTerm(session, attrib, text, exclude = false) {
+    let term = session.createTerm();
+    let value = term.value;
+    value.attrib = attrib;
+    value.str = text;
+    term.attrib = attrib;
+    term.op = exclude ? Ci.nsMsgSearchOp.DoesntContain : Ci.nsMsgSearchOp.Contains;
+    term.value = value;
+    term.booleanAnd = true;
+    return term;
+  }
+
+  /**
+   * Creates a "contains" (or "doesn't contain") search term for a message
+   * header that has no search attribute of its own (e.g. "List-Id").
+   * Headers are read from the stored message, so IMAP messages only match
+   * when they are available offline.
+   *
+   * @param {nsIMsgSearchSession} session - Search session of the view
+   * @param {string} header - Header name
+   * @param {string} text - Text to search for
+   * @param {boolean} [exclude=false] - Match headers not containing the text
+   * @returns {nsIMsgSearchTerm} Search term
+   */
+  function createHeaderTerm(session, header, text, exclude = false) {
+    // Arbitrary headers are matched by name; any attribute after
+    // OtherHeader selects them
+    let term = createTextTerm(session, Ci.nsMsgSearchAttrib.OtherHeader + 1, text, exclude);
+    term.arbitraryHeader = header;
+    return term;
+  }
+
+  /**
+   * Sets (or clears) the additional text conditions of a view.
+   * Each condition must match; within a condition, any of its fields may
+   * match, like the Quick Filter bar text. Excluded texts must be missing
+   * from all of the fields.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   * @param {Array<Object>} conditions - TextCriterion objects
+   * @throws {ExtensionError} If a condition has no text or no field
+   */
+  function setConditionsConstraint(about3PaneWindow, conditions) {
+    let session = about3PaneWindow.gViewWrapper.search.session;
+    let terms = createConditionsTerms(session, conditions);
+
+    let descriptor = conditions.map(condition => ({ ...condition }));
+    setSearchConstraint(about3PaneWindow, "conditions", descriptor, terms);
+  }
+
+  /**
+   * Creates the search terms of text conditions that must all match.
+   *
+   * @param {nsIMsgSearchSession|nsIMsgFilter} session - Search session, or
+   *   message filter, creating the terms
+   * @param {Array<Object>} conditions - TextCriterion objects
+   * @returns {Array<nsIMsgSearchTerm>} Search terms
+   * @throws {ExtensionError} If a condition has no text or no field
+   */
+  function createConditionsTerms(session, conditions) {
+    let terms = [];
+    for (let condition of conditions) {
+      let conditionTerms = createConditionTerms(session, condition);
+      terms.push(...(condition.exclude ? conditionTerms : groupTerms(conditionTerms)));
+    }
+    return terms;
+  }
+
+  /**
+   * Sets (or clears) the alternative text criteria of a view.
+   * At least one of them must match, in any of its fields.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   * @param {Array<Object>} alternatives - TextCriterion objects
+   * @throws {ExtensionError} If a criterion has no text or no field
+   */
+  function setAnyOfConstraint(about3PaneWindow, alternatives) {
+    let session = about3PaneWindow.gViewWrapper.search.session;
+    let terms = [];
+
+    for (let alternative of alternatives) {
+      terms.push(...createConditionTerms(session, alternative));
+    }
+
+    let descriptor = alternatives.map(alternative => ({ ...alternative }));
+    setSearchConstraint(about3PaneWindow, "anyOf", descriptor, groupTerms(terms));
+  }
+
+  /**
+   * Creates one search term per field of a text condition, or a single term
+   * for a header condition.
+   *
+   * @param {nsIMsgSearchSession} session - Search session of the view
+   * @param {Object} condition - TextCriterion
+   * @returns {Array<nsIMsgSearchTerm>} Search terms
+   * @throws {ExtensionError} If the condition has no text or no field
+   */
+  function createConditionTerms(session, condition) {
+    if (condition.header) {
+      if (!condition.text) {
+        throw new ExtensionError(`Invalid condition: ${JSON.stringify(condition)}`);
+      }
+      return [createHeaderTerm(session, condition.header, condition.text, !!condition.exclude)];
+    }
+
+    let attribs = Object.keys(TEXT_CONDITION_ATTRIBUTES)
+      .filter(field => condition[field])
+      .map(field => Ci.nsMsgSearchAttrib[TEXT_CONDITION_ATTRIBUTES[field]]);
+    if (!condition.text || attribs.length === 0) {
+      throw new ExtensionError(`Invalid condition: ${JSON.stringify(condition)}`);
+    }
+
+    return attribs.map(attrib => createTextTerm(session, attrib, condition.text, !!condition.exclude));
+  }
+
+  /**
+   * Turns search terms into one group, ANDed with the other terms, in which
+   * any term may match.
+   *
+   * @param {Array<nsIMsgSearchTerm>} terms - Search terms
+   * @returns {Array<nsIMsgSearchTerm>} The same terms, grouped
+   */
+  function groupTerms(terms) {
+    if (terms.length > 1) {
+      terms.forEach((term, index) => (term.booleanAnd = index === 0));
+      terms[0].beginsGrouping = true;
+      terms[terms.length - 1].endsGrouping = true;
+    }
+    return terms;
+  }
+
+  /**
+   * Sets (or clears) the date constraint of a view.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   * @param {Object|null} range - {start, end} in milliseconds, or null to clear.
+   *   A range that starts after its end (two combined ranges that do not
+   *   overlap) matches no message.
+   * @throws {ExtensionError} If the range is invalid
+   */
+  function setDateConstraint(about3PaneWindow, range) {
+    if (!range) {
+      setSearchConstraint(about3PaneWindow, "date", null, []);
+      return;
+    }
+
+    if (typeof range.start !== "number" || typeof range.end !== "number") {
+      throw new ExtensionError(`Invalid date range: ${JSON.stringify(range)}`);
+    }
+
+    let session = about3PaneWindow.gViewWrapper.search.session;
+    setSearchConstraint(about3PaneWindow, "date", { start: range.start, end: range.end },
+      createDateRangeTerms(session, range));
+  }
+
+  /**
+   * Creates the search terms of a date range.
+   *
+   * @param {nsIMsgSearchSession|nsIMsgFilter} session - Search session, or
+   *   search folder, creating the terms
+   * @param {{start: number, end: number}} range - Range in milliseconds
+   * @returns {Array<nsIMsgSearchTerm>} Search terms, matching no message if
+   *   the range starts after its end
+   */
+  function createDateRangeTerms(session, range) {
+    if (range.start > range.end) {
+      return createNoMatchTerms(session);
+    }
+    return [
+      createDateTerm(session, Ci.nsMsgSearchOp.IsAfter, range.start - 1),
+      createDateTerm(session, Ci.nsMsgSearchOp.IsBefore, range.end + 1),
+    ];
+  }
+
+  /**
+   * Creates search terms no message matches, for combined criteria that
+   * have nothing in common.
+   *
+   * @param {nsIMsgSearchSession|nsIMsgFilter} session - Search session creating the terms
+   * @returns {Array<nsIMsgSearchTerm>} Search terms
+   */
+  function createNoMatchTerms(session) {
+    // No date is both before and after the epoch
+    return [
+      createDateTerm(session, Ci.nsMsgSearchOp.IsBefore, 0),
+      createDateTerm(session, Ci.nsMsgSearchOp.IsAfter, 0),
+    ];
+  }
+
+  /**
+   * Creates a search term matching one Message-ID.
+   *
+   * @param {nsIMsgSearchSession} session - Search session of the view
+   * @param {string} messageId - Message-ID without angle brackets
+   * @returns {nsIMsgSearchTerm} Search term
+   */
+  function createMessageIdTerm(session, messageId) {
+    let term = session.createTerm();
+    let value = term.value;
+    value.attrib = Ci.nsMsgSearchAttrib.HdrProperty;
+    value.str = messageId;
+    term.attrib = Ci.nsMsgSearchAttrib.HdrProperty;
+    // Database column of the Message-ID
+    term.hdrProperty = "message-id";
+    term.op = Ci.nsMsgSearchOp.Is;
+    term.value = value;
+    term.booleanAnd = true;
+    return term;
+  }
+
+  /**
+   * Sets (or clears) the Message-IDs a view is restricted to.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   * @param {Array<string>|null} messageIds - Message-IDs, or null to clear.
+   *   An empty list (combined conversations without common messages)
+   *   matches no message.
+   */
+  function setMessageIdsConstraint(about3PaneWindow, messageIds) {
+    if (!messageIds) {
+      setSearchConstraint(about3PaneWindow, "messageIds", null, []);
+      return;
+    }
+
+    let session = about3PaneWindow.gViewWrapper.search.session;
+    setSearchConstraint(about3PaneWindow, "messageIds", [...messageIds],
+      createMessageIdsTerms(session, messageIds));
+  }
+
+  /**
+   * Creates the search terms matching any of a list of Message-IDs.
+   *
+   * @param {nsIMsgSearchSession|nsIMsgFilter} session - Search session, or
+   *   search folder, creating the terms
+   * @param {Array<string>} messageIds - Message-IDs without angle brackets
+   * @returns {Array<nsIMsgSearchTerm>} Search terms, matching no message
+   *   for an empty list
+   */
+  function createMessageIdsTerms(session, messageIds) {
+    if (messageIds.length === 0) {
+      return createNoMatchTerms(session);
+    }
+    return groupTerms(messageIds.map(messageId => createMessageIdTerm(session, messageId)));
+  }
+
+  /**
+   * Search constraints of a view search, and the user terms set by others.
+   *
+   * @typedef {Object} ConstrainedSearch
+   * @property {Map<string, {descriptor: Object, terms: Array}>} constraints - Constraints by name
+   * @property {Array<nsIMsgSearchTerm>|null} ownerTerms - Terms set by the Quick Filter bar
+   * @property {Object} userTerms - Original userTerms property of the search
+   * @property {number} updates - Number of searches run with the constraints
+   * @property {boolean} changing - True while the extension changes the Quick
+   *   Filter bar (see changeQuickFilterBar)
+   */
+
+  /**
+   * Gets the constraints of a view search. The first call takes over the
+   * search's userTerms property, so that terms set by the Quick Filter bar
+   * are searched together with the constraints instead of replacing them.
+   *
+   * @param {Object} search - SearchSpec of the view wrapper
+   * @returns {ConstrainedSearch} Constraints of the search
+   * @throws {ExtensionError} If the search has no userTerms property
+   */
+  function getConstrainedSearch(search) {
+    let constrained = searchConstraints.get(search);
+    if (constrained) {
+      return constrained;
+    }
+
+    let userTerms = null;
+    for (let object = search; object && !userTerms; object = Object.getPrototypeOf(object)) {
+      userTerms = Object.getOwnPropertyDescriptor(object, "userTerms");
+    }
+    if (!userTerms || !userTerms.get || !userTerms.set) {
+      throw new ExtensionError("The message list search cannot be constrained");
+    }
+
+    constrained = {
+      constraints: new Map(),
+      ownerTerms: userTerms.get.call(search),
+      userTerms,
+      updates: 0,
+      changing: false,
+    };
+    Object.defineProperty(search, "userTerms", {
+      configurable: true,
+      get() {
+        return constrained.ownerTerms;
+      },
+      set(terms) {
+        constrained.ownerTerms = terms;
+        // The user cleared the bar: nothing may stay filtered out unseen
+        if (!constrained.changing && !(terms && terms.length > 0)) {
+          constrained.constraints.clear();
+        }
+        applyConstrainedTerms(search, constrained);
+      },
+    });
+
+    searchConstraints.set(search, constrained);
+    constrainedSearches.add(new WeakRef(search));
+    return constrained;
+  }
+
+  /**
+   * Searches a view with the terms of its owner and of its constraints,
+   * ANDed with each other.
+   *
+   * @param {Object} search - SearchSpec of the view wrapper
+   * @param {ConstrainedSearch} constrained - Constraints of the search
+   */
+  function applyConstrainedTerms(search, constrained) {
+    let terms = [...(constrained.ownerTerms || [])];
+    for (let constraint of constrained.constraints.values()) {
+      terms.push(...constraint.terms);
+    }
+
+    constrained.updates++;
+    // Assigning userTerms makes the view wrapper re-run the search
+    constrained.userTerms.set.call(search, terms.length > 0 ? terms : null);
+  }
+
+  /**
+   * Re-runs the search of a view with the current Quick Filter bar terms
+   * and search constraints.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   */
+  function applySearchConstraints(about3PaneWindow) {
+    let search = about3PaneWindow.gViewWrapper.search;
+    applyConstrainedTerms(search, getConstrainedSearch(search));
+  }
+
+  /**
+   * Gets the descriptor of one named constraint of a view.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   * @param {string} slot - Constraint name (e.g. "date")
+   * @returns {Object|null} Descriptor, or null if the constraint is not set
+   */
+  function getSearchConstraint(about3PaneWindow, slot) {
+    let search = about3PaneWindow.gViewWrapper?.search;
+    let constraint = search && searchConstraints.get(search)?.constraints.get(slot);
+    return constraint ? constraint.descriptor : null;
+  }
+
+  /**
+   * Sets (or clears) one named constraint of a view. Constraints are ANDed
+   * with each other and with the Quick Filter once the search is re-run
+   * (applySearchConstraints, or a Quick Filter bar update).
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window object
+   * @param {string} slot - Constraint name (e.g. "date")
+   * @param {Object|null} descriptor - Serializable description of the constraint
+   * @param {Array<nsIMsgSearchTerm>} terms - Search terms, empty to clear
+   */
+  function setSearchConstraint(about3PaneWindow, slot, descriptor, terms) {
+    let { constraints } = getConstrainedSearch(about3PaneWindow.gViewWrapper.search);
+
+    if (terms.length > 0) {
+      constraints.set(slot, { descriptor, terms });
+    } else {
+      constraints.delete(slot);
+    }
+  }
+
+  /**
+   * Gets the message of the message list row containing a cell.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window
+   * @param {Element} cell - Table cell of the row
+   * @returns {nsIMsgDBHdr|null} Message header, or null if not found
+   */
+  function getClickedMessage(about3PaneWindow, cell) {
+    try {
+      let row = cell.closest("tr");
+      if (!row || typeof row.index !== "number" || !about3PaneWindow.gDBView) {
+        return null;
+      }
+      return about3PaneWindow.gDBView.getMsgHdrAt(row.index);
+    } catch (error) {
+      console.error("[QuickFilterBy] Error getting clicked message:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether a click matches the click chosen with setClickModifier.
+   *
+   * @param {Event} event - DOM click event
+   * @returns {boolean} True if the click should be reported
+   */
+  function isFilterClick(event) {
+    if (!clickModifier || event.button != clickModifier.button) {
+      return false;
+    }
+
+    // Left clicks are reported as "click", other buttons as "auxclick"
+    if (event.type != (clickModifier.button == 0 ? "click" : "auxclick")) {
+      return false;
+    }
+
+    return ["altKey", "ctrlKey", "shiftKey"].every(
+      key => clickModifier[key] === undefined || event[key] === clickModifier[key]
+    );
+  }
+
+  /**
+   * Event handler for message list click events.
+   * Detects alt-click on columns and emits event to WebExtension.
+   *
+   * @param {Event} event - DOM click or auxclick event
+   */
+  function onMessageListClick(event) {
+    try {
+      // Only process the configured click (Alt+left-click by default)
+      if (!isFilterClick(event)) {
+        return;
+      }
+
+      // A middle click would otherwise open the message in a new tab
+      if (event.button == 1) {
+        event.preventDefault();
+        event.stopPropagation();
+      }
+
+      // Validate event target
+      let target = event.composedTarget;
+      if (!target) {
+        console.warn("[QuickFilterBy] Click event has no target");
+        return;
+      }
+
+      // Find the closest table cell (td element)
+      let box = target.closest("td");
+      if (!box) {
+        console.warn("[QuickFilterBy] Could not find table cell for click");
+        return;
+      }
+
+      // Find column name by looking for class ending with "-column"
+      let columnName = null;
+      try {
+        columnName = [...box.classList.values()].find(e => e.endsWith("-column"));
       } catch (error) {
         console.error("[QuickFilterBy] Error getting classList:", error);
       }
@@ -292,9 +1555,19 @@
 
       // Only proceed if we found a column
       if (columnName) {
+        // Keep Alt+click on the unread and star icons from toggling them
+        if (TOGGLE_COLUMNS.includes(columnName)) {
+          event.preventDefault();
+          event.stopPropagation();
+        }
+
         // Emit event to WebExtension through custom event
         // This allows background.js to use the mailTabs API to set quick filter
-        messageListListener.emit("messagelist-clicked", columnName, columnText);
+        let about3PaneWindow = box.ownerGlobal;
+        messageListListener.emit(
+          "messagelist-clicked", columnName, columnText,
+          about3PaneWindow, getClickedMessage(about3PaneWindow, box)
+        );
       } else {
         console.warn("[QuickFilterBy] Could not determine column for click");
       }
@@ -303,6 +1576,270 @@
     }
   }
 
+  // ============================================================================
+  // SEARCH FOLDERS
+  // ============================================================================
+
+  /**
+   * Creates the search terms of a Quick Filter state, for searches that do
+   * not run through the Quick Filter bar (search folders, searchMessages).
+   *
+   * @param {nsIMsgSearchSession} session - Search session creating the terms
+   * @param {Object} state - QuickFilterState
+   * @returns {Array<nsIMsgSearchTerm>} Search terms, all of which must match
+   * @throws {ExtensionError} If a text criterion has no text or no field
+   */
+  function createStateTerms(session, state) {
+    let terms = [];
+
+    if (state.text && state.text.text) {
+      terms.push(...groupTerms(createConditionTerms(session, state.text)));
+    }
+    terms.push(...createConditionsTerms(session, state.conditions || []));
+    if (state.anyOf && state.anyOf.length > 0) {
+      terms.push(...groupTerms(state.anyOf.flatMap(alternative => createConditionTerms(session, alternative))));
+    }
+
+    if (state.tags) {
+      terms.push(...createTagTerms(session, state.tags));
+    }
+    for (let [property, flag] of Object.entries(STATUS_FLAGS)) {
+      if (typeof state[property] === "boolean") {
+        // The unread button matches messages without the Read flag
+        let set = property === "unread" ? !state[property] : state[property];
+        terms.push(createStatusTerm(session, Ci.nsMsgMessageFlags[flag], set));
+      }
+    }
+    if (typeof state.contact === "boolean") {
+      terms.push(...createAddressBookTerms(session, state.contact));
+    }
+
+    if (state.date) {
+      terms.push(...createDateRangeTerms(session, state.date));
+    }
+    if (state.messageIds) {
+      terms.push(...createMessageIdsTerms(session, state.messageIds));
+    }
+
+    return terms;
+  }
+
+  /**
+   * Creates a search term for a message flag (Read, Marked, ...).
+   *
+   * @param {nsIMsgSearchSession} session - Search session creating the term
+   * @param {number} flag - Ci.nsMsgMessageFlags value
+   * @param {boolean} set - Match messages with (true) or without the flag
+   * @returns {nsIMsgSearchTerm} Search term
+   */
+  function createStatusTerm(session, flag, set) {
+    let term = session.createTerm();
+    let value = term.value;
+    value.attrib = Ci.nsMsgSearchAttrib.MsgStatus;
+    value.status = flag;
+    term.attrib = Ci.nsMsgSearchAttrib.MsgStatus;
+    term.op = set ? Ci.nsMsgSearchOp.Is : Ci.nsMsgSearchOp.Isnt;
+    term.value = value;
+    term.booleanAnd = true;
+    return term;
+  }
+
+  /**
+   * Creates the search terms of a tag criterion, like the tag filter of the
+   * Quick Filter bar: any (or all) of the tags, or any tag at all.
+   *
+   * @param {nsIMsgSearchSession} session - Search session creating the terms
+   * @param {Object} tags - Tag criterion ({mode, tags})
+   * @returns {Array<nsIMsgSearchTerm>} Search terms
+   */
+  function createTagTerms(session, tags) {
+    let keys = Object.keys(tags.tags || {}).filter(key => tags.tags[key]);
+    if (keys.length === 0) {
+      let term = createTextTerm(session, Ci.nsMsgSearchAttrib.Keywords, "");
+      term.op = Ci.nsMsgSearchOp.IsntEmpty;
+      return [term];
+    }
+
+    let terms = keys.map(key => createTextTerm(session, Ci.nsMsgSearchAttrib.Keywords, key));
+    return tags.mode === "all" ? terms : groupTerms(terms);
+  }
+
+  /**
+   * Creates the search terms matching senders that are (or are not) in any
+   * address book, like the contact filter of the Quick Filter bar.
+   *
+   * @param {nsIMsgSearchSession} session - Search session creating the terms
+   * @param {boolean} known - Match senders in an address book (true) or in none
+   * @returns {Array<nsIMsgSearchTerm>} Search terms
+   */
+  function createAddressBookTerms(session, known) {
+    let abManager = Cc["@mozilla.org/abmanager;1"].getService(Ci.nsIAbManager);
+    let terms = abManager.directories.map(directory => {
+      let term = createTextTerm(session, Ci.nsMsgSearchAttrib.Sender, directory.URI);
+      term.op = known ? Ci.nsMsgSearchOp.IsInAB : Ci.nsMsgSearchOp.IsntInAB;
+      return term;
+    });
+    return known ? groupTerms(terms) : terms;
+  }
+
+  /**
+   * Gets the folders a search folder searches.
+   *
+   * @param {Object} about3PaneWindow - The about:3pane window the scope is relative to
+   * @param {string} scope - "folder", "account" or "all"
+   * @returns {Array<nsIMsgFolder>} Folders, without search folders
+   */
+  function getScopeFolders(about3PaneWindow, scope) {
+    let folders;
+    if (scope === "all") {
+      let accountManager = Cc["@mozilla.org/messenger/account-manager;1"].getService(Ci.nsIMsgAccountManager);
+      folders = accountManager.allFolders.filter(folder => !folder.isServer);
+    } else if (scope === "account") {
+      let rootFolder = about3PaneWindow.gViewWrapper.displayedFolder?.rootFolder;
+      folders = rootFolder ? rootFolder.descendants : [];
+    } else {
+      folders = getViewFolders(about3PaneWindow);
+    }
+    return folders.filter(folder => !folder.getFlag(Ci.nsMsgFolderFlags.Virtual));
+  }
+
+  /**
+   * Searches folders for the messages matching a Quick Filter state, in the
+   * messages stored locally like a search folder that does not search
+   * online. The search stops at the maximum number of results.
+   *
+   * @param {Array<nsIMsgFolder>} folders - Folders to search
+   * @param {Object} state - QuickFilterState
+   * @param {number} maxResults - Maximum number of messages to find
+   * @returns {Promise<{msgHdrs: Array<nsIMsgDBHdr>, truncated: boolean}>}
+   *   Messages found, and whether more messages match
+   * @throws {ExtensionError} If the state has no criteria
+   */
+  function searchFolders(folders, state, maxResults) {
+    let session = Cc["@mozilla.org/messenger/searchSession;1"].createInstance(Ci.nsIMsgSearchSession);
+    let terms = createStateTerms(session, state);
+    if (terms.length === 0) {
+      throw new ExtensionError("The filter has no criteria");
+    }
+    for (let term of terms) {
+      session.appendTerm(term);
+    }
+    for (let folder of folders) {
+      session.addScopeTerm(Ci.nsMsgSearchScope.offlineMail, folder);
+    }
+
+    return new Promise(resolve => {
+      let msgHdrs = [];
+      let done = false;
+      let finish = truncated => {
+        if (!done) {
+          done = true;
+          session.unregisterListener(listener);
+          resolve({ msgHdrs, truncated });
+        }
+      };
+      let listener = {
+        QueryInterface: ChromeUtils.generateQI(["nsIMsgSearchNotify"]),
+        onNewSearch() {},
+        onSearchHit(msgHdr) {
+          if (msgHdrs.length < maxResults) {
+            msgHdrs.push(msgHdr);
+          } else if (!done) {
+            session.interruptSearch();
+            finish(true);
+          }
+        },
+        onSearchDone() {
+          finish(false);
+        },
+      };
+      session.registerListener(listener);
+      session.search(null);
+    });
+  }
+
+  /**
+   * Adds a header to the custom headers known to message searches, which
+   * saved search terms of the header are read back with.
+   *
+   * @param {string} header - Header name (e.g. "List-Id")
+   */
+  function registerCustomHeader(header) {
+    let headers = Services.prefs.getCharPref(CUSTOM_HEADERS_PREF, "")
+      .split(":")
+      .map(name => name.trim())
+      .filter(Boolean);
+    if (!headers.some(name => name.toLowerCase() === header.toLowerCase())) {
+      headers.push(header);
+      Services.prefs.setCharPref(CUSTOM_HEADERS_PREF, headers.join(": "));
+    }
+  }
+
+  // ============================================================================
+  // MESSAGE FILTERS
+  // ============================================================================
+
+  /**
+   * Gets the server whose Message Filters a rule for a message is added
+   * to: the server of the message, or the default account's server for
+   * servers without filters.
+   *
+   * @param {nsIMsgDBHdr} msgHdr - Message the rule is created from
+   * @returns {nsIMsgIncomingServer} Server
+   * @throws {ExtensionError} If no server can have filters
+   */
+  function getFilterServer(msgHdr) {
+    let server = msgHdr.folder.server;
+    if (!server.canHaveFilters) {
+      let accountManager = Cc["@mozilla.org/messenger/account-manager;1"].getService(Ci.nsIMsgAccountManager);
+      server = accountManager.defaultAccount?.incomingServer;
+    }
+    if (!server || !server.canHaveFilters) {
+      throw new ExtensionError("The account of the message has no message filters");
+    }
+    return server;
+  }
+
+  /**
+   * Creates the native action of a rule action.
+   *
+   * @param {Object} context - Extension context
+   * @param {nsIMsgFilter} filter - Filter the action is created for
+   * @param {Object} ruleAction - FilterRuleAction
+   * @returns {nsIMsgRuleAction} Action
+   * @throws {ExtensionError} If the target of the action is missing
+   */
+  function createFilterAction(context, filter, ruleAction) {
+    let action = filter.createAction();
+    switch (ruleAction.type) {
+      case "move": {
+        let folder = ruleAction.folder &&
+          context.extension.folderManager.get(ruleAction.folder.accountId, ruleAction.folder.path);
+        if (!folder) {
+          throw new ExtensionError(`Folder not found: ${JSON.stringify(ruleAction.folder)}`);
+        }
+        action.type = Ci.nsMsgFilterAction.MoveToFolder;
+        action.targetFolderUri = folder.URI;
+        break;
+      }
+      case "tag":
+        action.type = Ci.nsMsgFilterAction.AddTag;
+        action.strValue = ruleAction.tag;
+        break;
+      case "markRead":
+        action.type = Ci.nsMsgFilterAction.MarkRead;
+        break;
+      case "forward":
+        action.type = Ci.nsMsgFilterAction.Forward;
+        action.strValue = ruleAction.address;
+        break;
+    }
+    if (["tag", "forward"].includes(ruleAction.type) && !action.strValue) {
+      throw new ExtensionError(`Invalid action: ${JSON.stringify(ruleAction)}`);
+    }
+    return action;
+  }
+
   // ============================================================================
   // EXPORT
   // ============================================================================
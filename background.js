@@ -2,14 +2,22 @@
  * QuickFilterBy - Background Script
  *
  * This background script manages the extension's core functionality:
- * - Context menu creation and management
+ * - Context menu creation and management (groups shown per the showContextMenus setting)
  * - Menu item click handlers for filtering messages
  * - Alt-click event handling for quick filtering
  * - Tab initialization for all mail tabs
- * - Date-based message filtering
+ * - Date-based message filtering (via the MessagesListAdapter experiment)
  * - Tag-based message filtering
- * - Attachment status filtering
+ * - Attachment status filtering (via the MessagesListAdapter experiment)
  * - Read status filtering
+ * - Flagged (starred) status filtering
+ * - Address book membership filtering
+ * - Combining criteria into one filter (Shift+click on a menu item)
+ * - Saved filter presets ("Saved Filters" submenu)
+ * - Filter history ("Recent Filters" submenu)
+ * - Searching a filter in all folders or accounts ("Search Current Filter In" submenu)
+ * - Saving a filter as a search (virtual) folder
+ * - Message filter rules built from a message ("Create Message Filter from This...")
  *
  * @file background.js
  * @version 14.0.1
@@ -34,6 +42,42 @@ try {
   };
 }
 
+// Date range helpers (src/utils/dates.js, loaded before this file)
+const DateUtils = window.QuickFilterByDates;
+
+// Filter composition helpers (src/utils/filters.js, loaded before this file)
+const FilterUtils = window.QuickFilterByFilters;
+
+// Address book helpers (src/utils/contacts.js, loaded before this file)
+const ContactUtils = window.QuickFilterByContacts;
+
+// Address header parsing (src/utils/addresses.js, loaded before this file)
+const AddressUtils = window.QuickFilterByAddresses;
+
+// Sender domain helpers (src/utils/domains.js, loaded before this file)
+const DomainUtils = window.QuickFilterByDomains;
+
+// Subject normalization (src/utils/subjects.js, loaded before this file)
+const SubjectUtils = window.QuickFilterBySubjects;
+
+// Message header helpers (src/utils/headers.js, loaded before this file)
+const HeaderUtils = window.QuickFilterByHeaders;
+
+// Conversation helpers (src/utils/threads.js, loaded before this file)
+const ThreadUtils = window.QuickFilterByThreads;
+
+// Folder and account scope of filters (src/utils/scopes.js, loaded before this file)
+const ScopeUtils = window.QuickFilterByScopes;
+
+// Message filter rules (src/utils/rules.js, loaded before this file)
+const RuleUtils = window.QuickFilterByRules;
+
+// Feature flags (src/utils/features.js, loaded before this file)
+const Features = window.QuickFilterByFeatures;
+
+// Settings storage (src/utils/settings.js, loaded before this file)
+const Settings = window.QuickFilterBySettings;
+
 // ============================================================================
 // CONTEXT MENU CREATION
 // ============================================================================
@@ -48,7 +92,7 @@ browser.menus.create({
   id: "sender",
   title: browser.i18n.getMessage("sender"),
   contexts: ["message_list"],
-  async onclick(info) {
+  async onclick(info, tab) {
     try {
       ErrorUtils.validateNotNull(info, 'info');
       ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
@@ -56,7 +100,12 @@ browser.menus.create({
       const message = info.selectedMessages.messages[0];
       ErrorUtils.validateNotNull(message, 'message');
 
-      await openFilterDialog('sender', message.author);
+      ErrorUtils.validateString(message.author, 'message.author');
+
+      await openFilterDialog('sender', AddressUtils.getDisplayText(message.author) || message.author, {
+        tabId: tab.id,
+        combine: isCombineClick(info),
+      });
     } catch (error) {
       ErrorUtils.logError(error, { context: 'sender menu item' });
       await ErrorUtils.showErrorNotification(
@@ -78,7 +127,7 @@ browser.menus.create({
   id: "senderEmail",
   title: browser.i18n.getMessage("senderEmail"),
   contexts: ["message_list"],
-  async onclick(info) {
+  async onclick(info, tab) {
     try {
       ErrorUtils.validateNotNull(info, 'info');
       ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
@@ -87,14 +136,13 @@ browser.menus.create({
       ErrorUtils.validateNotNull(message, 'message');
 
       // Extracting email only, if name is present
-      let author = message.author;
-      ErrorUtils.validateString(author, 'message.author');
+      ErrorUtils.validateString(message.author, 'message.author');
+      const author = AddressUtils.getAddress(message.author) || message.author;
 
-      if (author.indexOf("<") > 0 && author.indexOf(">") > 0) {
-        author = author.substring(author.indexOf("<") + 1, author.lastIndexOf(">"));
-      }
-
-      await openFilterDialog('senderEmail', author);
+      await openFilterDialog('senderEmail', author, {
+        tabId: tab.id,
+        combine: isCombineClick(info),
+      });
     } catch (error) {
       ErrorUtils.logError(error, { context: 'senderEmail menu item' });
       await ErrorUtils.showErrorNotification(
@@ -107,296 +155,279 @@ browser.menus.create({
 });
 
 /**
- * Create context menu item for filtering by recipient.
- * This menu item filters messages by the first recipient.
- *
- * @type {browser.menus.CreateItemType}
- */
-browser.menus.create({
-  id: "recipient",
-  title: browser.i18n.getMessage("recipient"),
-  contexts: ["message_list"],
-  async onclick(info) {
-    try {
-      ErrorUtils.validateNotNull(info, 'info');
-      ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
-
-      const message = info.selectedMessages.messages[0];
-      ErrorUtils.validateNotNull(message, 'message');
-
-      await openFilterDialog('recipient', message.recipients.join(", "));
-    } catch (error) {
-      ErrorUtils.logError(error, { context: 'recipient menu item' });
-      await ErrorUtils.showErrorNotification(
-        'Filter Failed',
-        'Could not open filter dialog. Please try again.',
-        { type: 'error' }
-      );
-    }
-  },
-});
-
-/**
- * Create context menu item for filtering by recipients.
- * This menu item filters messages by all recipients.
+ * Create context menu item for filtering by sender domain.
+ * This menu item filters messages by "@domain" of the sender address.
  *
  * @type {browser.menus.CreateItemType}
  */
 browser.menus.create({
-  id: "recipients",
-  title: browser.i18n.getMessage("recipients"),
+  id: "senderDomain",
+  title: browser.i18n.getMessage("senderDomain"),
   contexts: ["message_list"],
-  async onclick(info) {
-    try {
-      ErrorUtils.validateNotNull(info, 'info');
-      ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
-
-      const message = info.selectedMessages.messages[0];
-      ErrorUtils.validateNotNull(message, 'message');
-
-      await openFilterDialog('recipients', message.recipients.join(", "));
-    } catch (error) {
-      ErrorUtils.logError(error, { context: 'recipients menu item' });
-      await ErrorUtils.showErrorNotification(
-        'Filter Failed',
-        'Could not open filter dialog. Please try again.',
-        { type: 'error' }
-      );
-    }
+  async onclick(info, tab) {
+    await openDomainFilterDialog(info, tab, false);
   },
 });
 
 /**
- * Create context menu item for filtering by subject.
- * This menu item filters messages by the subject text.
+ * Create context menu item for filtering by the parent domain of the sender,
+ * e.g. client.co.uk for mail.client.co.uk, which includes all its subdomains.
  *
  * @type {browser.menus.CreateItemType}
  */
 browser.menus.create({
-  id: "subject",
-  title: browser.i18n.getMessage("subject"),
+  id: "senderParentDomain",
+  title: browser.i18n.getMessage("senderParentDomain"),
   contexts: ["message_list"],
-  async onclick(info) {
-    try {
-      ErrorUtils.validateNotNull(info, 'info');
-      ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
-
-      const message = info.selectedMessages.messages[0];
-      ErrorUtils.validateNotNull(message, 'message');
-
-      await openFilterDialog('subject', message.subject);
-    } catch (error) {
-      ErrorUtils.logError(error, { context: 'subject menu item' });
-      await ErrorUtils.showErrorNotification(
-        'Filter Failed',
-        'Could not open filter dialog. Please try again.',
-        { type: 'error' }
-      );
-    }
+  async onclick(info, tab) {
+    await openDomainFilterDialog(info, tab, true);
   },
 });
 
-// ============================================================================
-// DATE FILTERING
-// ============================================================================
-
 /**
- * Helper function to filter messages by date range.
- * Queries messages within date range, then filters by message IDs.
+ * Open the filter dialog for the domain of the selected message's sender.
  *
- * @param {Date} start - Start date
- * @param {Date} end - End date
+ * @param {browser.menus.OnClickData} info - Menu click information
+ * @param {browser.tabs.Tab} tab - Tab of the click
+ * @param {boolean} parent - Use the parent domain instead of the full domain
+ * @returns {Promise<void>}
  */
-async function filterByDateRange(start, end) {
+async function openDomainFilterDialog(info, tab, parent) {
+  const filterType = parent ? 'senderParentDomain' : 'senderDomain';
   try {
-    // Query messages within date range
-    const messages = await browser.messages.query({
-      fromDate: start,
-      toDate: end,
-    });
+    ErrorUtils.validateNotNull(info, 'info');
+    ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
 
-    if (messages.messages.length === 0) {
+    const message = info.selectedMessages.messages[0];
+    ErrorUtils.validateNotNull(message, 'message');
+    ErrorUtils.validateString(message.author, 'message.author');
+
+    const domain = DomainUtils.getDomain(AddressUtils.getAddress(message.author));
+    const value = parent ? DomainUtils.getParentDomain(domain) : domain;
+    if (!value) {
       await browser.notifications.create({
         type: 'basic',
-        title: 'No Messages Found',
-        message: browser.i18n.getMessage('dateNoMessages'),
+        title: 'No Domain',
+        message: browser.i18n.getMessage('senderNoDomain'),
       });
       return;
     }
 
-    // Extract message IDs and filter by them
-    const messageIds = messages.messages.map(m => m.id);
-
-    await browser.mailTabs.setQuickFilter({
-      text: { text: messageIds.join(',') },
+    // "@" keeps the full domain from matching its subdomains
+    await openFilterDialog(filterType, parent ? value : `@${value}`, {
+      tabId: tab.id,
+      combine: isCombineClick(info),
     });
   } catch (error) {
-    ErrorUtils.logError(error, { context: 'date filter', start, end });
+    ErrorUtils.logError(error, { context: `${filterType} menu item` });
     await ErrorUtils.showErrorNotification(
       'Filter Failed',
-      'Could not filter by date. Please try again.',
+      'Could not open filter dialog. Please try again.',
       { type: 'error' }
     );
   }
 }
 
 /**
- * Calculate date range for "Today".
- * @returns {{start: Date, end: Date}}
+ * Create context menu for filtering by one recipient.
+ * Its items are built by rebuildRecipientMenu each time the menu is shown
+ * for one message: one item per To recipient, a "Cc Only" submenu with the
+ * Cc recipients, and "Messages Where I Was Bcc".
+ *
+ * @type {browser.menus.CreateItemType}
  */
-function getTodayRange() {
-  const now = new Date();
-  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
-  const end = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59, 999);
-  return { start, end };
-}
+browser.menus.create({
+  id: "recipient",
+  title: browser.i18n.getMessage("recipient"),
+  contexts: ["message_list"],
+});
 
 /**
- * Calculate date range for "This Week".
- * @returns {{start: Date, end: Date}}
+ * Maximum number of recipients listed per header in the "Recipient" submenu.
+ *
+ * @constant {number}
  */
-function getThisWeekRange() {
-  const now = new Date();
-  const dayOfWeek = now.getDay(); // 0 = Sunday
-  const start = new Date(now);
-  start.setDate(now.getDate() - dayOfWeek);
-  start.setHours(0, 0, 0, 0);
-  const end = new Date(start);
-  end.setDate(start.getDate() + 6);
-  end.setHours(23, 59, 59, 999);
-  return { start, end };
-}
+const MAX_RECIPIENT_MENU_ITEMS = 25;
 
 /**
- * Calculate date range for "This Month".
- * @returns {{start: Date, end: Date}}
+ * IDs of the items of the "Recipient" submenu. Items of its "Cc Only"
+ * submenu are removed with it.
+ * @type {Array<string>}
  */
-function getThisMonthRange() {
-  const now = new Date();
-  const start = new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0);
-  const end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 0, 0);
-  end.setMilliseconds(-1);
-  return { start, end };
-}
+let recipientMenuIds = [];
 
 /**
- * Calculate date range for last N days.
- * @param {number} days - Number of days
- * @returns {{start: Date, end: Date}}
+ * Create one menu item per mailbox of a header.
+ *
+ * @param {Array<string>} header - Recipients array of a messages.MessageHeader
+ * @param {string} parentId - Menu to add the items to
+ * @param {string} filterType - Filter type of the edit dialog
+ * @returns {Array<string>} IDs of the created items
  */
-function getLastDaysRange(days) {
-  const now = new Date();
-  const start = new Date(now.getTime() - (days * 24 * 60 * 60 * 1000));
-  return { start, end: now };
+function createRecipientMenuItems(header, parentId, filterType) {
+  const mailboxes = AddressUtils.parseHeaders(header || []).slice(0, MAX_RECIPIENT_MENU_ITEMS);
+
+  return mailboxes.map((mailbox, index) => browser.menus.create({
+    id: `${parentId}-${index}`,
+    title: AddressUtils.formatMailbox(mailbox),
+    contexts: ["message_list"],
+    parentId,
+    async onclick(info, tab) {
+      try {
+        await openFilterDialog(filterType, mailbox.address || mailbox.name, {
+          tabId: tab.id,
+          combine: isCombineClick(info),
+        });
+      } catch (error) {
+        ErrorUtils.logError(error, { context: `${filterType} menu item` });
+        await ErrorUtils.showErrorNotification(
+          'Filter Failed',
+          'Could not open filter dialog. Please try again.',
+          { type: 'error' }
+        );
+      }
+    },
+  }));
 }
 
 /**
- * Create context menu separator.
+ * Rebuild the items of the "Recipient" submenu for a message.
+ *
+ * @param {messages.MessageHeader} message - Selected message
+ * @returns {Promise<void>}
  */
-browser.menus.create({
-  type: "separator",
-  contexts: ["message_list"],
-});
+async function rebuildRecipientMenu(message) {
+  try {
+    await Promise.all(recipientMenuIds.map(id => browser.menus.remove(id)));
+    recipientMenuIds = createRecipientMenuItems(message.recipients, "recipient", 'recipient');
+
+    if (recipientMenuIds.length === 0) {
+      recipientMenuIds.push(browser.menus.create({
+        id: "recipient-none",
+        title: browser.i18n.getMessage("recipientNone"),
+        contexts: ["message_list"],
+        parentId: "recipient",
+        enabled: false,
+      }));
+    }
+
+    if (message.ccList && message.ccList.length > 0) {
+      recipientMenuIds.push(browser.menus.create({
+        id: "recipient-cc",
+        title: browser.i18n.getMessage("recipientCcOnly"),
+        contexts: ["message_list"],
+        parentId: "recipient",
+      }));
+      createRecipientMenuItems(message.ccList, "recipient-cc", 'recipientCc');
+    }
+
+    recipientMenuIds.push(browser.menus.create({
+      id: "recipient-separator",
+      type: "separator",
+      contexts: ["message_list"],
+      parentId: "recipient",
+    }));
+
+    recipientMenuIds.push(browser.menus.create({
+      id: "recipient-bcc-me",
+      title: browser.i18n.getMessage("recipientBccMe"),
+      contexts: ["message_list"],
+      parentId: "recipient",
+      async onclick(info, tab) {
+        await filterByBccToMe(tab.id, message, isCombineClick(info));
+      },
+    }));
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'rebuild recipient menu' });
+  }
+}
 
 /**
- * DATE FILTERING - DISABLED
- *
- * Thunderbird's Quick Filter API (browser.mailTabs.setQuickFilter) does NOT support
- * date filtering. The API only supports:
- * - text filtering (author, recipients, subject, body)
- * - tag filtering
- * - flagged status
- * - read status
- * - attachment status
+ * Get the email addresses of the identities of a message's account.
+ * Requires the "accountsRead" permission.
  *
- * Date filtering would require a custom UI to display filtered messages,
- * which is complex to implement. For now, date filters are disabled.
- *
- * Helper functions (getTodayRange, getThisWeekRange, etc.) are kept
- * for future implementation when a custom date picker UI is created.
- *
- * See: https://webextension-api.thunderbird.net/mailTabs.html#setQuickFilter
+ * @param {messages.MessageHeader} message - Message
+ * @returns {Promise<Array<string>>} Email addresses
  */
+async function getAccountAddresses(message) {
+  const accountId = message.folder && message.folder.accountId;
+  if (!accountId) {
+    return [];
+  }
 
-// Date filter menu items are disabled due to API limitation
-// TODO: Implement custom date picker UI for date filtering
-// browser.menus.create({
-//   id: "date-today",
-//   title: browser.i18n.getMessage("dateToday"),
-//   contexts: ["message_list"],
-//   async onclick(info) {
-//     const { start, end } = getTodayRange();
-//     await filterByDateRange(start, end);
-//   },
-// });
-//
-// ... (other date menu items similarly disabled)
-
-// ============================================================================
-// TAG FILTERING
-// ============================================================================
+  const account = await browser.accounts.get(accountId);
+  return ((account && account.identities) || []).map(identity => identity.email).filter(Boolean);
+}
 
 /**
- * Filter messages by one or more tags.
- * Uses setQuickFilter with tags parameter.
+ * Filter a mail tab by the messages the user received as Bcc: neither sent
+ * by nor addressed (To or Cc) to any address of the message's account.
  *
- * @param {Array<string>} tags - Array of tag keys (e.g., ["$label1", "$label2"])
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {messages.MessageHeader} message - Message the menu was shown for
+ * @param {boolean} combine - Add to the current filter instead of replacing it
  * @returns {Promise<void>}
- *
- * Note: In Thunderbird, message.tags is already an array of tag strings (not objects).
- * There is no browser.messages.tags.list() API - tags are accessed via message.tags property.
  */
-async function filterByTags(tags) {
+async function filterByBccToMe(tabId, message, combine) {
   try {
-    ErrorUtils.validateType(tags, 'array');
-    ErrorUtils.validateArrayElements(tags, 'string');
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
 
-    // Convert array of tag strings to TagsDetail format required by setQuickFilter
-    // Input: ["test", "important"]
-    // Output: {tags: {mode: "any", tags: {"test": true, "important": true}}}
-    const tagsObject = {};
-    tags.forEach(tag => {
-      tagsObject[tag] = true;
-    });
+    const addresses = await getAccountAddresses(message);
+    if (addresses.length === 0) {
+      await browser.notifications.create({
+        type: 'basic',
+        title: 'No Identity',
+        message: browser.i18n.getMessage('recipientNoIdentity'),
+      });
+      return;
+    }
 
-    await browser.mailTabs.setQuickFilter({
-      tags: {
-        mode: "any", // Show messages with ANY of the selected tags
-        tags: tagsObject
-      }
-    });
+    const state = FilterUtils.criterionToState('bccTo', addresses);
+    if (combine) {
+      await addToCurrentFilter(tabId, state);
+      return;
+    }
+
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, { ...state, show: true });
+    console.log('[Recipient Filter] Filtered by Bcc to:', addresses);
+    await recordFilterHistory(state, 'menu');
   } catch (error) {
-    console.error('[Tag Filter] Error:', error);
-    ErrorUtils.logError(error, { context: 'tag filter', tags });
+    ErrorUtils.logError(error, { context: 'Bcc filter', tabId });
     await ErrorUtils.showErrorNotification(
       'Filter Failed',
-      `Could not filter by tags: ${error.message || 'Unknown error'}`,
+      'Could not filter by messages received as Bcc. Please try again.',
       { type: 'error' }
     );
   }
 }
 
-// ============================================================================
-// TAG FILTERING
-// ============================================================================
-
 /**
- * Create context menu separator for tag filters.
+ * Rebuild the "Recipient" submenu when the menu is shown for one message.
+ *
+ * @param {browser.menus.OnShownInfoType} info - Information about where the menu was shown
  */
-browser.menus.create({
-  type: "separator",
-  contexts: ["message_list"],
+browser.menus.onShown.addListener(async (info) => {
+  const page = info && info.selectedMessages;
+  if (!page || page.id || page.messages.length !== 1 || !shownMenuGroups.has('recipient')) {
+    return;
+  }
+
+  await rebuildRecipientMenu(page.messages[0]);
+  browser.menus.refresh();
 });
 
 /**
- * Create context menu item for filtering by this message's tags.
- * Filters messages to show all messages with the same tags as the selected message.
+ * Create context menu item for filtering by recipients.
+ * This menu item filters messages by all recipients.
+ *
+ * @type {browser.menus.CreateItemType}
  */
 browser.menus.create({
-  id: "tags-this-message",
-  title: browser.i18n.getMessage("tagsThisMessage"),
+  id: "recipients",
+  title: browser.i18n.getMessage("recipients"),
   contexts: ["message_list"],
-  async onclick(info) {
+  async onclick(info, tab) {
     try {
       ErrorUtils.validateNotNull(info, 'info');
       ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
@@ -404,23 +435,18 @@ browser.menus.create({
       const message = info.selectedMessages.messages[0];
       ErrorUtils.validateNotNull(message, 'message');
 
-      // Get tags from the selected message
-      // Note: message.tags is already an array of tag strings (not objects)
-      const tags = message.tags || [];
-
-      // If message has no tags, don't apply filter
-      if (tags.length === 0) {
-        console.log('[Tags-This-Message] Message has no tags, skipping filter');
-        return;
-      }
+      const recipients = AddressUtils.getFilterTexts(message.recipients);
+      ErrorUtils.validateString(recipients.join(", "), 'recipients');
 
-      // Tags are already strings, pass directly to filter function
-      await filterByTags(tags);
+      await openFilterDialog('recipients', recipients.join(", "), {
+        tabId: tab.id,
+        combine: isCombineClick(info),
+      });
     } catch (error) {
-      ErrorUtils.logError(error, { context: 'tags-this-message menu item' });
+      ErrorUtils.logError(error, { context: 'recipients menu item' });
       await ErrorUtils.showErrorNotification(
         'Filter Failed',
-        'Could not filter by this message\'s tags. Please try again.',
+        'Could not open filter dialog. Please try again.',
         { type: 'error' }
       );
     }
@@ -428,269 +454,2491 @@ browser.menus.create({
 });
 
 /**
- * Handle menu shown event to disable "Filter by This Message's Tags"
- * when the selected message has no tags.
+ * Create context menu item for filtering by subject.
+ * This menu item filters messages by the subject text.
+ *
+ * @type {browser.menus.CreateItemType}
  */
-browser.menus.onShown.addListener(async (info, tab) => {
-  try {
-    // Check if the selected message has tags
-    if (info.selectedMessages && info.selectedMessages.messages.length > 0) {
+browser.menus.create({
+  id: "subject",
+  title: browser.i18n.getMessage("subject"),
+  contexts: ["message_list"],
+  async onclick(info, tab) {
+    try {
+      ErrorUtils.validateNotNull(info, 'info');
+      ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
+
       const message = info.selectedMessages.messages[0];
-      const tags = message.tags || [];
-      const hasTags = tags.length > 0;
+      ErrorUtils.validateNotNull(message, 'message');
 
-      // Enable/disable the "Filter by This Message's Tags" menu item
-      console.log('[Menu-Update] Tags count:', tags.length, 'hasTags:', hasTags);
-      await browser.menus.update("tags-this-message", {
-        enabled: hasTags
-      });
-    } else {
-      // No message selected, disable the menu item
-      console.log('[Menu-Update] No message selected, disabling menu item');
-      await browser.menus.update("tags-this-message", {
-        enabled: false
+      await openFilterDialog('subject', message.subject, {
+        tabId: tab.id,
+        combine: isCombineClick(info),
       });
+    } catch (error) {
+      ErrorUtils.logError(error, { context: 'subject menu item' });
+      await ErrorUtils.showErrorNotification(
+        'Filter Failed',
+        'Could not open filter dialog. Please try again.',
+        { type: 'error' }
+      );
     }
-  } catch (error) {
-    console.error('[Menu-Update] Error updating menu state:', error);
-  }
+  },
 });
 
 // ============================================================================
-// ATTACHMENT STATUS FILTERING
+// THREAD SUBJECT AND TICKET FILTERING
 // ============================================================================
 
 /**
- * Filter messages by attachment status.
- * Uses setQuickFilter with attachment status parameter.
+ * Compiled subjectRules setting, updated when the setting changes.
+ * @type {Object}
+ */
+let subjectRules = SubjectUtils.compileRules(Settings.DEFAULT_SETTINGS.subjectRules);
+
+/**
+ * Load the subjectRules setting.
  *
- * @param {boolean} hasAttachment - true for has attachment, false for no attachment
  * @returns {Promise<void>}
  */
-async function filterByAttachmentStatus(hasAttachment) {
+async function loadSubjectRules() {
   try {
-    ErrorUtils.validateType(hasAttachment, 'boolean');
-
-    await browser.mailTabs.setQuickFilter({
-      attachmentStatus: hasAttachment ? "attached" : "missing",
-    });
-    console.log('[Attachment Filter] Filtered by attachment status:', hasAttachment ? 'has attachment' : 'no attachment');
+    subjectRules = SubjectUtils.compileRules(await Settings.getSetting('subjectRules'));
   } catch (error) {
-    ErrorUtils.logError(error, { context: 'attachment filter', hasAttachment });
-    await ErrorUtils.showErrorNotification(
-      'Filter Failed',
-      'Could not filter by attachment status. Please try again.',
-      { type: 'error' }
-    );
+    ErrorUtils.logError(error, { context: 'load subject rules' });
   }
 }
 
+Settings.onStorageChanged((changes, areaName) => {
+  if (areaName === 'sync' && changes.subjectRules) {
+    loadSubjectRules();
+  }
+});
+
+/**
+ * Create context menu item for filtering by the thread subject: the subject
+ * without reply prefixes and mailing list tags, so that it also finds the
+ * original message and the other replies.
+ *
+ * @type {browser.menus.CreateItemType}
+ */
+browser.menus.create({
+  id: "subject-thread",
+  title: browser.i18n.getMessage("subjectThread"),
+  contexts: ["message_list"],
+  async onclick(info, tab) {
+    try {
+      ErrorUtils.validateNotNull(info, 'info');
+      ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
+
+      const message = info.selectedMessages.messages[0];
+      ErrorUtils.validateNotNull(message, 'message');
+
+      const subject = SubjectUtils.normalizeSubject(message.subject, subjectRules);
+      ErrorUtils.validateString(subject, 'subject');
+
+      await openFilterDialog('subject', subject, {
+        tabId: tab.id,
+        combine: isCombineClick(info),
+      });
+    } catch (error) {
+      ErrorUtils.logError(error, { context: 'subject-thread menu item' });
+      await ErrorUtils.showErrorNotification(
+        'Filter Failed',
+        'Could not open filter dialog. Please try again.',
+        { type: 'error' }
+      );
+    }
+  },
+});
+
+/**
+ * Create context menu item for filtering by the ticket ID of the subject,
+ * e.g. "#1234" or "PROJ-42". Disabled when the subject has none.
+ *
+ * @type {browser.menus.CreateItemType}
+ */
+browser.menus.create({
+  id: "subject-ticket",
+  title: browser.i18n.getMessage("subjectTicket"),
+  contexts: ["message_list"],
+  async onclick(info, tab) {
+    try {
+      ErrorUtils.validateNotNull(info, 'info');
+      ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
+
+      const message = info.selectedMessages.messages[0];
+      ErrorUtils.validateNotNull(message, 'message');
+
+      const ticketId = SubjectUtils.extractTicketId(message.subject, subjectRules);
+      if (!ticketId) {
+        await browser.notifications.create({
+          type: 'basic',
+          title: 'No Ticket ID',
+          message: browser.i18n.getMessage('subjectNoTicket'),
+        });
+        return;
+      }
+
+      await openFilterDialog('subject', ticketId, {
+        tabId: tab.id,
+        combine: isCombineClick(info),
+      });
+    } catch (error) {
+      ErrorUtils.logError(error, { context: 'subject-ticket menu item' });
+      await ErrorUtils.showErrorNotification(
+        'Filter Failed',
+        'Could not open filter dialog. Please try again.',
+        { type: 'error' }
+      );
+    }
+  },
+});
+
+/**
+ * Enable "Subject (Ticket ID)" only for messages with a ticket ID.
+ *
+ * @param {browser.menus.OnShownInfoType} info - Information about where the menu was shown
+ */
+browser.menus.onShown.addListener(async (info) => {
+  try {
+    const messages = (info && info.selectedMessages && info.selectedMessages.messages) || [];
+    const hasTicket = messages.length > 0 && SubjectUtils.extractTicketId(messages[0].subject, subjectRules) !== null;
+    await browser.menus.update("subject-ticket", { enabled: hasTicket });
+    browser.menus.refresh();
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'subject-ticket menu state' });
+  }
+});
+
+// ============================================================================
+// MAILING LIST AND HEADER FILTERING
+// ============================================================================
+
+/**
+ * Create context menu item for filtering by the mailing list of a message,
+ * read from its List-Id (or List-Post) header. The Quick Filter bar cannot
+ * search headers, so the filter is a header condition of the experiment.
+ *
+ * @type {browser.menus.CreateItemType}
+ */
+browser.menus.create({
+  id: "mailingList",
+  title: browser.i18n.getMessage("mailingList"),
+  contexts: ["message_list"],
+  async onclick(info, tab) {
+    try {
+      ErrorUtils.validateNotNull(info, 'info');
+      ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
+
+      const message = info.selectedMessages.messages[0];
+      ErrorUtils.validateNotNull(message, 'message');
+
+      // Headers are not part of messages.MessageHeader
+      const full = await browser.messages.getFull(message.id);
+      const list = HeaderUtils.getMailingList(full.headers);
+      if (!list) {
+        await browser.notifications.create({
+          type: 'basic',
+          title: 'No Mailing List',
+          message: browser.i18n.getMessage('mailingListNone'),
+        });
+        return;
+      }
+
+      await openFilterDialog('header', list.text, {
+        tabId: tab.id,
+        combine: isCombineClick(info),
+        header: list.header,
+      });
+    } catch (error) {
+      ErrorUtils.logError(error, { context: 'mailingList menu item' });
+      await ErrorUtils.showErrorNotification(
+        'Filter Failed',
+        'Could not open filter dialog. Please try again.',
+        { type: 'error' }
+      );
+    }
+  },
+});
+
+/**
+ * Create context menu item for filtering by any header of a message
+ * (X-Mailer, Reply-To, ...). The dialog lists the headers of the message
+ * to pick one and edit its value.
+ *
+ * @type {browser.menus.CreateItemType}
+ */
+browser.menus.create({
+  id: "messageHeader",
+  title: browser.i18n.getMessage("messageHeader"),
+  contexts: ["message_list"],
+  async onclick(info, tab) {
+    try {
+      ErrorUtils.validateNotNull(info, 'info');
+      ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
+
+      const message = info.selectedMessages.messages[0];
+      ErrorUtils.validateNotNull(message, 'message');
+
+      // The value is taken from the header picked in the dialog
+      await openFilterDialog('header', '', {
+        tabId: tab.id,
+        combine: isCombineClick(info),
+        messageId: message.id,
+      });
+    } catch (error) {
+      ErrorUtils.logError(error, { context: 'messageHeader menu item' });
+      await ErrorUtils.showErrorNotification(
+        'Filter Failed',
+        'Could not open filter dialog. Please try again.',
+        { type: 'error' }
+      );
+    }
+  },
+});
+
+// ============================================================================
+// CONVERSATION FILTERING
+// ============================================================================
+
+/**
+ * Create context menu item for showing the conversation of a message: the
+ * messages linked to it through Message-ID, References and In-Reply-To.
+ *
+ * @type {browser.menus.CreateItemType}
+ */
+browser.menus.create({
+  id: "conversation",
+  title: browser.i18n.getMessage("conversation"),
+  contexts: ["message_list"],
+  async onclick(info, tab) {
+    const message = info && info.selectedMessages && info.selectedMessages.messages[0];
+    await showConversation(tab.id, message, isCombineClick(info));
+  },
+});
+
+/**
+ * Restrict a mail tab to the conversation of a message, found by walking
+ * the Message-ID and References headers of the messages of the folder
+ * (of all searched folders in unified and virtual folders).
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {messages.MessageHeader} message - Message the menu was shown for
+ * @param {boolean} combine - Add to the current filter instead of replacing it
+ * @returns {Promise<void>}
+ */
+async function showConversation(tabId, message, combine) {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+    ErrorUtils.validateNotNull(message, 'message');
+    ErrorUtils.validateString(message.headerMessageId, 'message.headerMessageId');
+
+    const messageIds = await ThreadUtils.collectThread(
+      message.headerMessageId,
+      ids => browser.MessagesListAdapter.findRelatedMessages(tabId, ids)
+    );
+    const state = FilterUtils.criterionToState('conversation', messageIds);
+    if (combine) {
+      await addToCurrentFilter(tabId, state);
+      return;
+    }
+
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, { ...state, show: true });
+    console.log('[Conversation Filter] Messages in conversation:', messageIds.length);
+    await recordFilterHistory(state, 'menu');
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'conversation filter', tabId });
+    await ErrorUtils.showErrorNotification(
+      'Filter Failed',
+      'Could not show the conversation. Please try again.',
+      { type: 'error' }
+    );
+  }
+}
+
+// ============================================================================
+// MESSAGE FILTER RULES
+// ============================================================================
+
+/**
+ * Create context menu item for turning the criteria of a message (sender,
+ * subject, mailing list) into a permanent message filter rule.
+ *
+ * @type {browser.menus.CreateItemType}
+ */
+browser.menus.create({
+  id: "messageFilter",
+  title: browser.i18n.getMessage("messageFilter"),
+  contexts: ["message_list"],
+  async onclick(info) {
+    try {
+      const message = info && info.selectedMessages && info.selectedMessages.messages[0];
+      ErrorUtils.validateNotNull(message, 'message');
+
+      await openMessageFilterDialog(message.id);
+    } catch (error) {
+      ErrorUtils.logError(error, { context: 'messageFilter menu item' });
+      await ErrorUtils.showErrorNotification(
+        'Filter Rule Failed',
+        'Could not open message filter dialog. Please try again.',
+        { type: 'error' }
+      );
+    }
+  },
+});
+
+/**
+ * Open the dialog building a message filter rule from a message.
+ * The dialog answers with a createMessageFilter message.
+ *
+ * @param {number} messageId - ID of the message the rule is built from
+ * @returns {Promise<void>}
+ */
+async function openMessageFilterDialog(messageId) {
+  try {
+    ErrorUtils.validateType(messageId, 'number', 'messageId');
+
+    await browser.windows.create({
+      url: `dialog/message-filter.html?messageId=${encodeURIComponent(messageId)}`,
+      type: 'popup',
+      width: 520,
+      height: 560,
+    });
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'openMessageFilterDialog', messageId });
+    throw error;
+  }
+}
+
+/**
+ * Add a rule built in the message filter dialog to the Message Filters of
+ * the account of its message.
+ *
+ * @param {number} messageId - ID of the message the rule was built from
+ * @param {Object} rule - FilterRule ({name, conditions, actions})
+ * @returns {Promise<void>}
+ */
+async function createMessageFilterRule(messageId, rule) {
+  try {
+    ErrorUtils.validateType(messageId, 'number', 'messageId');
+    const problems = RuleUtils.getRuleProblems(rule);
+    if (problems.length > 0) {
+      throw new Error(`Incomplete filter rule: ${problems.join(', ')}`);
+    }
+
+    const account = await browser.MessagesListAdapter.createMessageFilter(messageId, rule);
+    console.log('[Message Filter] Rule added to account:', account);
+    await browser.notifications.create({
+      type: 'basic',
+      title: rule.name,
+      message: browser.i18n.getMessage('messageFilterCreated'),
+    });
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'createMessageFilterRule', messageId, rule });
+    await ErrorUtils.showErrorNotification(
+      'Filter Rule Failed',
+      `Could not create the message filter: ${error.message}`,
+      { type: 'error' }
+    );
+  }
+}
+
+// ============================================================================
+// MULTI-SELECTION FILTERING
+// ============================================================================
+
+/**
+ * Get all selected messages of a menu click.
+ * Large selections are delivered in pages, which are read until the end.
+ *
+ * @param {browser.menus.OnClickData} info - Menu click information
+ * @returns {Promise<Array<browser.messages.MessageHeader>>} Selected messages
+ */
+async function getSelectedMessages(info) {
+  ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
+
+  let page = info.selectedMessages;
+  const messages = [...page.messages];
+  while (page.id) {
+    page = await browser.messages.continueList(page.id);
+    messages.push(...page.messages);
+  }
+  return messages;
+}
+
+/**
+ * Filter a mail tab by criteria built from several selected messages,
+ * or add them to the current filter.
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {Object} state - QuickFilterState holding the criteria
+ * @param {boolean} combine - Add to the current filter instead of replacing it
+ * @returns {Promise<void>}
+ */
+async function filterBySelection(tabId, state, combine) {
+  if (combine) {
+    await addToCurrentFilter(tabId, state);
+    return;
+  }
+
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, { ...state, show: true });
+    console.log('[Selection Filter] Filtered by selected messages:', state);
+    await recordFilterHistory(state, 'menu');
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'selection filter', tabId, state });
+    await ErrorUtils.showErrorNotification(
+      'Filter Failed',
+      'Could not filter by the selected messages. Please try again.',
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Create context menu item for filtering by the senders of the selected
+ * messages. Shown when several messages are selected; senders are compared
+ * by email address, so each one is searched once.
+ */
+browser.menus.create({
+  id: "selection-senders",
+  title: browser.i18n.getMessage("selectionSenders"),
+  contexts: ["message_list"],
+  async onclick(info, tab) {
+    try {
+      const messages = await getSelectedMessages(info);
+      const addresses = messages.map(message => AddressUtils.getAddress(message.author));
+
+      await filterBySelection(tab.id, FilterUtils.anyOfToState('senderEmail', addresses), isCombineClick(info));
+    } catch (error) {
+      ErrorUtils.logError(error, { context: 'selection-senders menu item' });
+      await ErrorUtils.showErrorNotification(
+        'Filter Failed',
+        'Could not filter by the selected senders. Please try again.',
+        { type: 'error' }
+      );
+    }
+  },
+});
+
+/**
+ * Create context menu item for filtering by the subjects of the selected
+ * messages. Shown when several messages are selected.
+ */
+browser.menus.create({
+  id: "selection-subjects",
+  title: browser.i18n.getMessage("selectionSubjects"),
+  contexts: ["message_list"],
+  async onclick(info, tab) {
+    try {
+      const messages = await getSelectedMessages(info);
+      const subjects = messages.map(message => message.subject);
+
+      await filterBySelection(tab.id, FilterUtils.anyOfToState('subject', subjects), isCombineClick(info));
+    } catch (error) {
+      ErrorUtils.logError(error, { context: 'selection-subjects menu item' });
+      await ErrorUtils.showErrorNotification(
+        'Filter Failed',
+        'Could not filter by the selected subjects. Please try again.',
+        { type: 'error' }
+      );
+    }
+  },
+});
+
+/**
+ * Create context menu item for filtering by the tags of the selected
+ * messages, any of them. Shown when several messages are selected.
+ */
+browser.menus.create({
+  id: "selection-tags",
+  title: browser.i18n.getMessage("selectionTags"),
+  contexts: ["message_list"],
+  async onclick(info, tab) {
+    try {
+      const messages = await getSelectedMessages(info);
+      const tags = [...new Set(messages.flatMap(message => message.tags || []))];
+
+      if (tags.length === 0) {
+        await browser.notifications.create({
+          type: 'basic',
+          title: 'No Tags',
+          message: browser.i18n.getMessage('selectionNoTags'),
+        });
+        return;
+      }
+
+      await filterBySelection(tab.id, FilterUtils.criterionToState('tags', tags), isCombineClick(info));
+    } catch (error) {
+      ErrorUtils.logError(error, { context: 'selection-tags menu item' });
+      await ErrorUtils.showErrorNotification(
+        'Filter Failed',
+        'Could not filter by the tags of the selected messages. Please try again.',
+        { type: 'error' }
+      );
+    }
+  },
+});
+
+// ============================================================================
+// DATE FILTERING
+// ============================================================================
+
+/**
+ * Filter messages of a mail tab by date range.
+ *
+ * Thunderbird's Quick Filter API (browser.mailTabs.setQuickFilter) has no date
+ * field, so the range is applied through the MessagesListAdapter experiment,
+ * which adds date search terms to the about:3pane view. The constraint is
+ * combined with any active Quick Filter and dropped when the folder changes.
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @param {string} [source='menu'] - Where the filter was applied from, for history
+ * @returns {Promise<void>}
+ */
+async function filterByDateRange(tabId, start, end, source = 'menu') {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+
+    // Warn instead of showing an empty list. All folders of the view are
+    // searched, e.g. those of a unified folder.
+    const range = DateUtils.toTimestampRange({ start, end });
+    const found = await browser.MessagesListAdapter.searchMessages(
+      tabId, { scope: 'folder', maxResults: 1 }, FilterUtils.criterionToState('date', range)
+    );
+
+    if (found.messageIds.length === 0) {
+      await browser.notifications.create({
+        type: 'basic',
+        title: 'No Messages Found',
+        message: browser.i18n.getMessage('dateNoMessages'),
+      });
+      return;
+    }
+
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setDateFilter(tabId, range);
+    console.log('[Date Filter] Filtered by date range:', start, end);
+    await recordFilterHistory(FilterUtils.criterionToState('date', range), source);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'date filter', start, end });
+    await ErrorUtils.showErrorNotification(
+      'Filter Failed',
+      'Could not filter by date. Please try again.',
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Remove the date constraint from a mail tab.
+ *
+ * @param {number} tabId - ID of the mail tab
+ * @returns {Promise<void>}
+ */
+async function clearDateFilter(tabId) {
+  try {
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setDateFilter(tabId, null);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'clear date filter', tabId });
+  }
+}
+
+/**
+ * Create context menu separator.
+ */
+browser.menus.create({
+  id: "separator-date",
+  type: "separator",
+  contexts: ["message_list"],
+});
+
+/**
+ * Create context menu for date filters.
+ */
+browser.menus.create({
+  id: "date-filter-menu",
+  title: browser.i18n.getMessage("date"),
+  contexts: ["message_list"],
+});
+
+/**
+ * Date presets shown in the date submenu, in display order.
+ * Each entry creates a "date-<preset>" menu item.
+ *
+ * @type {Array<{preset: string, titleKey: string}>}
+ */
+const DATE_MENU_ITEMS = [
+  { preset: DateUtils.DATE_PRESETS.TODAY, titleKey: "dateToday" },
+  { preset: DateUtils.DATE_PRESETS.YESTERDAY, titleKey: "dateYesterday" },
+  { preset: DateUtils.DATE_PRESETS.THIS_WEEK, titleKey: "dateThisWeek" },
+  { preset: DateUtils.DATE_PRESETS.LAST_7_DAYS, titleKey: "dateLast7Days" },
+  { preset: DateUtils.DATE_PRESETS.LAST_30_DAYS, titleKey: "dateLast30Days" },
+  { preset: DateUtils.DATE_PRESETS.THIS_MONTH, titleKey: "dateThisMonth" },
+  { preset: DateUtils.DATE_PRESETS.THIS_YEAR, titleKey: "dateThisYear" },
+];
+
+for (const { preset, titleKey } of DATE_MENU_ITEMS) {
+  browser.menus.create({
+    id: `date-${preset}`,
+    title: browser.i18n.getMessage(titleKey),
+    contexts: ["message_list"],
+    parentId: "date-filter-menu",
+    async onclick(info, tab) {
+      // Ranges are computed on click so "Today" is always current
+      const { start, end } = DateUtils.getPresetRange(preset);
+      if (isCombineClick(info)) {
+        await addToCurrentFilter(tab.id, FilterUtils.criterionToState('date', DateUtils.toTimestampRange({ start, end })));
+      } else {
+        await filterByDateRange(tab.id, start, end);
+      }
+    },
+  });
+}
+
+/**
+ * Create context menu item for filtering by a custom date range.
+ * Opens a dialog with from/to inputs and quick range chips.
+ */
+browser.menus.create({
+  id: "date-between",
+  title: browser.i18n.getMessage("dateBetween"),
+  contexts: ["message_list"],
+  parentId: "date-filter-menu",
+  async onclick(info, tab) {
+    try {
+      await openDateRangeDialog(tab.id);
+    } catch (error) {
+      ErrorUtils.logError(error, { context: 'date-between menu item' });
+      await ErrorUtils.showErrorNotification(
+        'Filter Failed',
+        'Could not open date range dialog. Please try again.',
+        { type: 'error' }
+      );
+    }
+  },
+});
+
+/**
+ * Create context menu separator inside the date submenu.
+ */
+browser.menus.create({
+  id: "date-separator",
+  type: "separator",
+  contexts: ["message_list"],
+  parentId: "date-filter-menu",
+});
+
+/**
+ * Create context menu item for removing the date constraint.
+ */
+browser.menus.create({
+  id: "date-clear",
+  title: browser.i18n.getMessage("dateClear"),
+  contexts: ["message_list"],
+  parentId: "date-filter-menu",
+  async onclick(info, tab) {
+    await clearDateFilter(tab.id);
+  },
+});
+
+// ============================================================================
+// TAG FILTERING
+// ============================================================================
+
+/**
+ * Filter messages by one or more tags, any of them. Like the other menu
+ * filters, it replaces the whole current filter, including criteria only
+ * the experiment searches (conversations, headers, alternatives).
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {Array<string>} tags - Array of tag keys (e.g., ["$label1", "$label2"])
+ * @param {string} [source='menu'] - Where the filter was applied from, for history
+ * @returns {Promise<void>}
+ *
+ * Note: In Thunderbird, message.tags is already an array of tag strings (not objects).
+ * There is no browser.messages.tags.list() API - tags are accessed via message.tags property.
+ */
+async function filterByTags(tabId, tags, source = 'menu') {
+  try {
+    ErrorUtils.validateType(tags, 'array');
+    ErrorUtils.validateArrayElements(tags, 'string');
+
+    // Tag keys become {mode: "any", tags: {"test": true, "important": true}}
+    const state = FilterUtils.criterionToState('tags', tags);
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, { ...state, show: true });
+    await recordFilterHistory(state, source);
+  } catch (error) {
+    console.error('[Tag Filter] Error:', error);
+    ErrorUtils.logError(error, { context: 'tag filter', tags });
+    await ErrorUtils.showErrorNotification(
+      'Filter Failed',
+      `Could not filter by tags: ${error.message || 'Unknown error'}`,
+      { type: 'error' }
+    );
+  }
+}
+
+// ============================================================================
+// TAG FILTERING
+// ============================================================================
+
+/**
+ * Create context menu separator for tag filters.
+ */
+browser.menus.create({
+  id: "separator-tags",
+  type: "separator",
+  contexts: ["message_list"],
+});
+
+/**
+ * Create context menu item for filtering by this message's tags.
+ * Filters messages to show all messages with the same tags as the selected message.
+ */
+browser.menus.create({
+  id: "tags-this-message",
+  title: browser.i18n.getMessage("tagsThisMessage"),
+  contexts: ["message_list"],
+  async onclick(info, tab) {
+    try {
+      ErrorUtils.validateNotNull(info, 'info');
+      ErrorUtils.validateNotNull(info.selectedMessages, 'info.selectedMessages');
+
+      const message = info.selectedMessages.messages[0];
+      ErrorUtils.validateNotNull(message, 'message');
+
+      // Get tags from the selected message
+      // Note: message.tags is already an array of tag strings (not objects)
+      const tags = message.tags || [];
+
+      // If message has no tags, don't apply filter
+      if (tags.length === 0) {
+        console.log('[Tags-This-Message] Message has no tags, skipping filter');
+        return;
+      }
+
+      // Tags are already strings, pass directly to filter function
+      if (isCombineClick(info)) {
+        await addToCurrentFilter(tab.id, FilterUtils.criterionToState('tags', tags));
+      } else {
+        await filterByTags(tab.id, tags);
+      }
+    } catch (error) {
+      ErrorUtils.logError(error, { context: 'tags-this-message menu item' });
+      await ErrorUtils.showErrorNotification(
+        'Filter Failed',
+        'Could not filter by this message\'s tags. Please try again.',
+        { type: 'error' }
+      );
+    }
+  },
+});
+
+/**
+ * Handle menu shown event to disable "Filter by This Message's Tags"
+ * when the selected message has no tags.
+ */
+browser.menus.onShown.addListener(async (info, tab) => {
+  try {
+    // Check if the selected message has tags
+    if (info.selectedMessages && info.selectedMessages.messages.length > 0) {
+      const message = info.selectedMessages.messages[0];
+      const tags = message.tags || [];
+      const hasTags = tags.length > 0;
+
+      // Enable/disable the "Filter by This Message's Tags" menu item
+      console.log('[Menu-Update] Tags count:', tags.length, 'hasTags:', hasTags);
+      await browser.menus.update("tags-this-message", {
+        enabled: hasTags
+      });
+    } else {
+      // No message selected, disable the menu item
+      console.log('[Menu-Update] No message selected, disabling menu item');
+      await browser.menus.update("tags-this-message", {
+        enabled: false
+      });
+    }
+  } catch (error) {
+    console.error('[Menu-Update] Error updating menu state:', error);
+  }
+});
+
+// ============================================================================
+// ATTACHMENT STATUS FILTERING
+// ============================================================================
+
+/**
+ * Filter messages by attachment status.
+ *
+ * browser.mailTabs.setQuickFilter cannot express "no attachment", so the
+ * native Quick Filter bar's attachment button is toggled through the
+ * MessagesListAdapter experiment instead. Other active Quick Filter
+ * criteria are kept.
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {boolean} hasAttachment - true for has attachment, false for no attachment
+ * @param {string} [source='menu'] - Where the filter was applied from, for history
+ * @returns {Promise<void>}
+ */
+async function filterByAttachmentStatus(tabId, hasAttachment, source = 'menu') {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+    ErrorUtils.validateType(hasAttachment, 'boolean');
+
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setAttachmentFilter(
+      tabId,
+      hasAttachment ? "attached" : "missing"
+    );
+    console.log('[Attachment Filter] Filtered by attachment status:', hasAttachment ? 'has attachment' : 'no attachment');
+    await recordFilterHistory(FilterUtils.criterionToState('attachment', hasAttachment), source);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'attachment filter', hasAttachment });
+    await ErrorUtils.showErrorNotification(
+      'Filter Failed',
+      'Could not filter by attachment status. Please try again.',
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Create context menu separator for attachment filters.
+ */
+browser.menus.create({
+  id: "separator-attachment",
+  type: "separator",
+  contexts: ["message_list"],
+});
+
+/**
+ * Create context menu for attachment filters.
+ */
+browser.menus.create({
+  id: "attachment-filter-menu",
+  title: browser.i18n.getMessage("attachment"),
+  contexts: ["message_list"],
+});
+
+/**
+ * Create context menu item for filtering messages with attachments.
+ */
+browser.menus.create({
+  id: "attachment-has",
+  title: browser.i18n.getMessage("attachmentHas"),
+  contexts: ["message_list"],
+  parentId: "attachment-filter-menu",
+  async onclick(info, tab) {
+    if (isCombineClick(info)) {
+      await addToCurrentFilter(tab.id, FilterUtils.criterionToState('attachment', true));
+    } else {
+      await filterByAttachmentStatus(tab.id, true);
+    }
+  },
+});
+
+/**
+ * Create context menu item for filtering messages without attachments.
+ */
+browser.menus.create({
+  id: "attachment-none",
+  title: browser.i18n.getMessage("attachmentNone"),
+  contexts: ["message_list"],
+  parentId: "attachment-filter-menu",
+  async onclick(info, tab) {
+    if (isCombineClick(info)) {
+      await addToCurrentFilter(tab.id, FilterUtils.criterionToState('attachment', false));
+    } else {
+      await filterByAttachmentStatus(tab.id, false);
+    }
+  },
+});
+
+// ============================================================================
+// READ/UNREAD STATUS FILTERING
+// ============================================================================
+
+/**
+ * Filter messages by read status (unread or read), replacing the current
+ * filter.
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {boolean} isUnread - true for unread, false for read
+ * @param {string} [source='menu'] - Where the filter was applied from, for history
+ * @returns {Promise<void>}
+ */
+async function filterByReadStatus(tabId, isUnread, source = 'menu') {
+  try {
+    ErrorUtils.validateType(isUnread, 'boolean');
+
+    const state = FilterUtils.criterionToState('unread', isUnread);
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, { ...state, show: true });
+    console.log('[Read Status Filter] Filtered by read status:', isUnread ? 'unread' : 'read');
+    await recordFilterHistory(state, source);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'read status filter', isUnread });
+    await ErrorUtils.showErrorNotification(
+      browser.i18n.getMessage('readFailed'),
+      error.message,
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Create context menu separator for read status filters.
+ */
+browser.menus.create({
+  id: "separator-readStatus",
+  type: "separator",
+  contexts: ["message_list"],
+});
+
+/**
+ * Create context menu for read status filters.
+ */
+browser.menus.create({
+  id: "read-status-menu",
+  title: browser.i18n.getMessage("readStatus"),
+  contexts: ["message_list"],
+});
+
+/**
+ * Create context menu item for filtering unread messages.
+ */
+browser.menus.create({
+  id: "read-unread",
+  title: browser.i18n.getMessage("readUnread"),
+  contexts: ["message_list"],
+  parentId: "read-status-menu",
+  async onclick(info, tab) {
+    if (isCombineClick(info)) {
+      await addToCurrentFilter(tab.id, FilterUtils.criterionToState('unread', true));
+    } else {
+      await filterByReadStatus(tab.id, true);
+    }
+  },
+});
+
+/**
+ * Create context menu item for filtering read messages.
+ */
+browser.menus.create({
+  id: "read-read",
+  title: browser.i18n.getMessage("readRead"),
+  contexts: ["message_list"],
+  parentId: "read-status-menu",
+  async onclick(info, tab) {
+    if (isCombineClick(info)) {
+      await addToCurrentFilter(tab.id, FilterUtils.criterionToState('unread', false));
+    } else {
+      await filterByReadStatus(tab.id, false);
+    }
+  },
+});
+
+// ============================================================================
+// FLAGGED STATUS FILTERING
+// ============================================================================
+
+/**
+ * Filter messages by flagged (starred) status.
+ *
+ * browser.mailTabs.setQuickFilter cannot express "not starred", so the
+ * filter is applied through the MessagesListAdapter experiment, which sets
+ * the inverted state of the native starred button. Like the other menu
+ * filters, it replaces the current filter.
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {boolean} isFlagged - True for starred messages, false for the others
+ * @param {string} [source='menu'] - Where the filter was applied from, for history
+ * @returns {Promise<void>}
+ */
+async function filterByFlaggedStatus(tabId, isFlagged, source = 'menu') {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+    ErrorUtils.validateType(isFlagged, 'boolean');
+
+    const state = FilterUtils.criterionToState('flagged', isFlagged);
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, { ...state, show: true });
+    console.log('[Flagged Filter] Filtered by flagged status:', isFlagged ? 'starred' : 'not starred');
+    await recordFilterHistory(state, source);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'flagged status filter', isFlagged });
+    await ErrorUtils.showErrorNotification(
+      browser.i18n.getMessage('flaggedFailed'),
+      error.message,
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Create context menu for flagged status filters.
+ * Shares the separator of the read status filters.
+ */
+browser.menus.create({
+  id: "flagged-status-menu",
+  title: browser.i18n.getMessage("flaggedStatus"),
+  contexts: ["message_list"],
+});
+
+/**
+ * Create context menu item for filtering starred messages.
+ */
+browser.menus.create({
+  id: "flagged-flagged",
+  title: browser.i18n.getMessage("flaggedFlagged"),
+  contexts: ["message_list"],
+  parentId: "flagged-status-menu",
+  async onclick(info, tab) {
+    if (isCombineClick(info)) {
+      await addToCurrentFilter(tab.id, FilterUtils.criterionToState('flagged', true));
+    } else {
+      await filterByFlaggedStatus(tab.id, true);
+    }
+  },
+});
+
+/**
+ * Create context menu item for filtering messages that are not starred.
+ */
+browser.menus.create({
+  id: "flagged-unflagged",
+  title: browser.i18n.getMessage("flaggedUnflagged"),
+  contexts: ["message_list"],
+  parentId: "flagged-status-menu",
+  async onclick(info, tab) {
+    if (isCombineClick(info)) {
+      await addToCurrentFilter(tab.id, FilterUtils.criterionToState('flagged', false));
+    } else {
+      await filterByFlaggedStatus(tab.id, false);
+    }
+  },
+});
+
+// ============================================================================
+// CONTACT FILTERING
+// ============================================================================
+
+/**
+ * Maximum number of addresses in an "unknown senders" filter.
+ * Each address is a search term; the most recent senders are kept.
+ *
+ * @constant {number}
+ */
+const MAX_UNKNOWN_SENDERS = 100;
+
+/**
+ * Filter messages from senders in the user's address books, using the
+ * native "Contact" button of the Quick Filter bar.
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {string} [source='menu'] - Where the filter was applied from, for history
+ * @returns {Promise<void>}
+ */
+async function filterByKnownSenders(tabId, source = 'menu') {
+  try {
+    const state = FilterUtils.criterionToState('contact', true);
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, { ...state, show: true });
+    console.log('[Contact Filter] Filtered by senders in the address books');
+    await recordFilterHistory(state, source);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'known senders filter' });
+    await ErrorUtils.showErrorNotification(
+      browser.i18n.getMessage('contactFailed'),
+      error.message,
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Build a filter matching the senders of the displayed folder that are not
+ * in the user's address books.
+ *
+ * The native "Contact" button cannot be inverted, so the senders of the
+ * folder are checked against the address books and the unknown ones are
+ * searched for. Returns null, after telling the user, when there are none.
+ *
+ * @param {number} tabId - ID of the mail tab
+ * @returns {Promise<Object|null>} QuickFilterState, or null
+ */
+async function buildUnknownSendersState(tabId) {
+  const mailTab = await browser.mailTabs.get(tabId);
+
+  let page = await browser.messages.query({ folder: mailTab.displayedFolder });
+  const messages = [...page.messages];
+  while (page.id) {
+    page = await browser.messages.continueList(page.id);
+    messages.push(...page.messages);
+  }
+
+  // Most recent first, so they are kept if the list is cut
+  messages.sort((a, b) => new Date(b.date) - new Date(a.date));
+  const addresses = messages.map(message => AddressUtils.getAddress(message.author));
+
+  const knownAddresses = await ContactUtils.loadKnownAddresses();
+  const { unknown } = ContactUtils.partitionAddresses(addresses, knownAddresses);
+
+  if (unknown.length === 0) {
+    await browser.notifications.create({
+      type: 'basic',
+      title: 'No Unknown Senders',
+      message: browser.i18n.getMessage('contactNoUnknown'),
+    });
+    return null;
+  }
+
+  if (unknown.length > MAX_UNKNOWN_SENDERS) {
+    await browser.notifications.create({
+      type: 'basic',
+      title: 'Unknown Senders',
+      message: browser.i18n.getMessage('contactTooManyUnknown'),
+    });
+  }
+
+  return FilterUtils.anyOfToState('senderEmail', unknown.slice(0, MAX_UNKNOWN_SENDERS));
+}
+
+/**
+ * Filter messages of a mail tab from senders that are not in the user's
+ * address books, or add that criterion to the current filter.
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {boolean} combine - Add to the current filter instead of replacing it
+ * @returns {Promise<void>}
+ */
+async function filterByUnknownSenders(tabId, combine) {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+
+    const state = await buildUnknownSendersState(tabId);
+    if (!state) {
+      return;
+    }
+
+    if (combine) {
+      await addToCurrentFilter(tabId, state);
+      return;
+    }
+
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, { ...state, show: true });
+    console.log('[Contact Filter] Filtered by unknown senders:', state.anyOf.length || 1);
+    await recordFilterHistory(state, 'menu');
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'unknown senders filter', tabId });
+    await ErrorUtils.showErrorNotification(
+      browser.i18n.getMessage('contactFailed'),
+      error.message,
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Create context menu separator for contact filters.
+ */
+browser.menus.create({
+  id: "separator-contacts",
+  type: "separator",
+  contexts: ["message_list"],
+});
+
+/**
+ * Create context menu for contact filters.
+ */
+browser.menus.create({
+  id: "contact-status-menu",
+  title: browser.i18n.getMessage("contactStatus"),
+  contexts: ["message_list"],
+});
+
+/**
+ * Create context menu item for filtering messages from people in the
+ * address books.
+ */
+browser.menus.create({
+  id: "contact-known",
+  title: browser.i18n.getMessage("contactKnown"),
+  contexts: ["message_list"],
+  parentId: "contact-status-menu",
+  async onclick(info, tab) {
+    if (isCombineClick(info)) {
+      await addToCurrentFilter(tab.id, FilterUtils.criterionToState('contact', true));
+    } else {
+      await filterByKnownSenders(tab.id);
+    }
+  },
+});
+
+/**
+ * Create context menu item for filtering messages from senders that are
+ * not in the address books.
+ */
+browser.menus.create({
+  id: "contact-unknown",
+  title: browser.i18n.getMessage("contactUnknown"),
+  contexts: ["message_list"],
+  parentId: "contact-status-menu",
+  async onclick(info, tab) {
+    await filterByUnknownSenders(tab.id, isCombineClick(info));
+  },
+});
+
+// ============================================================================
+// MENU VISIBILITY HANDLER
+// ============================================================================
+
+/**
+ * Top-level menu items of each context menu group, keyed by the group names
+ * of the showContextMenus setting. Submenu items follow their parent.
+ * An item listed in several groups is shown if any of them is.
+ *
+ * @constant {Object<string, Array<string>>}
+ */
+const MENU_GROUP_ITEMS = {
+  sender: ["sender"],
+  senderEmail: ["senderEmail"],
+  senderDomain: ["senderDomain", "senderParentDomain"],
+  recipient: ["recipient"],
+  recipients: ["recipients"],
+  subject: ["subject", "subject-thread", "subject-ticket"],
+  headers: ["mailingList", "messageHeader"],
+  conversation: ["conversation"],
+  messageFilter: ["messageFilter"],
+  selection: ["selection-senders", "selection-subjects", "selection-tags"],
+  date: ["separator-date", "date-filter-menu"],
+  tags: ["separator-tags", "tags-this-message"],
+  attachment: ["separator-attachment", "attachment-filter-menu"],
+  readStatus: ["separator-readStatus", "read-status-menu"],
+  flaggedStatus: ["separator-readStatus", "flagged-status-menu"],
+  contacts: ["separator-contacts", "contact-status-menu"],
+  savedFilters: ["separator-savedFilters", "saved-filters-menu"],
+  recentFilters: ["recent-filters-menu"],
+  scope: ["scope-menu"],
+  clearFilter: ["separator-clearFilter", "clear-filter", "previous-filter"]
+};
+
+/**
+ * Selection each menu group acts on: "one" message (the default), "many"
+ * messages, or "any" selection for groups that do not use it.
+ *
+ * @constant {Object<string, string>}
+ */
+const MENU_GROUP_SELECTIONS = {
+  selection: "many",
+  contacts: "any",
+  savedFilters: "any",
+  recentFilters: "any",
+  scope: "any",
+  clearFilter: "any"
+};
+
+/**
+ * Feature each menu group needs, for groups backed by experiment functions
+ * that may be missing. Other groups need no feature.
+ *
+ * @constant {Object<string, string>}
+ */
+const MENU_GROUP_FEATURES = {
+  date: Features.FEATURE_FLAGS.DATE_FILTER,
+  attachment: Features.FEATURE_FLAGS.ATTACHMENT_FILTER
+};
+
+/**
+ * Groups the user chose to show (showContextMenus setting).
+ *
+ * @type {Set<string>}
+ */
+let shownMenuGroups = new Set(Settings.DEFAULT_SETTINGS.showContextMenus);
+
+/**
+ * Checks whether a menu group applies to a number of selected messages.
+ *
+ * @param {string} group - Menu group
+ * @param {number} selectedCount - Number of selected messages
+ * @returns {boolean} True if the group applies
+ */
+function isMenuGroupForSelection(group, selectedCount) {
+  switch (MENU_GROUP_SELECTIONS[group] || "one") {
+    case "many":
+      return selectedCount > 1;
+    case "any":
+      return true;
+    default:
+      return selectedCount === 1;
+  }
+}
+
+/**
+ * Checks whether the feature a menu group needs is enabled.
+ *
+ * @param {string} group - Menu group
+ * @returns {boolean} True if the group can be used
+ */
+function isMenuGroupFeatureEnabled(group) {
+  return !MENU_GROUP_FEATURES[group] || Features.isFeatureEnabled(MENU_GROUP_FEATURES[group]);
+}
+
+/**
+ * Update the visibility of all menu groups.
+ * A group is visible when it is enabled in the settings, its feature is
+ * enabled and it applies to the number of selected messages.
+ *
+ * @param {number} selectedCount - Number of selected messages
+ * @returns {Promise<void>}
+ */
+async function updateMenuVisibility(selectedCount) {
+  const visibility = new Map();
+  for (const [group, menuIds] of Object.entries(MENU_GROUP_ITEMS)) {
+    const visible = shownMenuGroups.has(group) && isMenuGroupFeatureEnabled(group) &&
+      isMenuGroupForSelection(group, selectedCount);
+    for (const menuId of menuIds) {
+      visibility.set(menuId, visibility.get(menuId) || visible);
+    }
+  }
+  await Promise.all([...visibility].map(([menuId, visible]) => browser.menus.update(menuId, { visible })));
+}
+
+/**
+ * Apply a new showContextMenus value to the menus.
+ *
+ * @param {Array<string>} groups - Groups to show
+ * @returns {Promise<void>}
+ */
+async function setShownMenuGroups(groups) {
+  shownMenuGroups = new Set(groups || Settings.DEFAULT_SETTINGS.showContextMenus);
+  try {
+    await updateMenuVisibility(1);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'update menu groups' });
+  }
+}
+
+/**
+ * Listener for when context menu is shown.
+ * Updates the visibility of menu items based on the settings and the
+ * selection state, and whether the tab has a previous filter.
+ *
+ * @param {browser.menus.OnShownInfoType} info - Information about where the menu was shown
+ * @param {browser.tabs.Tab} tab - Tab of the menu
+ */
+browser.menus.onShown.addListener(async (info, tab) => {
+  try {
+    ErrorUtils.validateNotNull(info, 'info');
+
+    // Large selections are paged: more messages follow when the list has an id
+    const page = info.selectedMessages;
+    const selectedCount = !page ? 0 : (page.id ? Infinity : page.messages.length);
+
+    await updateMenuVisibility(selectedCount);
+    await browser.menus.update("previous-filter", {
+      enabled: (previousFilterStates.get(tab?.id) || []).length > 0,
+    });
+    browser.menus.refresh();
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'menu visibility handler' });
+    // Don't show notification for menu visibility errors to avoid spam
+  }
+});
+
+Settings.onStorageChanged((changes, areaName) => {
+  if (areaName === 'sync' && changes.showContextMenus) {
+    setShownMenuGroups(changes.showContextMenus.newValue);
+  }
+});
+
+// ============================================================================
+// QUICK FILTER STATE
+// ============================================================================
+
+/**
+ * Last known Quick Filter state of each mail tab, as reported by the
+ * MessagesListAdapter experiment. Covers filters set by the user in the
+ * Quick Filter bar as well as those applied by this extension.
+ *
+ * @type {Map<number, Object>}
+ */
+const quickFilterStates = new Map();
+
+/**
+ * Returns the current Quick Filter state of a mail tab.
+ * The state is read from the tab, because filters applied through
+ * browser.mailTabs.setQuickFilter are not reported as changes; the cached
+ * state is only used when the tab cannot be read.
+ *
+ * @param {number} tabId - The ID of the mail tab
+ * @returns {Promise<Object|null>} QuickFilterState, or null if unavailable
+ */
+async function getQuickFilterState(tabId) {
+  try {
+    const state = await browser.MessagesListAdapter.getQuickFilterState(tabId);
+    quickFilterStates.set(tabId, state);
+    return state;
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'reading Quick Filter state', tabId });
+    return quickFilterStates.get(tabId) || null;
+  }
+}
+
+/**
+ * Maximum number of earlier states kept per mail tab for "Back to Previous
+ * Filter".
+ *
+ * @constant {number}
+ */
+const MAX_PREVIOUS_FILTERS = 20;
+
+/**
+ * Quick Filter states of each mail tab before the last actions of this
+ * extension, most recent last.
+ *
+ * @type {Map<number, Array<Object>>}
+ */
+const previousFilterStates = new Map();
+
+/**
+ * Remember the current Quick Filter state of a mail tab before a filter
+ * action changes it, so that "Back to Previous Filter" can restore it.
+ * Actions may call this more than once: an unchanged state is only
+ * remembered once.
+ *
+ * @param {number} tabId - ID of the mail tab
+ * @returns {Promise<void>}
+ */
+async function rememberFilterState(tabId) {
+  try {
+    const state = await getQuickFilterState(tabId);
+    if (!state) {
+      return;
+    }
+
+    const states = previousFilterStates.get(tabId) || [];
+    if (states.length > 0 && FilterUtils.isSameState(states[states.length - 1], state)) {
+      return;
+    }
+    states.push(state);
+    if (states.length > MAX_PREVIOUS_FILTERS) {
+      states.shift();
+    }
+    previousFilterStates.set(tabId, states);
+  } catch (error) {
+    // Undo must never break filtering
+    ErrorUtils.logError(error, { context: 'remember filter state', tabId });
+  }
+}
+
+browser.MessagesListAdapter.onQuickFilterChanged.addListener((tabId, state) => {
+  quickFilterStates.set(tabId, state);
+});
+
+browser.tabs.onRemoved.addListener((tabId) => {
+  quickFilterStates.delete(tabId);
+  previousFilterStates.delete(tabId);
+});
+
+// Constraints added by the experiment do not survive a folder change
+browser.mailTabs.onDisplayedFolderChanged.addListener((tab) => {
+  quickFilterStates.delete(tab.id);
+});
+
+// ============================================================================
+// COMBINED FILTERS
+// ============================================================================
+
+/**
+ * Checks whether a menu click should add its criterion to the current
+ * filter instead of replacing it (Shift+click).
+ *
+ * @param {browser.menus.OnClickData} info - Menu click information
+ * @returns {boolean} True to combine with the current filter
+ */
+function isCombineClick(info) {
+  return Boolean(info?.modifiers?.includes('Shift')) &&
+    Features.isFeatureEnabled(Features.FEATURE_FLAGS.CUSTOM_FILTERS);
+}
+
+/**
+ * Check whether criteria can be added to the current filter, and tell the
+ * user when they cannot: a filter holds one set of alternatives (e.g. the
+ * recipients of the edit dialog), which a second set would replace.
+ *
+ * @param {Object|null} current - QuickFilterState of the current filter
+ * @param {Object} addition - QuickFilterState holding the criteria to add
+ * @returns {Promise<boolean>} True if the criteria can be added
+ */
+async function checkCombinable(current, addition) {
+  if (FilterUtils.canCombineStates(current, addition)) {
+    return true;
+  }
+
+  await browser.notifications.create({
+    type: 'basic',
+    title: 'Filter Not Combined',
+    message: browser.i18n.getMessage('combineAlternativesConflict'),
+  });
+  return false;
+}
+
+/**
+ * Add criteria to the current filter of a mail tab, so messages must
+ * match both the current filter and the new criteria.
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {Object} addition - QuickFilterState holding the criteria to add
+ * @param {string} [source='menu'] - Where the filter was applied from, for history
+ * @returns {Promise<void>}
+ */
+async function addToCurrentFilter(tabId, addition, source = 'menu') {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+
+    const current = await getQuickFilterState(tabId);
+    if (!await checkCombinable(current, addition)) {
+      return;
+    }
+
+    await rememberFilterState(tabId);
+    const state = FilterUtils.combineStates(current, addition);
+    state.show = true;
+
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, state);
+    console.log('[Combined Filter] Added criteria to current filter:', state);
+    await recordFilterHistory(state, source);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'combined filter', tabId, addition });
+    await ErrorUtils.showErrorNotification(
+      'Filter Failed',
+      'Could not add to the current filter. Please try again.',
+      { type: 'error' }
+    );
+  }
+}
+
+// ============================================================================
+// SAVED FILTERS
+// ============================================================================
+
+/**
+ * IDs of the menu items currently listing saved filters.
+ * @type {Array<string>}
+ */
+let savedFilterMenuIds = [];
+
+/**
+ * Apply a saved filter to a mail tab, replacing the current filter.
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {Object} preset - Saved filter ({id, name, filter, createdAt})
+ * @returns {Promise<void>}
+ */
+async function applySavedFilter(tabId, preset) {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, {
+      ...FilterUtils.createEmptyState(),
+      ...preset.filter,
+      show: true,
+    });
+    console.log('[Saved Filters] Applied saved filter:', preset.name);
+    await recordFilterHistory(preset.filter, 'saved');
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'apply saved filter', tabId, preset });
+    await ErrorUtils.showErrorNotification(
+      'Filter Failed',
+      `Could not apply saved filter "${preset.name}". Please try again.`,
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Save a filter under a name, dropping the bar visibility from the state.
+ *
+ * @param {string} name - Filter name
+ * @param {Object|null} state - QuickFilterState to save
+ * @returns {Promise<void>}
+ */
+async function saveFilterPreset(name, state) {
+  try {
+    ErrorUtils.validateString(name, 'name');
+
+    if (!FilterUtils.hasCriteria(state)) {
+      await browser.notifications.create({
+        type: 'basic',
+        title: browser.i18n.getMessage('savedFilters'),
+        message: browser.i18n.getMessage('savedFiltersNothingToSave'),
+      });
+      return;
+    }
+
+    const { show, ...filter } = state;
+    const preset = await Settings.addSavedFilter(name, filter);
+    if (!preset) {
+      throw new Error('Saved filter was rejected');
+    }
+    console.log('[Saved Filters] Saved filter:', preset.name);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'save filter preset', name });
+    await ErrorUtils.showErrorNotification(
+      'Save Failed',
+      'Could not save the filter. Please try again.',
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Open the dialog asking for the name of the current filter of a mail tab.
+ * The dialog answers with a saveCurrentFilter message.
+ *
+ * @param {number} tabId - ID of the mail tab whose filter is saved
+ * @returns {Promise<void>}
+ */
+async function openSaveFilterDialog(tabId) {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+
+    await browser.windows.create({
+      url: `dialog/save-filter.html?tabId=${encodeURIComponent(tabId)}`,
+      type: 'popup',
+      width: 500,
+      height: 220,
+    });
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'openSaveFilterDialog', tabId });
+    throw error;
+  }
+}
+
+/**
+ * Maximum length of the name suggested for a search folder.
+ * @constant {number}
+ */
+const SEARCH_FOLDER_NAME_LENGTH = 60;
+
+/**
+ * Criteria of the open "Save as Search Folder" dialogs, by dialog ID.
+ * The dialogs only send back the name and searched folders.
+ *
+ * @type {Map<number, {tabId: number, state: Object, windowId: (number|undefined)}>}
+ */
+const searchFolderDialogs = new Map();
+
+/**
+ * ID of the next "Save as Search Folder" dialog.
+ * @type {number}
+ */
+let nextSearchFolderDialogId = 1;
+
+/**
+ * Suggest a search folder name for a filter, from its description.
+ *
+ * @param {Object} state - QuickFilterState
+ * @returns {string} Name without characters folder file names cannot hold
+ */
+function suggestSearchFolderName(state) {
+  return FilterUtils.describeState(state)
+    .replace(/[\\/:*?"<>|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, SEARCH_FOLDER_NAME_LENGTH);
+}
+
+/**
+ * Open the dialog asking for the name and searched folders of a search
+ * folder. The dialog answers with a createSearchFolder message.
+ *
+ * @param {number} tabId - ID of the mail tab the searched folders are relative to
+ * @param {Object} state - QuickFilterState the folder lists messages of
+ * @param {string} [scope='folder'] - Searched folders chosen at first
+ * @returns {Promise<void>}
+ */
+async function openSearchFolderDialog(tabId, state, scope = 'folder') {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+
+    if (!FilterUtils.hasCriteria(state)) {
+      await browser.notifications.create({
+        type: 'basic',
+        title: 'No Filter',
+        message: browser.i18n.getMessage('searchFolderNoFilter'),
+      });
+      return;
+    }
+
+    const dialogId = nextSearchFolderDialogId++;
+    const dialog = { tabId, state };
+    searchFolderDialogs.set(dialogId, dialog);
+
+    const params = new URLSearchParams({
+      dialogId: String(dialogId),
+      name: suggestSearchFolderName(state),
+      scope,
+    });
+    const dialogWindow = await browser.windows.create({
+      url: `dialog/search-folder.html?${params}`,
+      type: 'popup',
+      width: 500,
+      height: 340,
+    });
+    dialog.windowId = dialogWindow.id;
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'openSearchFolderDialog', tabId });
+    throw error;
+  }
+}
+
+// Dialogs closed with the window's close button send no answer
+browser.windows.onRemoved.addListener((windowId) => {
+  for (const [dialogId, dialog] of searchFolderDialogs) {
+    if (dialog.windowId === windowId) {
+      searchFolderDialogs.delete(dialogId);
+    }
+  }
+});
+
+/**
+ * Create the search folder of a "Save as Search Folder" dialog.
+ *
+ * @param {number} dialogId - ID of the dialog
+ * @param {Object} properties - Folder properties ({name, scope, searchOnline})
+ * @returns {Promise<void>}
+ */
+async function createSearchFolder(dialogId, properties) {
+  const dialog = searchFolderDialogs.get(dialogId);
+  searchFolderDialogs.delete(dialogId);
+
+  try {
+    ErrorUtils.validateNotNull(dialog, 'dialog');
+    ErrorUtils.validateNotNull(properties, 'properties');
+    ErrorUtils.validateString(properties.name, 'properties.name');
+
+    await browser.MessagesListAdapter.createSearchFolder(dialog.tabId, {
+      name: properties.name,
+      scope: ScopeUtils.SCOPES.includes(properties.scope) ? properties.scope : 'folder',
+      searchOnline: Boolean(properties.searchOnline),
+    }, dialog.state);
+
+    await browser.notifications.create({
+      type: 'basic',
+      title: properties.name,
+      message: browser.i18n.getMessage('searchFolderCreated'),
+    });
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'createSearchFolder', dialogId, properties });
+    await ErrorUtils.showErrorNotification(
+      'Search Folder Failed',
+      `Could not create the search folder: ${error.message}`,
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Create context menu separator for saved filters.
+ */
+browser.menus.create({
+  id: "separator-savedFilters",
+  type: "separator",
+  contexts: ["message_list"],
+});
+
+/**
+ * Create context menu for saved filters.
+ * Its items are built by rebuildSavedFiltersMenu, on startup and whenever
+ * the customFilters setting changes.
+ */
+browser.menus.create({
+  id: "saved-filters-menu",
+  title: browser.i18n.getMessage("savedFilters"),
+  contexts: ["message_list"],
+});
+
+/**
+ * Rebuild the items of the "Saved Filters" submenu: one item per saved
+ * filter, in saved order, followed by "Save Current Filter...".
+ *
+ * @returns {Promise<void>}
+ */
+async function rebuildSavedFiltersMenu() {
+  try {
+    await Promise.all(savedFilterMenuIds.map(id => browser.menus.remove(id)));
+    savedFilterMenuIds = [];
+
+    const presets = await Settings.getSavedFilters();
+
+    if (presets.length === 0) {
+      savedFilterMenuIds.push(browser.menus.create({
+        id: "saved-filters-empty",
+        title: browser.i18n.getMessage("savedFiltersEmpty"),
+        contexts: ["message_list"],
+        parentId: "saved-filters-menu",
+        enabled: false,
+      }));
+    }
+
+    for (const preset of presets) {
+      savedFilterMenuIds.push(browser.menus.create({
+        id: `saved-filter-${preset.id}`,
+        title: preset.name,
+        contexts: ["message_list"],
+        parentId: "saved-filters-menu",
+        async onclick(info, tab) {
+          if (isCombineClick(info)) {
+            await addToCurrentFilter(tab.id, preset.filter);
+          } else {
+            await applySavedFilter(tab.id, preset);
+          }
+        },
+      }));
+    }
+
+    savedFilterMenuIds.push(browser.menus.create({
+      id: "saved-filters-separator",
+      type: "separator",
+      contexts: ["message_list"],
+      parentId: "saved-filters-menu",
+    }));
+
+    savedFilterMenuIds.push(browser.menus.create({
+      id: "saved-filters-save",
+      title: browser.i18n.getMessage("savedFiltersSaveCurrent"),
+      contexts: ["message_list"],
+      parentId: "saved-filters-menu",
+      async onclick(info, tab) {
+        try {
+          await openSaveFilterDialog(tab.id);
+        } catch (error) {
+          ErrorUtils.logError(error, { context: 'saved-filters-save menu item' });
+          await ErrorUtils.showErrorNotification(
+            'Save Failed',
+            'Could not open save filter dialog. Please try again.',
+            { type: 'error' }
+          );
+        }
+      },
+    }));
+
+    savedFilterMenuIds.push(browser.menus.create({
+      id: "saved-filters-search-folder",
+      title: browser.i18n.getMessage("savedFiltersSearchFolder"),
+      contexts: ["message_list"],
+      parentId: "saved-filters-menu",
+      async onclick(info, tab) {
+        try {
+          await openSearchFolderDialog(tab.id, await getQuickFilterState(tab.id));
+        } catch (error) {
+          ErrorUtils.logError(error, { context: 'saved-filters-search-folder menu item' });
+          await ErrorUtils.showErrorNotification(
+            'Search Folder Failed',
+            'Could not open search folder dialog. Please try again.',
+            { type: 'error' }
+          );
+        }
+      },
+    }));
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'rebuild saved filters menu' });
+  }
+}
+
+Settings.onStorageChanged((changes, areaName) => {
+  if (areaName === 'local' && changes.customFilters) {
+    rebuildSavedFiltersMenu();
+  }
+});
+
+// ============================================================================
+// FILTER HISTORY
+// ============================================================================
+
+/**
+ * Maximum number of entries listed in the "Recent Filters" submenu.
+ * Pinned entries are listed first. The options page shows all entries.
+ *
+ * @constant {number}
+ */
+const RECENT_FILTERS_MENU_SIZE = 10;
+
+/**
+ * Maximum length of a "Recent Filters" menu item title.
+ * @constant {number}
+ */
+const RECENT_FILTER_TITLE_LENGTH = 60;
+
+/**
+ * IDs of the menu items currently listing recent filters.
+ * @type {Array<string>}
+ */
+let recentFilterMenuIds = [];
+
+/**
+ * Last filter applied by this extension, kept even when history is disabled.
+ * Re-applied by the "reapply-filter" command.
+ * @type {Object|null}
+ */
+let lastAppliedFilter = null;
+
+/**
+ * Record an applied filter in the filter history, unless history is
+ * disabled in the options.
+ *
+ * @param {Object} state - Applied QuickFilterState
+ * @param {string} source - Where the filter was applied from
+ *   (menu, alt-click, shortcut, dialog, saved, history)
+ * @returns {Promise<void>}
+ */
+async function recordFilterHistory(state, source) {
+  try {
+    if (!FilterUtils.hasCriteria(state)) {
+      return;
+    }
+    const { show, ...filter } = state;
+    lastAppliedFilter = filter;
+    if (!await Settings.getSetting('filterHistoryEnabled', true)) {
+      return;
+    }
+
+    await Settings.addToFilterHistory({
+      id: Settings.createSettingsId('history'),
+      filter,
+      label: FilterUtils.describeState(filter),
+      source,
+      timestamp: Date.now(),
+      pinned: false,
+    });
+  } catch (error) {
+    // History must never break filtering
+    ErrorUtils.logError(error, { context: 'record filter history', source });
+  }
+}
+
+/**
+ * Apply a filter from history to a mail tab, replacing the current filter.
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @param {Object} entry - Filter history entry
+ * @returns {Promise<void>}
+ */
+async function applyHistoryFilter(tabId, entry) {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, {
+      ...FilterUtils.createEmptyState(),
+      ...entry.filter,
+      show: true,
+    });
+    console.log('[Filter History] Re-applied filter:', entry.label);
+    await recordFilterHistory(entry.filter, 'history');
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'apply history filter', tabId, entry });
+    await ErrorUtils.showErrorNotification(
+      'Filter Failed',
+      'Could not re-apply the filter. Please try again.',
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Re-apply a history entry requested by the options page.
+ * The filter goes to the active mail tab, which is brought to the front.
+ *
+ * @param {string} id - History entry ID
+ * @returns {Promise<void>}
+ */
+async function replayHistoryEntry(id) {
+  try {
+    const history = await Settings.getFilterHistory();
+    const entry = history.find(item => item.id === id);
+    if (!entry) {
+      throw new Error(`Unknown history entry: ${id}`);
+    }
+
+    const mailTabs = await browser.mailTabs.query({});
+    const mailTab = mailTabs.find(tab => tab.active) || mailTabs[0];
+    if (!mailTab) {
+      throw new Error('No mail tab to filter');
+    }
+
+    await browser.tabs.update(mailTab.id, { active: true });
+    await applyHistoryFilter(mailTab.id, entry);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'replay history entry', id });
+    await ErrorUtils.showErrorNotification(
+      'Filter Failed',
+      'Could not re-apply the filter. Please open a mail tab and try again.',
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Create context menu for recent filters.
+ * Its items are built by rebuildRecentFiltersMenu, on startup and whenever
+ * the filter history changes.
+ */
+browser.menus.create({
+  id: "recent-filters-menu",
+  title: browser.i18n.getMessage("recentFilters"),
+  contexts: ["message_list"],
+});
+
+/**
+ * Rebuild the items of the "Recent Filters" submenu: pinned entries first,
+ * then the most recent ones.
+ *
+ * @returns {Promise<void>}
+ */
+async function rebuildRecentFiltersMenu() {
+  try {
+    await Promise.all(recentFilterMenuIds.map(id => browser.menus.remove(id)));
+    recentFilterMenuIds = [];
+
+    const history = await Settings.getFilterHistory();
+    const entries = [
+      ...history.filter(entry => entry.pinned),
+      ...history.filter(entry => !entry.pinned),
+    ].filter(entry => entry.id && entry.filter).slice(0, RECENT_FILTERS_MENU_SIZE);
+
+    if (entries.length === 0) {
+      recentFilterMenuIds.push(browser.menus.create({
+        id: "recent-filters-empty",
+        title: browser.i18n.getMessage("recentFiltersEmpty"),
+        contexts: ["message_list"],
+        parentId: "recent-filters-menu",
+        enabled: false,
+      }));
+    }
+
+    for (const entry of entries) {
+      let title = entry.pinned ? `★ ${entry.label}` : entry.label;
+      if (title.length > RECENT_FILTER_TITLE_LENGTH) {
+        title = `${title.slice(0, RECENT_FILTER_TITLE_LENGTH - 1)}…`;
+      }
+
+      recentFilterMenuIds.push(browser.menus.create({
+        id: `recent-filter-${entry.id}`,
+        title,
+        contexts: ["message_list"],
+        parentId: "recent-filters-menu",
+        async onclick(info, tab) {
+          if (isCombineClick(info)) {
+            await addToCurrentFilter(tab.id, entry.filter, 'history');
+          } else {
+            await applyHistoryFilter(tab.id, entry);
+          }
+        },
+      }));
+    }
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'rebuild recent filters menu' });
+  }
+}
+
+Settings.onStorageChanged((changes, areaName) => {
+  if (areaName === 'local' && changes.filterHistory) {
+    rebuildRecentFiltersMenu();
+  }
+});
+
+// ============================================================================
+// FILTER SCOPE
+// ============================================================================
+
+/**
+ * Maximum number of messages listed by a search outside the displayed
+ * folder. The user is told when more messages match.
+ *
+ * @constant {number}
+ */
+const MAX_SCOPE_RESULTS = 5000;
+
+/**
+ * Show a notification about the results of a search in other folders.
+ *
+ * @param {string} title - Notification title
+ * @param {string} messageName - Locale message of the notification text
+ * @returns {Promise<void>}
+ */
+async function notifyScopeSearch(title, messageName) {
+  await browser.notifications.create({
+    type: 'basic',
+    title,
+    message: browser.i18n.getMessage(messageName),
+  });
+}
+
+/**
+ * Search a filter in all folders of the account of a mail tab, or in all
+ * accounts, and list the results in a new tab.
+ *
+ * The experiment searches with the same criteria as the Quick Filter, like
+ * a search folder does, in the messages stored locally.
+ *
+ * @param {number} tabId - ID of the mail tab the scope is relative to
+ * @param {Object} state - QuickFilterState to search
+ * @param {string} scope - "account" or "all"
+ * @returns {Promise<void>}
+ */
+async function searchInScope(tabId, state, scope) {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+    ErrorUtils.validateNotNull(state, 'state');
+    if (!ScopeUtils.SCOPES.includes(scope)) {
+      throw new Error(`Invalid scope: ${scope}`);
+    }
+    if (!Features.isFeatureEnabled(Features.FEATURE_FLAGS.FOLDER_FILTER)) {
+      throw new Error('Searching other folders is not available');
+    }
+
+    if (!FilterUtils.hasCriteria(state)) {
+      await notifyScopeSearch('No Filter', 'scopeNoFilter');
+      return;
+    }
+
+    const { messageIds, truncated } = await browser.MessagesListAdapter.searchMessages(
+      tabId, { scope, maxResults: MAX_SCOPE_RESULTS }, state
+    );
+    if (messageIds.length === 0) {
+      await notifyScopeSearch('No Messages Found', 'scopeNoResults');
+      return;
+    }
+
+    let title = FilterUtils.describeState(state);
+    if (title.length > RECENT_FILTER_TITLE_LENGTH) {
+      title = `${title.slice(0, RECENT_FILTER_TITLE_LENGTH - 1)}…`;
+    }
+    await browser.MessagesListAdapter.openSearchResults(messageIds, title);
+    if (truncated) {
+      await notifyScopeSearch('Too Many Messages', 'scopeTruncated');
+    }
+    console.log(`[Scope Filter] Messages found in scope "${scope}":`, messageIds.length);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'scope search', tabId, scope });
+    await ErrorUtils.showErrorNotification(
+      'Search Failed',
+      'Could not search other folders. Please try again.',
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Create context menu for searching the current filter outside the
+ * displayed folder.
+ */
+browser.menus.create({
+  id: "scope-menu",
+  title: browser.i18n.getMessage("scopeMenu"),
+  contexts: ["message_list"],
+});
+
+/**
+ * Create context menu item for searching the current filter in all folders
+ * of the displayed account (Inbox, Archives, Sent, ...).
+ */
+browser.menus.create({
+  id: "scope-account",
+  title: browser.i18n.getMessage("scopeAccount"),
+  contexts: ["message_list"],
+  parentId: "scope-menu",
+  async onclick(info, tab) {
+    await searchInScope(tab.id, await getQuickFilterState(tab.id), 'account');
+  },
+});
+
 /**
- * ATTACHMENT FILTERING - DISABLED
- *
- * Thunderbird's Quick Filter API (browser.mailTabs.setQuickFilter) does NOT support
- * attachment filtering via the WebExtension API. The built-in Quick Filter bar
- * has an attachment toggle, but the API doesn't expose a parameter for it.
- *
- * This is another API limitation, similar to date filtering.
- *
- * Helper function filterByAttachmentStatus() is kept for future implementation
- * if/when the API is updated.
- *
- * See: https://webextension-api.thunderbird.net/mailTabs.html#method-setQuickFilter
- */
-
-// Attachment filter menu items are disabled due to API limitation
-// TODO: Re-enable when browser.mailTabs.setQuickFilter supports attachment parameter
-// browser.menus.create({
-//   type: "separator",
-//   contexts: ["message_list"],
-// });
-//
-// browser.menus.create({
-//   id: "attachment-filter-menu",
-//   title: browser.i18n.getMessage("attachment"),
-//   contexts: ["message_list"],
-// });
-//
-// browser.menus.create({
-//   id: "attachment-has",
-//   title: browser.i18n.getMessage("attachmentHas"),
-//   contexts: ["message_list"],
-//   parentId: "attachment-filter-menu",
-//   async onclick(info) {
-//     await filterByAttachmentStatus(true);
-//   },
-// });
-//
-// browser.menus.create({
-//   id: "attachment-none",
-//   title: browser.i18n.getMessage("attachmentNone"),
-//   contexts: ["message_list"],
-//   parentId: "attachment-filter-menu",
-//   async onclick(info) {
-//     await filterByAttachmentStatus(false);
-//   },
-// });
+ * Create context menu item for searching the current filter in all
+ * accounts.
+ */
+browser.menus.create({
+  id: "scope-all",
+  title: browser.i18n.getMessage("scopeAll"),
+  contexts: ["message_list"],
+  parentId: "scope-menu",
+  async onclick(info, tab) {
+    await searchInScope(tab.id, await getQuickFilterState(tab.id), 'all');
+  },
+});
 
 // ============================================================================
-// READ/UNREAD STATUS FILTERING
+// CLEAR AND PREVIOUS FILTER
 // ============================================================================
 
 /**
- * Filter messages by read status (unread or read).
- * Uses setQuickFilter with unread parameter.
+ * Clear the Quick Filter of a mail tab, including the criteria only the
+ * experiment applies (dates, conditions, conversations).
  *
- * @param {boolean} isUnread - true for unread, false for read
+ * @param {number} tabId - ID of the mail tab
  * @returns {Promise<void>}
  */
-async function filterByReadStatus(isUnread) {
+async function clearQuickFilter(tabId) {
   try {
-    ErrorUtils.validateType(isUnread, 'boolean');
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
 
-    await browser.mailTabs.setQuickFilter({
-      unread: isUnread
-    });
-    console.log('[Read Status Filter] Filtered by read status:', isUnread ? 'unread' : 'read');
+    await rememberFilterState(tabId);
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, FilterUtils.createEmptyState());
+    console.log('[Clear Filter] Cleared filter of tab:', tabId);
   } catch (error) {
-    ErrorUtils.logError(error, { context: 'read status filter', isUnread });
+    ErrorUtils.logError(error, { context: 'clear filter', tabId });
     await ErrorUtils.showErrorNotification(
-      browser.i18n.getMessage('readFailed'),
-      error.message,
+      'Filter Failed',
+      'Could not clear the filter. Please try again.',
       { type: 'error' }
     );
   }
 }
 
 /**
- * Create context menu separator for read status filters.
+ * Restore the Quick Filter state a mail tab had before the last action of
+ * this extension. Remembered states equal to the current one are skipped,
+ * so each step changes the message list.
+ *
+ * @param {number} tabId - ID of the mail tab
+ * @returns {Promise<void>}
  */
-browser.menus.create({
-  type: "separator",
-  contexts: ["message_list"],
-});
+async function restorePreviousFilter(tabId) {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+
+    const states = previousFilterStates.get(tabId) || [];
+    const current = await getQuickFilterState(tabId);
+    let previous = states.pop();
+    while (previous && FilterUtils.isSameState(previous, current)) {
+      previous = states.pop();
+    }
+
+    if (!previous) {
+      await browser.notifications.create({
+        type: 'basic',
+        title: 'No Previous Filter',
+        message: browser.i18n.getMessage('previousFilterNone'),
+      });
+      return;
+    }
+
+    await browser.MessagesListAdapter.setQuickFilterState(tabId, previous);
+    console.log('[Previous Filter] Restored filter:', FilterUtils.describeState(previous));
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'previous filter', tabId });
+    await ErrorUtils.showErrorNotification(
+      'Filter Failed',
+      'Could not restore the previous filter. Please try again.',
+      { type: 'error' }
+    );
+  }
+}
 
 /**
- * Create context menu for read status filters.
+ * Create context menu separator for clearing and undoing filters.
  */
 browser.menus.create({
-  id: "read-status-menu",
-  title: browser.i18n.getMessage("readStatus"),
+  id: "separator-clearFilter",
+  type: "separator",
   contexts: ["message_list"],
 });
 
 /**
- * Create context menu item for filtering unread messages.
+ * Create context menu item for clearing the filter of the message list.
  */
 browser.menus.create({
-  id: "read-unread",
-  title: browser.i18n.getMessage("readUnread"),
+  id: "clear-filter",
+  title: browser.i18n.getMessage("clearFilter"),
   contexts: ["message_list"],
-  parentId: "read-status-menu",
-  async onclick(info) {
-    await filterByReadStatus(true);
+  async onclick(info, tab) {
+    await clearQuickFilter(tab.id);
   },
 });
 
 /**
- * Create context menu item for filtering read messages.
+ * Create context menu item for restoring the filter the message list had
+ * before the last filter action. Disabled while the tab has none.
  */
 browser.menus.create({
-  id: "read-read",
-  title: browser.i18n.getMessage("readRead"),
+  id: "previous-filter",
+  title: browser.i18n.getMessage("previousFilter"),
   contexts: ["message_list"],
-  parentId: "read-status-menu",
-  async onclick(info) {
-    await filterByReadStatus(false);
+  async onclick(info, tab) {
+    await restorePreviousFilter(tab.id);
   },
 });
 
 // ============================================================================
-// MENU VISIBILITY HANDLER
+// ALT-CLICK EVENT HANDLER
 // ============================================================================
 
 /**
- * Listener for when context menu is shown.
- * Updates the visibility of menu items based on selection state.
- * Menu items are only shown when exactly one message is selected.
+ * Tell the experiment which click filters messages, from the
+ * altClickEnabled and altClickModifier settings.
  *
- * @param {browser.menus.OnShownInfoType} info - Information about where the menu was shown
+ * @returns {Promise<void>}
  */
-browser.menus.onShown.addListener((info) => {
+async function applyClickSettings() {
   try {
-    ErrorUtils.validateNotNull(info, 'info');
+    const enabled = await Settings.getSetting('altClickEnabled');
+    const modifier = await Settings.getSetting('altClickModifier');
+    await browser.MessagesListAdapter.setClickModifier(enabled ? modifier : 'none');
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'apply click settings' });
+  }
+}
 
-    // Check if exactly one message is selected
-    const oneMessage = info.selectedMessages && info.selectedMessages.messages.length == 1;
+Settings.onStorageChanged((changes, areaName) => {
+  if (areaName === 'sync' && (changes.altClickEnabled || changes.altClickModifier)) {
+    applyClickSettings();
+  }
+});
 
-    // Update visibility for all menu items
-    // Note: Date and attachment filter menu items are disabled due to API limitations
-    const menuIds = [
-      "sender", "senderEmail", "recipient", "recipients", "subject",
-      "tags-this-message", "tags-placeholder",
-      "read-status-menu", "read-unread", "read-read"
-    ];
-    for (const menuId of menuIds) {
-      browser.menus.update(menuId, { visible: oneMessage });
+/**
+ * Apply the filter of an alt-click or a keyboard shortcut.
+ *
+ * @param {{type: string, value: *}} criterion - Criterion from FilterUtils.columnToCriterion
+ * @param {number} tabId - ID of the mail tab
+ * @param {string} [source='alt-click'] - Where the filter was applied from, for history
+ * @returns {Promise<void>}
+ */
+async function applyClickCriterion(criterion, tabId, source = 'alt-click') {
+  switch (criterion.type) {
+    case 'tags':
+      await filterByTags(tabId, criterion.value, source);
+      break;
+    case 'unread':
+      await filterByReadStatus(tabId, criterion.value, source);
+      break;
+    case 'attachment':
+      await filterByAttachmentStatus(tabId, criterion.value, source);
+      break;
+    case 'day': {
+      const range = DateUtils.getDayRange(criterion.value);
+      await filterByDateRange(tabId, range.start, range.end, source);
+      break;
+    }
+    case 'folder':
+      await browser.mailTabs.update(tabId, { displayedFolder: criterion.value });
+      break;
+    case 'flagged':
+      await filterByFlaggedStatus(tabId, criterion.value, source);
+      break;
+    case 'recipients':
+      if (Array.isArray(criterion.value)) {
+        // Any of the recipients of the message
+        const state = FilterUtils.anyOfToState('recipients', criterion.value);
+        await rememberFilterState(tabId);
+        await browser.MessagesListAdapter.setQuickFilterState(tabId, { ...state, show: true });
+        await recordFilterHistory(state, source);
+        break;
+      }
+      // Falls through: text of the cell
+    default: {
+      // Text columns: sender, recipients, subject and custom columns
+      const state = FilterUtils.criterionToState(criterion.type, criterion.value);
+      await rememberFilterState(tabId);
+      await browser.MessagesListAdapter.setQuickFilterState(tabId, { ...state, show: true });
+      await recordFilterHistory(state, source);
     }
-    browser.menus.refresh();
-  } catch (error) {
-    ErrorUtils.logError(error, { context: 'menu visibility handler' });
-    // Don't show notification for menu visibility errors to avoid spam
   }
-});
+}
 
-// ============================================================================
-// ALT-CLICK EVENT HANDLER
-// ============================================================================
+/**
+ * Use the parsed addresses of the clicked message for sender and recipient
+ * cells, so that alt-clicks filter like the menu items do.
+ *
+ * @param {{type: string, value: *}|null} criterion - Criterion from FilterUtils.columnToCriterion
+ * @param {string} columnText - Text of the clicked cell
+ * @param {Object} [message] - Clicked messages.MessageHeader
+ * @returns {{type: string, value: *}|null} Criterion; recipients have an
+ *   array of search texts as value
+ */
+function withMessageAddresses(criterion, columnText, message) {
+  if (!criterion || !message) {
+    return criterion;
+  }
+
+  if (criterion.type === 'sender') {
+    // The correspondent column shows the recipients of sent messages
+    const sender = AddressUtils.parseAddress(message.author);
+    const text = columnText.toLowerCase();
+    if (sender && [sender.name, sender.address].some(part => part && text.includes(part.toLowerCase()))) {
+      return { type: 'sender', value: sender.name || sender.address };
+    }
+  } else if (criterion.type === 'recipients') {
+    const recipients = AddressUtils.getFilterTexts(message.recipients);
+    if (recipients.length > 0) {
+      return { type: 'recipients', value: recipients };
+    }
+  }
+
+  return criterion;
+}
 
 /**
  * Listener for alt-click events on message list columns.
  * This event is emitted by the MessagesListAdapter experimental API.
- * Filters messages based on the column that was clicked.
+ * Filters messages based on the column that was clicked: its text for
+ * sender, recipient, subject and custom columns, and the clicked message
+ * for the tags, unread, star, attachment, date, account and location columns.
  *
  * @param {string} columnName - The name of the column that was clicked
  * @param {string} columnText - The text content of the clicked cell
+ * @param {Object} [row] - Tab and message of the clicked row
  */
-browser.MessagesListAdapter.onMessageListClick.addListener((columnName, columnText) => {
+browser.MessagesListAdapter.onMessageListClick.addListener(async (columnName, columnText, row = {}) => {
   try {
     ErrorUtils.validateNotNull(columnName, 'columnName');
     ErrorUtils.validateNotNull(columnText, 'columnText');
     ErrorUtils.validateString(columnName, 'columnName');
     ErrorUtils.validateString(columnText, 'columnText');
 
-    // Determine filter type based on column name
     // Note: Column names depend on Thunderbird's internal class naming
     // Common values: subjectcol-column, recipientcol-column, sendercol-column, correspondentcol-column
-    const isSubject = columnName == "subjectcol-column";
-    const isRecipient = columnName == "recipientcol-column";
-    const isSender = columnName == "sendercol-column" || columnName == "correspondentcol-column";
-
-    if (!isSubject && !isRecipient && !isSender) {
-      // Unknown column - log and return
-      console.warn(`[Alt-Click] Unknown column type: ${columnName}`);
+    const criterion = withMessageAddresses(
+      FilterUtils.columnToCriterion(columnName, columnText, row), columnText, row.message
+    );
+    if (!criterion) {
+      console.warn(`[Alt-Click] Nothing to filter in column: ${columnName}`);
       return;
     }
 
-    // Apply quick filter
-    browser.mailTabs.setQuickFilter({
-      text: {
-        text: columnText,
-        subject: isSubject,
-        recipients: isRecipient,
-        author: isSender
-      },
-    }).catch((error) => {
+    let tabId = row.tabId;
+    if (tabId === undefined) {
+      const [mailTab] = await browser.mailTabs.query({ active: true, currentWindow: true });
+      tabId = mailTab?.id;
+    }
+
+    try {
+      await applyClickCriterion(criterion, tabId);
+    } catch (error) {
       ErrorUtils.logError(error, { context: 'alt-click filter application', columnName, columnText });
-      ErrorUtils.showErrorNotification(
+      await ErrorUtils.showErrorNotification(
         'Filter Failed',
         'Could not apply filter. Please try using the context menu instead.',
         { type: 'warning' }
       );
-    });
+    }
   } catch (error) {
     ErrorUtils.logError(error, { context: 'alt-click event handler', columnName, columnText });
-    ErrorUtils.showErrorNotification(
+    await ErrorUtils.showErrorNotification(
       'Filter Failed',
       'An error occurred while processing alt-click. Please try the context menu.',
       { type: 'error' }
@@ -698,6 +2946,157 @@ browser.MessagesListAdapter.onMessageListClick.addListener((columnName, columnTe
   }
 });
 
+// ============================================================================
+// KEYBOARD SHORTCUTS
+// ============================================================================
+
+/**
+ * Criteria of the commands declared in manifest.json that filter by the
+ * focused message, by command name.
+ *
+ * @constant {Object<string, function(Object): {type: string, value: *}>}
+ */
+const MESSAGE_COMMAND_CRITERIA = {
+  'filter-sender': message => ({
+    type: 'sender',
+    value: AddressUtils.getDisplayText(message.author) || message.author,
+  }),
+  'filter-sender-email': message => ({
+    type: 'senderEmail',
+    value: AddressUtils.getAddress(message.author) || message.author,
+  }),
+  'filter-subject': message => ({ type: 'subject', value: message.subject }),
+  'filter-recipients': message => ({
+    type: 'recipients',
+    value: AddressUtils.getFilterTexts(message.recipients),
+  }),
+  'filter-tags': message => ({ type: 'tags', value: message.tags || [] }),
+};
+
+/**
+ * Show a notification for a command that could not run.
+ *
+ * @param {string} title - Title of the notification
+ * @param {string} messageName - Locale message explaining why
+ * @returns {Promise<void>}
+ */
+async function notifyCommand(title, messageName) {
+  await browser.notifications.create({
+    type: 'basic',
+    title,
+    message: browser.i18n.getMessage(messageName),
+  });
+}
+
+/**
+ * Returns the focused message of a mail tab: the first selected message.
+ *
+ * @param {number} tabId - ID of the mail tab
+ * @returns {Promise<Object|null>} messages.MessageHeader, or null if no
+ *   message is selected
+ */
+async function getFocusedMessage(tabId) {
+  const selected = await browser.mailTabs.getSelectedMessages(tabId);
+  return selected?.messages?.[0] || null;
+}
+
+/**
+ * Re-apply the last filter applied by this extension to a mail tab. After
+ * a restart, the newest filter history entry is used.
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @returns {Promise<void>}
+ */
+async function reapplyLastFilter(tabId) {
+  let entry = lastAppliedFilter && {
+    filter: lastAppliedFilter,
+    label: FilterUtils.describeState(lastAppliedFilter),
+  };
+  if (!entry) {
+    const history = await Settings.getFilterHistory();
+    entry = [...history].sort((a, b) => b.timestamp - a.timestamp)[0];
+  }
+
+  if (!entry) {
+    await notifyCommand('No Filter', 'commandNoHistory');
+    return;
+  }
+  await applyHistoryFilter(tabId, entry);
+}
+
+/**
+ * Run a command of manifest.json in the active mail tab.
+ *
+ * @param {string} command - Name of the command
+ * @returns {Promise<void>}
+ */
+async function runCommand(command) {
+  if (!Features.isFeatureEnabled(Features.FEATURE_FLAGS.KEYBOARD_SHORTCUTS)) {
+    return;
+  }
+
+  const [mailTab] = await browser.mailTabs.query({ active: true, currentWindow: true });
+  if (!mailTab) {
+    console.warn(`[Shortcuts] No mail tab for command: ${command}`);
+    return;
+  }
+
+  switch (command) {
+    case 'filter-unread':
+      await filterByReadStatus(mailTab.id, true, 'shortcut');
+      return;
+    case 'clear-filter':
+      await clearQuickFilter(mailTab.id);
+      return;
+    case 'previous-filter':
+      await restorePreviousFilter(mailTab.id);
+      return;
+    case 'reapply-filter':
+      await reapplyLastFilter(mailTab.id);
+      return;
+  }
+
+  const getCriterion = MESSAGE_COMMAND_CRITERIA[command];
+  if (!getCriterion) {
+    console.warn(`[Shortcuts] Unknown command: ${command}`);
+    return;
+  }
+
+  const message = await getFocusedMessage(mailTab.id);
+  if (!message) {
+    await notifyCommand('No Message', 'commandNoMessage');
+    return;
+  }
+
+  const criterion = getCriterion(message);
+  if (Array.isArray(criterion.value) && criterion.value.length === 0) {
+    if (criterion.type === 'tags') {
+      await notifyCommand('No Tags', 'commandNoTags');
+    } else {
+      await notifyCommand('No Recipients', 'recipientNone');
+    }
+    return;
+  }
+  await applyClickCriterion(criterion, mailTab.id, 'shortcut');
+}
+
+/**
+ * Listener for the keyboard shortcuts declared as commands in manifest.json.
+ * Users can change the shortcuts in the Add-ons Manager.
+ */
+browser.commands.onCommand.addListener(async (command) => {
+  try {
+    await runCommand(command);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'keyboard shortcut', command });
+    await ErrorUtils.showErrorNotification(
+      'Filter Failed',
+      'Could not run the keyboard shortcut. Please try the context menu instead.',
+      { type: 'error' }
+    );
+  }
+});
+
 // ============================================================================
 // DIALOG HELPER FUNCTIONS
 // ============================================================================
@@ -707,20 +3106,44 @@ browser.MessagesListAdapter.onMessageListClick.addListener((columnName, columnTe
  *
  * @param {string} filterType - Type of filter (sender, recipient, subject, etc.)
  * @param {string} value - Initial filter value
+ * @param {Object} [options] - Dialog options, sent back with the edited filter
+ * @param {number} [options.tabId] - Mail tab to filter
+ * @param {boolean} [options.combine=false] - Add to the current filter instead of replacing it
+ * @param {string} [options.header] - Header searched by "header" filters (e.g. "List-Id")
+ * @param {number} [options.messageId] - Message whose headers the dialog lets
+ *   the user pick from; the value may then be empty
  * @returns {Promise<void>}
  */
-async function openFilterDialog(filterType, value) {
+async function openFilterDialog(filterType, value, options = {}) {
   try {
     ErrorUtils.validateString(filterType, 'filterType');
-    ErrorUtils.validateString(value, 'value');
+    if (typeof options.messageId === 'number') {
+      ErrorUtils.validateType(value, 'string', 'value');
+    } else {
+      ErrorUtils.validateString(value, 'value');
+    }
 
-    const dialogUrl = `dialog/edit-filter.html?type=${encodeURIComponent(filterType)}&value=${encodeURIComponent(value)}`;
+    const params = new URLSearchParams({ type: filterType, value });
+    if (typeof options.tabId === 'number') {
+      params.set('tabId', String(options.tabId));
+    }
+    if (options.combine) {
+      params.set('combine', '1');
+    }
+    if (options.header) {
+      params.set('header', options.header);
+    }
+    if (typeof options.messageId === 'number') {
+      params.set('messageId', String(options.messageId));
+    }
+    const dialogUrl = `dialog/edit-filter.html?${params}`;
 
     await browser.windows.create({
       url: dialogUrl,
       type: 'popup',
       width: 500,
-      height: 200,
+      // Room for the header chooser, which replaces the scope chooser
+      height: filterType === 'header' ? 390 : 370,
     });
   } catch (error) {
     ErrorUtils.logError(error, { context: 'openFilterDialog', filterType, value });
@@ -728,6 +3151,29 @@ async function openFilterDialog(filterType, value) {
   }
 }
 
+/**
+ * Open date range dialog for filtering a mail tab by custom dates.
+ * The dialog answers with an applyEditedFilter message of type "date".
+ *
+ * @param {number} tabId - ID of the mail tab to filter
+ * @returns {Promise<void>}
+ */
+async function openDateRangeDialog(tabId) {
+  try {
+    ErrorUtils.validateType(tabId, 'number', 'tabId');
+
+    await browser.windows.create({
+      url: `dialog/date-range.html?tabId=${encodeURIComponent(tabId)}`,
+      type: 'popup',
+      width: 520,
+      height: 280,
+    });
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'openDateRangeDialog', tabId });
+    throw error;
+  }
+}
+
 // ============================================================================
 // DIALOG MESSAGE HANDLER
 // ============================================================================
@@ -735,6 +3181,18 @@ async function openFilterDialog(filterType, value) {
 browser.runtime.onMessage.addListener((message) => {
   if (message.action === 'applyEditedFilter') {
     applyEditedFilter(message.filter);
+  } else if (message.action === 'applyHistoryFilter') {
+    replayHistoryEntry(message.id);
+  } else if (message.action === 'saveCurrentFilter') {
+    getQuickFilterState(message.tabId).then(state => saveFilterPreset(message.name, state));
+  } else if (message.action === 'saveEditedFilterAsSearchFolder') {
+    openEditedFilterSearchFolderDialog(message.filter);
+  } else if (message.action === 'createSearchFolder') {
+    createSearchFolder(message.dialogId, message.folder);
+  } else if (message.action === 'cancelSearchFolderDialog') {
+    searchFolderDialogs.delete(message.dialogId);
+  } else if (message.action === 'createMessageFilter') {
+    createMessageFilterRule(message.messageId, message.rule);
   } else if (message.action === 'cancelFilterDialog') {
     // Dialog cancelled, nothing to do
   } else if (message.action === 'closeFilterDialog') {
@@ -748,8 +3206,14 @@ browser.runtime.onMessage.addListener((message) => {
  * Apply filter with user-edited value.
  *
  * @param {Object} filter - Filter object with type and value
- * @param {string} filter.type - Filter type (sender, recipient, subject, etc.)
+ * @param {string} filter.type - Filter type (sender, recipient, subject, date, etc.)
  * @param {string} filter.value - User-edited filter value
+ * @param {number} [filter.tabId] - Mail tab to filter (required for date and combined filters)
+ * @param {boolean} [filter.combine] - Add to the current filter instead of replacing it
+ * @param {string} [filter.header] - Header searched by "header" filters
+ * @param {string} [filter.scope="folder"] - Where to search: the displayed
+ *   folder, all folders of its account ("account") or all accounts ("all")
+ * @param {string} [filter.saveName] - Also save the filter under this name
  */
 async function applyEditedFilter(filter) {
   try {
@@ -757,55 +3221,26 @@ async function applyEditedFilter(filter) {
     ErrorUtils.validateNotNull(filter.type, 'filter.type');
     ErrorUtils.validateString(filter.value, 'filter.value');
 
-    let quickFilterProperties = {};
+    // Criteria of the edited filter, also used when saving it
+    const criterion = editedFilterToState(filter);
+    const current = filter.combine ? await getQuickFilterState(filter.tabId) : null;
+    if (filter.combine && !await checkCombinable(current, criterion)) {
+      return;
+    }
 
-    switch (filter.type) {
-      case 'sender':
-        quickFilterProperties = {
-          text: {
-            text: filter.value,
-            author: true,
-          },
-        };
-        break;
-      case 'senderEmail':
-        quickFilterProperties = {
-          text: {
-            text: filter.value,
-            author: true,
-          },
-        };
-        break;
-      case 'recipient':
-      case 'recipients':
-        quickFilterProperties = {
-          text: {
-            text: filter.value,
-            recipients: true,
-          },
-        };
-        break;
-      case 'subject':
-        quickFilterProperties = {
-          text: {
-            text: filter.value,
-            subject: true,
-          },
-        };
-        break;
-      case 'body':
-        quickFilterProperties = {
-          text: {
-            text: filter.value,
-            body: true,
-          },
-        };
-        break;
-      default:
-        throw new Error(`Unknown filter type: ${filter.type}`);
+    if (filter.scope && filter.scope !== 'folder') {
+      // Other folders are searched, the displayed one keeps its filter
+      const state = filter.combine ? FilterUtils.combineStates(current, criterion) : criterion;
+      await searchInScope(filter.tabId, state, filter.scope);
+    } else {
+      await applyEditedCriterion(filter, criterion);
     }
 
-    await browser.mailTabs.setQuickFilter(quickFilterProperties);
+    if (filter.saveName) {
+      // Combined filters are saved with the criteria they were added to
+      const state = filter.combine ? await getQuickFilterState(filter.tabId) : criterion;
+      await saveFilterPreset(filter.saveName, state);
+    }
   } catch (error) {
     ErrorUtils.logError(error, { context: 'applyEditedFilter', filter });
     await ErrorUtils.showErrorNotification(
@@ -816,6 +3251,95 @@ async function applyEditedFilter(filter) {
   }
 }
 
+/**
+ * Convert a filter of the edit dialogs to the criteria it stands for.
+ *
+ * @param {Object} filter - Filter object with type and value, see applyEditedFilter
+ * @returns {Object} QuickFilterState holding the criteria of the filter
+ */
+function editedFilterToState(filter) {
+  switch (filter.type) {
+    case 'date': {
+      const range = DateUtils.parseDayInterval(filter.value);
+      if (!range) {
+        throw new Error(`Invalid date range: ${filter.value}`);
+      }
+      return FilterUtils.criterionToState('date', DateUtils.toTimestampRange(range));
+    }
+    case 'recipients':
+      // Any of the edited recipients, each matched on its own
+      return FilterUtils.anyOfToState('recipients', AddressUtils.getFilterTexts(filter.value));
+    case 'senderParentDomain':
+      // The domain or its subdomains, not other domains ending in its name
+      return FilterUtils.anyOfToState('senderParentDomain', DomainUtils.getDomainSearchTexts(filter.value));
+    case 'header':
+      ErrorUtils.validateString(filter.header, 'filter.header');
+      return FilterUtils.criterionToState('header', { name: filter.header, text: filter.value });
+    default:
+      // Text filters (sender, senderEmail, senderDomain, recipient(Cc), subject, body)
+      return FilterUtils.criterionToState(filter.type, filter.value);
+  }
+}
+
+/**
+ * Open the "Save as Search Folder" dialog for an edited filter, with the
+ * criteria it would apply.
+ *
+ * @param {Object} filter - Filter object with type and value, see applyEditedFilter
+ * @returns {Promise<void>}
+ */
+async function openEditedFilterSearchFolderDialog(filter) {
+  try {
+    ErrorUtils.validateNotNull(filter, 'filter');
+    ErrorUtils.validateNotNull(filter.type, 'filter.type');
+    ErrorUtils.validateString(filter.value, 'filter.value');
+
+    const criterion = editedFilterToState(filter);
+    const current = filter.combine ? await getQuickFilterState(filter.tabId) : null;
+    if (filter.combine && !await checkCombinable(current, criterion)) {
+      return;
+    }
+
+    const state = filter.combine ? FilterUtils.combineStates(current, criterion) : criterion;
+    await openSearchFolderDialog(filter.tabId, state, filter.scope);
+  } catch (error) {
+    ErrorUtils.logError(error, { context: 'openEditedFilterSearchFolderDialog', filter });
+    await ErrorUtils.showErrorNotification(
+      'Search Folder Failed',
+      'Could not open search folder dialog. Please try again.',
+      { type: 'error' }
+    );
+  }
+}
+
+/**
+ * Apply the criteria of an edited filter to the displayed folder.
+ *
+ * @param {Object} filter - Filter object with type and value, see applyEditedFilter
+ * @param {Object} criterion - QuickFilterState of the filter (editedFilterToState)
+ * @returns {Promise<void>}
+ */
+async function applyEditedCriterion(filter, criterion) {
+  if (filter.combine) {
+    await addToCurrentFilter(filter.tabId, criterion, 'dialog');
+    return;
+  }
+
+  await rememberFilterState(filter.tabId);
+  switch (filter.type) {
+    case 'date': {
+      // Date ranges are applied by the experiment, not the Quick Filter
+      const range = DateUtils.parseDayInterval(filter.value);
+      await filterByDateRange(filter.tabId, range.start, range.end, 'dialog');
+      break;
+    }
+    default:
+      // The whole state is replaced, so no earlier criterion stays behind
+      await browser.MessagesListAdapter.setQuickFilterState(filter.tabId, { ...criterion, show: true });
+      await recordFilterHistory(criterion, 'dialog');
+  }
+}
+
 // ============================================================================
 // TAB INITIALIZATION
 // ============================================================================
@@ -829,6 +3353,26 @@ async function applyEditedFilter(filter) {
  */
 async function main() {
   try {
+    // Detect features backed by the experiment (e.g. combined filters)
+    await Features.init();
+
+    // Migrate settings stored by an older version, e.g. show the menu
+    // groups added since
+    await Settings.migrateSettings(browser.runtime.getManifest().version);
+
+    // List saved and recent filters in the context menu
+    await rebuildSavedFiltersMenu();
+    await rebuildRecentFiltersMenu();
+
+    // Hide the menu groups the user turned off
+    await setShownMenuGroups(await Settings.getSetting('showContextMenus'));
+
+    // Choose the click that filters messages, or turn it off
+    await applyClickSettings();
+
+    // Subject rules of "Thread Subject" and "Ticket ID"
+    await loadSubjectRules();
+
     // Add listener for new tabs
     messenger.tabs.onCreated.addListener((tab) => {
       try {
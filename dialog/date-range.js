@@ -0,0 +1,163 @@
+(async function () {
+  'use strict';
+
+  const DateUtils = window.QuickFilterByDates;
+
+  const fromDateInput = document.getElementById('fromDate');
+  const toDateInput = document.getElementById('toDate');
+  const errorMessage = document.getElementById('errorMessage');
+  const applyButton = document.getElementById('applyButton');
+  const cancelButton = document.getElementById('cancelButton');
+
+  // Get the mail tab to filter from URL parameters
+  const urlParams = new URLSearchParams(window.location.search);
+  const tabId = parseInt(urlParams.get('tabId'), 10);
+
+  if (isNaN(tabId)) {
+    await browser.runtime.sendMessage({
+      action: 'closeFilterDialog',
+      error: 'Missing tab parameter'
+    });
+    return;
+  }
+
+  /**
+   * Quick range chips, keyed by their data-range attribute.
+   * @type {Object<string, Function>}
+   */
+  const quickRanges = {
+    'this-quarter': () => DateUtils.getThisQuarterRange(),
+    'last-quarter': () => DateUtils.getLastQuarterRange(),
+    'last-month': () => DateUtils.getLastMonthRange(),
+    'last-90days': () => DateUtils.getLastDaysRange(90),
+    'last-year': () => DateUtils.getLastYearRange()
+  };
+
+  // Start with the last 30 days, like the longest menu preset
+  setRange(DateUtils.getLastDaysRange(30));
+  fromDateInput.focus();
+
+  // Handle Enter and Escape keys
+  for (const input of [fromDateInput, toDateInput]) {
+    input.addEventListener('keydown', async (e) => {
+      if (e.key === 'Enter') {
+        await applyFilter();
+      } else if (e.key === 'Escape') {
+        await cancel();
+      }
+    });
+    input.addEventListener('input', () => showError(''));
+  }
+
+  // Handle quick range chips
+  document.querySelectorAll('button.chip').forEach(chip => {
+    chip.addEventListener('click', () => {
+      const getRange = quickRanges[chip.dataset.range];
+      if (getRange) {
+        setRange(getRange());
+        showError('');
+      }
+    });
+  });
+
+  // Handle Apply button
+  applyButton.addEventListener('click', async () => {
+    await applyFilter();
+  });
+
+  // Handle Cancel button
+  cancelButton.addEventListener('click', async () => {
+    await cancel();
+  });
+
+  /**
+   * Fills both date inputs from a range.
+   *
+   * @param {{start: Date, end: Date}} range - Range to show
+   */
+  function setRange(range) {
+    fromDateInput.value = DateUtils.formatDay(range.start);
+    toDateInput.value = DateUtils.formatDay(range.end);
+  }
+
+  /**
+   * Shows (or clears) the validation message.
+   *
+   * @param {string} message - Message, empty to clear
+   * @param {HTMLInputElement} [input] - Input to mark as invalid
+   */
+  function showError(message, input) {
+    errorMessage.textContent = message;
+    fromDateInput.removeAttribute('aria-invalid');
+    toDateInput.removeAttribute('aria-invalid');
+    if (input) {
+      input.setAttribute('aria-invalid', 'true');
+      input.focus();
+    }
+  }
+
+  /**
+   * Validates the inputs.
+   *
+   * @returns {string|null} Day interval, or null if invalid
+   */
+  function validate() {
+    const from = DateUtils.parseDay(fromDateInput.value);
+    if (!from) {
+      showError('Please enter a valid start date', fromDateInput);
+      return null;
+    }
+
+    const to = DateUtils.parseDay(toDateInput.value);
+    if (!to) {
+      showError('Please enter a valid end date', toDateInput);
+      return null;
+    }
+
+    if (from > to) {
+      showError('The start date must be before the end date', fromDateInput);
+      return null;
+    }
+
+    return DateUtils.formatDayInterval({ start: from, end: to });
+  }
+
+  async function applyFilter() {
+    const interval = validate();
+    if (!interval) {
+      return;
+    }
+
+    try {
+      // Send message to background script to apply filter
+      await browser.runtime.sendMessage({
+        action: 'applyEditedFilter',
+        filter: {
+          type: 'date',
+          value: interval,
+          tabId
+        }
+      });
+
+      // Close the dialog window
+      window.close();
+    } catch (error) {
+      console.error('Failed to apply filter:', error);
+      showError('Failed to apply filter: ' + error.message);
+    }
+  }
+
+  async function cancel() {
+    try {
+      // Send cancel message to background script
+      await browser.runtime.sendMessage({
+        action: 'cancelFilterDialog'
+      });
+    } catch (error) {
+      console.error('Failed to cancel:', error);
+    }
+
+    // Close the dialog window
+    window.close();
+  }
+})();
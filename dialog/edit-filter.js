@@ -1,8 +1,15 @@
 (async function () {
   'use strict';
 
+  const AddressUtils = window.QuickFilterByAddresses;
+  const HeaderUtils = window.QuickFilterByHeaders;
+
   const filterValueInput = document.getElementById('filterValue');
+  const headerSelect = document.getElementById('headerName');
+  const scopeSelect = document.getElementById('scope');
+  const saveNameInput = document.getElementById('saveName');
   const applyButton = document.getElementById('applyButton');
+  const searchFolderButton = document.getElementById('searchFolderButton');
   const cancelButton = document.getElementById('cancelButton');
 
   let filterData = null;
@@ -22,10 +29,31 @@
 
   filterData = {
     type: filterType,
-    value: decodeURIComponent(value)
+    value: decodeURIComponent(value),
+    // Mail tab and combine mode are passed back unchanged
+    tabId: urlParams.has('tabId') ? Number(urlParams.get('tabId')) : undefined,
+    combine: urlParams.get('combine') === '1',
+    // Header searched by "header" filters
+    header: urlParams.get('header') || undefined,
+    // Message whose headers are offered by the header chooser
+    messageId: urlParams.has('messageId') ? Number(urlParams.get('messageId')) : undefined
   };
 
+  if (filterData.type === 'header') {
+    await showHeaderChooser();
+  }
+
+  // Other folders are searched relative to the mail tab
+  if (filterData.tabId === undefined) {
+    document.getElementById('scopeGroup').hidden = true;
+  }
+
+  // Search folders are created in the account of the mail tab
+  if (filterData.tabId === undefined) {
+    searchFolderButton.hidden = true;
+  }
 
+  updateHint();
 
   // Set initial value in input
   filterValueInput.value = filterData.value;
@@ -33,29 +61,122 @@
   filterValueInput.select();
 
   // Handle Enter key
-  filterValueInput.addEventListener('keydown', async (e) => {
-    if (e.key === 'Enter') {
-      await applyFilter();
-    } else if (e.key === 'Escape') {
-      await cancel();
-    }
-  });
+  for (const input of [filterValueInput, saveNameInput]) {
+    input.addEventListener('keydown', async (e) => {
+      if (e.key === 'Enter') {
+        await applyFilter();
+      } else if (e.key === 'Escape') {
+        await cancel();
+      }
+    });
+  }
 
   // Handle Apply button
   applyButton.addEventListener('click', async () => {
     await applyFilter();
   });
 
+  // Handle Save as Search Folder button
+  searchFolderButton.addEventListener('click', async () => {
+    await saveAsSearchFolder();
+  });
+
   // Handle Cancel button
   cancelButton.addEventListener('click', async () => {
     await cancel();
   });
 
-  async function applyFilter() {
+  /**
+   * Fill the header chooser with the headers of the message. Picking a
+   * header puts its value in the filter value field.
+   */
+  async function showHeaderChooser() {
+    let fields = [];
+    if (typeof filterData.messageId === 'number') {
+      try {
+        const full = await browser.messages.getFull(filterData.messageId);
+        fields = HeaderUtils.listHeaders(full.headers).map(field => ({
+          name: field.name,
+          value: AddressUtils.decodeEncodedWords(field.value)
+        }));
+      } catch (error) {
+        console.error('Failed to read message headers:', error);
+      }
+    }
+
+    // The header chosen by the caller (e.g. the List-Id of a mailing list
+    // filter) comes first, else the first header of the message is used
+    if (filterData.header) {
+      fields.unshift({ name: filterData.header, value: filterData.value });
+    } else if (fields.length > 0) {
+      filterData.header = fields[0].name;
+      filterData.value = fields[0].value;
+    }
+
+    for (const [index, field] of fields.entries()) {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = `${field.name}: ${field.value}`;
+      headerSelect.appendChild(option);
+    }
+
+    headerSelect.addEventListener('change', () => {
+      const field = fields[Number(headerSelect.value)];
+      filterData.header = field.name;
+      filterValueInput.value = field.value;
+      updateHint();
+      filterValueInput.focus();
+      filterValueInput.select();
+    });
+
+    document.getElementById('headerGroup').hidden = false;
+  }
+
+  /**
+   * Describe what the filter value is matched against.
+   */
+  function updateHint() {
+    if (filterData.combine) {
+      document.getElementById('hint').textContent =
+        'The text will be added to the current filter';
+    } else if (filterData.header) {
+      document.getElementById('hint').textContent =
+        `Shows messages whose ${filterData.header} header contains the text`;
+    }
+  }
+
+  /**
+   * Read the edited filter, or tell the user what is missing.
+   *
+   * @returns {Object|null} Filter to send back, or null if incomplete
+   */
+  function getEditedFilter() {
     const editedValue = filterValueInput.value.trim();
 
     if (!editedValue) {
       alert('Please enter a filter value');
+      return null;
+    }
+
+    if (filterData.type === 'header' && !filterData.header) {
+      alert('Please pick a header');
+      return null;
+    }
+
+    return {
+      type: filterData.type,
+      value: editedValue,
+      tabId: filterData.tabId,
+      combine: filterData.combine,
+      header: filterData.header,
+      scope: scopeSelect.value,
+      saveName: saveNameInput.value.trim() || undefined
+    };
+  }
+
+  async function applyFilter() {
+    const filter = getEditedFilter();
+    if (!filter) {
       return;
     }
 
@@ -63,10 +184,7 @@
       // Send message to background script to apply filter
       await browser.runtime.sendMessage({
         action: 'applyEditedFilter',
-        filter: {
-          type: filterData.type,
-          value: editedValue
-        }
+        filter
       });
 
       // Close the dialog window
@@ -77,6 +195,27 @@
     }
   }
 
+  async function saveAsSearchFolder() {
+    const filter = getEditedFilter();
+    if (!filter) {
+      return;
+    }
+
+    try {
+      // The background script asks for the folder name in its own dialog
+      await browser.runtime.sendMessage({
+        action: 'saveEditedFilterAsSearchFolder',
+        filter
+      });
+
+      // Close the dialog window
+      window.close();
+    } catch (error) {
+      console.error('Failed to save search folder:', error);
+      alert('Failed to save search folder: ' + error.message);
+    }
+  }
+
   async function cancel() {
     try {
       // Send cancel message to background script
@@ -0,0 +1,276 @@
+(async function () {
+  'use strict';
+
+  const AddressUtils = window.QuickFilterByAddresses;
+  const SubjectUtils = window.QuickFilterBySubjects;
+  const HeaderUtils = window.QuickFilterByHeaders;
+  const RuleUtils = window.QuickFilterByRules;
+
+  const ruleNameInput = document.getElementById('ruleName');
+  const moveFolderSelect = document.getElementById('moveFolder');
+  const tagSelect = document.getElementById('tag');
+  const forwardAddressInput = document.getElementById('forwardAddress');
+  const errorMessage = document.getElementById('errorMessage');
+  const createButton = document.getElementById('createButton');
+  const cancelButton = document.getElementById('cancelButton');
+
+  /**
+   * Condition rows: checkbox, text field and the field searched.
+   * The field of the mailing list row is its header, set once it is known.
+   */
+  const conditionRows = [
+    { checkbox: 'useSender', input: 'senderText', field: 'author' },
+    { checkbox: 'useSubject', input: 'subjectText', field: 'subject' },
+    { checkbox: 'useList', input: 'listText', field: null }
+  ].map(row => ({
+    ...row,
+    checkbox: document.getElementById(row.checkbox),
+    input: document.getElementById(row.input)
+  }));
+
+  /**
+   * Messages shown for each problem of RuleUtils.getRuleProblems.
+   * @type {Object<string, string>}
+   */
+  const PROBLEM_MESSAGES = {
+    name: 'Please enter a name for the filter',
+    conditions: 'Please pick at least one condition with a text',
+    actions: 'Please pick at least one action',
+    folder: 'Please pick the folder to move messages to',
+    tag: 'Please pick a tag',
+    address: 'Please enter the email address to forward messages to'
+  };
+
+  // Folders listed in the folder chooser, by option value
+  const folders = [];
+
+  // The suggested name follows the conditions until the user edits it
+  let nameEdited = false;
+
+  // Get the message the rule is built from (URL parameters)
+  const urlParams = new URLSearchParams(window.location.search);
+  const messageId = parseInt(urlParams.get('messageId'), 10);
+
+  if (isNaN(messageId)) {
+    await browser.runtime.sendMessage({
+      action: 'closeFilterDialog',
+      error: 'Missing message parameter'
+    });
+    return;
+  }
+
+  await fillConditions();
+  await fillFolders();
+  await fillTags();
+  updateSuggestedName();
+
+  for (const row of conditionRows) {
+    row.checkbox.addEventListener('change', updateSuggestedName);
+    row.input.addEventListener('input', () => {
+      row.checkbox.checked = Boolean(row.input.value.trim());
+      updateSuggestedName();
+    });
+  }
+  ruleNameInput.addEventListener('input', () => {
+    nameEdited = true;
+  });
+
+  // Picking a target checks its action
+  moveFolderSelect.addEventListener('change', () => {
+    document.getElementById('doMove').checked = true;
+  });
+  tagSelect.addEventListener('change', () => {
+    document.getElementById('doTag').checked = true;
+  });
+  forwardAddressInput.addEventListener('input', () => {
+    document.getElementById('doForward').checked = Boolean(forwardAddressInput.value.trim());
+  });
+
+  // Handle Enter and Escape keys
+  document.addEventListener('keydown', async (e) => {
+    if (e.key === 'Enter' && e.target.tagName === 'INPUT' && e.target.type === 'text') {
+      await createRule();
+    } else if (e.key === 'Escape') {
+      await cancel();
+    }
+  });
+
+  // Handle Create button
+  createButton.addEventListener('click', async () => {
+    await createRule();
+  });
+
+  // Handle Cancel button
+  cancelButton.addEventListener('click', async () => {
+    await cancel();
+  });
+
+  ruleNameInput.focus();
+
+  /**
+   * Pre-fill the conditions from the message: its sender address, its
+   * subject without reply prefixes, and its mailing list. Messages of a
+   * list are matched by the list rather than the sender.
+   */
+  async function fillConditions() {
+    const [sender, subject, list] = conditionRows;
+
+    try {
+      const message = await browser.messages.get(messageId);
+      sender.input.value = AddressUtils.getAddress(message.author) || message.author || '';
+      subject.input.value = SubjectUtils.normalizeSubject(message.subject || '');
+    } catch (error) {
+      console.error('Failed to read message:', error);
+    }
+
+    let mailingList = null;
+    try {
+      const full = await browser.messages.getFull(messageId);
+      mailingList = HeaderUtils.getMailingList(full.headers);
+    } catch (error) {
+      console.error('Failed to read message headers:', error);
+    }
+
+    if (mailingList) {
+      list.field = mailingList.header;
+      list.input.value = mailingList.text;
+      list.checkbox.checked = true;
+      document.getElementById('listLabel').textContent = `${mailingList.header} contains`;
+      document.getElementById('listRow').hidden = false;
+    } else {
+      sender.checkbox.checked = Boolean(sender.input.value);
+    }
+  }
+
+  /**
+   * Fill the folder chooser with the folders of all accounts.
+   */
+  async function fillFolders() {
+    try {
+      const accounts = await browser.accounts.list(true);
+      for (const account of accounts) {
+        const group = document.createElement('optgroup');
+        group.label = account.name;
+
+        const addFolders = (accountFolders, depth) => {
+          for (const folder of accountFolders || []) {
+            const option = document.createElement('option');
+            option.value = String(folders.length);
+            // Subfolders are indented with non-breaking spaces
+            option.textContent = `${'\u00a0\u00a0'.repeat(depth)}${folder.name}`;
+            group.appendChild(option);
+            folders.push({ accountId: folder.accountId || account.id, path: folder.path });
+            addFolders(folder.subFolders, depth + 1);
+          }
+        };
+        addFolders(account.rootFolder ? account.rootFolder.subFolders : account.folders, 0);
+
+        moveFolderSelect.appendChild(group);
+      }
+    } catch (error) {
+      console.error('Failed to list folders:', error);
+    }
+  }
+
+  /**
+   * Fill the tag chooser with the tags defined in Thunderbird.
+   */
+  async function fillTags() {
+    try {
+      const tags = browser.messages.tags?.list ?
+        await browser.messages.tags.list() : await browser.messages.listTags();
+      for (const tag of tags) {
+        const option = document.createElement('option');
+        option.value = tag.key;
+        option.textContent = tag.tag;
+        tagSelect.appendChild(option);
+      }
+    } catch (error) {
+      console.error('Failed to list tags:', error);
+    }
+  }
+
+  /**
+   * Read the checked conditions.
+   *
+   * @returns {Array<Object>} TextCriterion objects
+   */
+  function getConditions() {
+    return conditionRows
+      .filter(row => row.checkbox.checked)
+      .map(row => RuleUtils.createCondition(row.field, row.input.value))
+      .filter(Boolean);
+  }
+
+  /**
+   * Read the checked actions.
+   *
+   * @returns {Array<Object>} RuleAction objects
+   */
+  function getActions() {
+    const actions = [];
+    if (document.getElementById('doMove').checked) {
+      actions.push({ type: 'move', folder: folders[Number(moveFolderSelect.value)] });
+    }
+    if (document.getElementById('doTag').checked) {
+      actions.push({ type: 'tag', tag: tagSelect.value });
+    }
+    if (document.getElementById('doMarkRead').checked) {
+      actions.push({ type: 'markRead' });
+    }
+    if (document.getElementById('doForward').checked) {
+      actions.push({ type: 'forward', address: forwardAddressInput.value.trim() });
+    }
+    return actions;
+  }
+
+  function updateSuggestedName() {
+    errorMessage.textContent = '';
+    if (!nameEdited) {
+      ruleNameInput.value = RuleUtils.suggestRuleName(getConditions());
+    }
+  }
+
+  async function createRule() {
+    const rule = {
+      name: ruleNameInput.value.trim(),
+      conditions: getConditions(),
+      actions: getActions()
+    };
+
+    const problems = RuleUtils.getRuleProblems(rule);
+    if (problems.length > 0) {
+      errorMessage.textContent = PROBLEM_MESSAGES[problems[0]];
+      return;
+    }
+
+    try {
+      // Send message to background script to create the rule
+      await browser.runtime.sendMessage({
+        action: 'createMessageFilter',
+        messageId,
+        rule
+      });
+
+      // Close the dialog window
+      window.close();
+    } catch (error) {
+      console.error('Failed to create message filter:', error);
+      errorMessage.textContent = 'Failed to create message filter: ' + error.message;
+    }
+  }
+
+  async function cancel() {
+    try {
+      // Send cancel message to background script
+      await browser.runtime.sendMessage({
+        action: 'cancelFilterDialog'
+      });
+    } catch (error) {
+      console.error('Failed to cancel:', error);
+    }
+
+    // Close the dialog window
+    window.close();
+  }
+})();
@@ -0,0 +1,85 @@
+(async function () {
+  'use strict';
+
+  const filterNameInput = document.getElementById('filterName');
+  const errorMessage = document.getElementById('errorMessage');
+  const saveButton = document.getElementById('saveButton');
+  const cancelButton = document.getElementById('cancelButton');
+
+  // Get the mail tab whose filter is saved from URL parameters
+  const urlParams = new URLSearchParams(window.location.search);
+  const tabId = parseInt(urlParams.get('tabId'), 10);
+
+  if (isNaN(tabId)) {
+    await browser.runtime.sendMessage({
+      action: 'closeFilterDialog',
+      error: 'Missing tab parameter'
+    });
+    return;
+  }
+
+  filterNameInput.focus();
+
+  // Handle Enter and Escape keys
+  filterNameInput.addEventListener('keydown', async (e) => {
+    if (e.key === 'Enter') {
+      await saveFilter();
+    } else if (e.key === 'Escape') {
+      await cancel();
+    }
+  });
+  filterNameInput.addEventListener('input', () => {
+    errorMessage.textContent = '';
+    filterNameInput.removeAttribute('aria-invalid');
+  });
+
+  // Handle Save button
+  saveButton.addEventListener('click', async () => {
+    await saveFilter();
+  });
+
+  // Handle Cancel button
+  cancelButton.addEventListener('click', async () => {
+    await cancel();
+  });
+
+  async function saveFilter() {
+    const name = filterNameInput.value.trim();
+
+    if (!name) {
+      errorMessage.textContent = 'Please enter a name for the filter';
+      filterNameInput.setAttribute('aria-invalid', 'true');
+      filterNameInput.focus();
+      return;
+    }
+
+    try {
+      // Send message to background script to save the filter
+      await browser.runtime.sendMessage({
+        action: 'saveCurrentFilter',
+        tabId,
+        name
+      });
+
+      // Close the dialog window
+      window.close();
+    } catch (error) {
+      console.error('Failed to save filter:', error);
+      errorMessage.textContent = 'Failed to save filter: ' + error.message;
+    }
+  }
+
+  async function cancel() {
+    try {
+      // Send cancel message to background script
+      await browser.runtime.sendMessage({
+        action: 'cancelFilterDialog'
+      });
+    } catch (error) {
+      console.error('Failed to cancel:', error);
+    }
+
+    // Close the dialog window
+    window.close();
+  }
+})();
@@ -0,0 +1,95 @@
+(async function () {
+  'use strict';
+
+  const folderNameInput = document.getElementById('folderName');
+  const scopeSelect = document.getElementById('scope');
+  const searchOnlineCheckbox = document.getElementById('searchOnline');
+  const errorMessage = document.getElementById('errorMessage');
+  const createButton = document.getElementById('createButton');
+  const cancelButton = document.getElementById('cancelButton');
+
+  // The criteria are kept by the background script under the dialog ID
+  const urlParams = new URLSearchParams(window.location.search);
+  const dialogId = parseInt(urlParams.get('dialogId'), 10);
+
+  if (isNaN(dialogId)) {
+    await browser.runtime.sendMessage({
+      action: 'closeFilterDialog',
+      error: 'Missing dialog parameter'
+    });
+    return;
+  }
+
+  folderNameInput.value = urlParams.get('name') || '';
+  scopeSelect.value = urlParams.get('scope') || 'folder';
+  folderNameInput.focus();
+  folderNameInput.select();
+
+  // Handle Enter and Escape keys
+  folderNameInput.addEventListener('keydown', async (e) => {
+    if (e.key === 'Enter') {
+      await createFolder();
+    } else if (e.key === 'Escape') {
+      await cancel();
+    }
+  });
+  folderNameInput.addEventListener('input', () => {
+    errorMessage.textContent = '';
+    folderNameInput.removeAttribute('aria-invalid');
+  });
+
+  // Handle Create button
+  createButton.addEventListener('click', async () => {
+    await createFolder();
+  });
+
+  // Handle Cancel button
+  cancelButton.addEventListener('click', async () => {
+    await cancel();
+  });
+
+  async function createFolder() {
+    const name = folderNameInput.value.trim();
+
+    if (!name) {
+      errorMessage.textContent = 'Please enter a name for the folder';
+      folderNameInput.setAttribute('aria-invalid', 'true');
+      folderNameInput.focus();
+      return;
+    }
+
+    try {
+      // Send message to background script to create the folder
+      await browser.runtime.sendMessage({
+        action: 'createSearchFolder',
+        dialogId,
+        folder: {
+          name,
+          scope: scopeSelect.value,
+          searchOnline: searchOnlineCheckbox.checked
+        }
+      });
+
+      // Close the dialog window
+      window.close();
+    } catch (error) {
+      console.error('Failed to create search folder:', error);
+      errorMessage.textContent = 'Failed to create search folder: ' + error.message;
+    }
+  }
+
+  async function cancel() {
+    try {
+      // Send cancel message to background script
+      await browser.runtime.sendMessage({
+        action: 'cancelSearchFolderDialog',
+        dialogId
+      });
+    } catch (error) {
+      console.error('Failed to cancel:', error);
+    }
+
+    // Close the dialog window
+    window.close();
+  }
+})();
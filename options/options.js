@@ -8,6 +8,52 @@
 // STATE
 // ============================================================================
 
+/**
+ * Filter composition helpers (src/utils/filters.js, loaded before this file).
+ * @type {Object}
+ */
+const FilterUtils = window.QuickFilterByFilters;
+
+/**
+ * Subject rule helpers (src/utils/subjects.js, loaded before this file).
+ * @type {Object}
+ */
+const SubjectUtils = window.QuickFilterBySubjects;
+
+/**
+ * Checkbox of each context menu group (showContextMenus setting).
+ * @type {Object<string, string>}
+ */
+const MENU_GROUP_CHECKBOXES = {
+  sender: 'showSenderMenu',
+  senderEmail: 'showSenderEmailMenu',
+  senderDomain: 'showSenderDomainMenu',
+  recipient: 'showRecipientMenu',
+  recipients: 'showRecipientsMenu',
+  subject: 'showSubjectMenu',
+  headers: 'showHeadersMenu',
+  conversation: 'showConversationMenu',
+  messageFilter: 'showMessageFilterMenu',
+  selection: 'showSelectionMenu',
+  date: 'showDateMenu',
+  tags: 'showTagsMenu',
+  attachment: 'showAttachmentMenu',
+  readStatus: 'showReadStatusMenu',
+  flaggedStatus: 'showFlaggedStatusMenu',
+  contacts: 'showContactsMenu',
+  savedFilters: 'showSavedFiltersMenu',
+  recentFilters: 'showRecentFiltersMenu',
+  scope: 'showScopeMenu',
+  clearFilter: 'showClearFilterMenu'
+};
+
+/**
+ * Settings stored in browser.storage.local instead of browser.storage.sync
+ * (LOCAL_SETTINGS of src/utils/settings.js).
+ * @type {Array<string>}
+ */
+const LOCAL_SETTINGS = ['customFilters', 'filterHistory'];
+
 /**
  * Current settings values.
  * @type {Object}
@@ -41,18 +87,26 @@ const elements = {};
  */
 function initializeElements() {
   elements.altClickEnabled = document.getElementById('altClickEnabled');
+  elements.altClickModifier = document.getElementById('altClickModifier');
   elements.defaultFilterType = document.getElementById('defaultFilterType');
-  elements.showSenderMenu = document.getElementById('showSenderMenu');
-  elements.showSenderEmailMenu = document.getElementById('showSenderEmailMenu');
-  elements.showRecipientMenu = document.getElementById('showRecipientMenu');
-  elements.showRecipientsMenu = document.getElementById('showRecipientsMenu');
-  elements.showSubjectMenu = document.getElementById('showSubjectMenu');
+  for (const id of Object.values(MENU_GROUP_CHECKBOXES)) {
+    elements[id] = document.getElementById(id);
+  }
+  elements.subjectReplyPrefixes = document.getElementById('subjectReplyPrefixes');
+  elements.subjectStripListTags = document.getElementById('subjectStripListTags');
+  elements.subjectTicketPatterns = document.getElementById('subjectTicketPatterns');
   elements.debugMode = document.getElementById('debugMode');
   elements.logLevel = document.getElementById('logLevel');
   elements.showNotifications = document.getElementById('showNotifications');
   elements.filterHistoryEnabled = document.getElementById('filterHistoryEnabled');
   elements.maxFilterHistory = document.getElementById('maxFilterHistory');
   elements.clearFilterHistory = document.getElementById('clearFilterHistory');
+  elements.savedFiltersList = document.getElementById('savedFiltersList');
+  elements.savedFiltersEmpty = document.getElementById('savedFiltersEmpty');
+  elements.filterHistoryList = document.getElementById('filterHistoryList');
+  elements.filterHistoryEmpty = document.getElementById('filterHistoryEmpty');
+  elements.shortcutsList = document.getElementById('shortcutsList');
+  elements.shortcutsEmpty = document.getElementById('shortcutsEmpty');
   elements.extensionVersion = document.getElementById('extensionVersion');
   elements.saveButton = document.getElementById('saveButton');
   elements.resetButton = document.getElementById('resetButton');
@@ -72,7 +126,10 @@ async function loadSettings() {
 
   try {
     // Load all settings
-    currentSettings = await browser.storage.sync.get();
+    currentSettings = {
+      ...await browser.storage.sync.get(),
+      ...await browser.storage.local.get(LOCAL_SETTINGS)
+    };
 
     console.log('[Options] Loaded settings:', currentSettings);
 
@@ -81,17 +138,32 @@ async function loadSettings() {
       elements.altClickEnabled.checked = currentSettings.altClickEnabled !== false;
     }
 
+    if (elements.altClickModifier) {
+      elements.altClickModifier.value = currentSettings.altClickModifier || 'alt';
+    }
+
     if (elements.defaultFilterType) {
       elements.defaultFilterType.value = currentSettings.defaultFilterType || 'sender';
     }
 
-    if (elements.showSenderMenu) {
-      const showMenus = currentSettings.showContextMenus || DEFAULT_SETTINGS.showContextMenus;
-      elements.showSenderMenu.checked = showMenus.includes('sender');
-      elements.showSenderEmailMenu.checked = showMenus.includes('senderEmail');
-      elements.showRecipientMenu.checked = showMenus.includes('recipient');
-      elements.showRecipientsMenu.checked = showMenus.includes('recipients');
-      elements.showSubjectMenu.checked = showMenus.includes('subject');
+    const showMenus = currentSettings.showContextMenus || Object.keys(MENU_GROUP_CHECKBOXES);
+    for (const [group, id] of Object.entries(MENU_GROUP_CHECKBOXES)) {
+      if (elements[id]) {
+        elements[id].checked = showMenus.includes(group);
+      }
+    }
+
+    const subjectRules = currentSettings.subjectRules || {};
+    if (elements.subjectReplyPrefixes) {
+      elements.subjectReplyPrefixes.value = (subjectRules.replyPrefixes || []).join(', ');
+    }
+
+    if (elements.subjectStripListTags) {
+      elements.subjectStripListTags.checked = subjectRules.stripListTags !== false;
+    }
+
+    if (elements.subjectTicketPatterns) {
+      elements.subjectTicketPatterns.value = (subjectRules.ticketPatterns || []).join('\n');
     }
 
     if (elements.debugMode) {
@@ -114,6 +186,9 @@ async function loadSettings() {
       elements.maxFilterHistory.value = currentSettings.maxFilterHistory || 50;
     }
 
+    renderSavedFilters(currentSettings.customFilters || []);
+    renderFilterHistory(currentSettings.filterHistory || []);
+
     // Load extension version
     if (elements.extensionVersion && currentSettings.lastVersion) {
       elements.extensionVersion.textContent = currentSettings.lastVersion;
@@ -149,20 +224,27 @@ function getUISettings() {
     settings.altClickEnabled = elements.altClickEnabled.checked;
   }
 
+  if (elements.altClickModifier) {
+    settings.altClickModifier = elements.altClickModifier.value;
+  }
+
   if (elements.defaultFilterType) {
     settings.defaultFilterType = elements.defaultFilterType.value;
   }
 
-  if (elements.showSenderMenu && elements.showSenderEmailMenu &&
-      elements.showRecipientMenu && elements.showRecipientsMenu &&
-      elements.showSubjectMenu) {
-    const showMenus = [];
-    if (elements.showSenderMenu.checked) showMenus.push('sender');
-    if (elements.showSenderEmailMenu.checked) showMenus.push('senderEmail');
-    if (elements.showRecipientMenu.checked) showMenus.push('recipient');
-    if (elements.showRecipientsMenu.checked) showMenus.push('recipients');
-    if (elements.showSubjectMenu.checked) showMenus.push('subject');
-    settings.showContextMenus = showMenus;
+  if (Object.values(MENU_GROUP_CHECKBOXES).every(id => elements[id])) {
+    settings.showContextMenus = Object.keys(MENU_GROUP_CHECKBOXES)
+      .filter(group => elements[MENU_GROUP_CHECKBOXES[group]].checked);
+  }
+
+  if (elements.subjectReplyPrefixes && elements.subjectStripListTags && elements.subjectTicketPatterns) {
+    settings.subjectRules = {
+      replyPrefixes: elements.subjectReplyPrefixes.value.split(',')
+        .map(prefix => prefix.trim()).filter(Boolean),
+      stripListTags: elements.subjectStripListTags.checked,
+      ticketPatterns: elements.subjectTicketPatterns.value.split('\n')
+        .map(pattern => pattern.trim()).filter(Boolean)
+    };
   }
 
   if (elements.debugMode) {
@@ -218,6 +300,23 @@ function validateSettings(settings) {
     }
   }
 
+  // Validate filter click
+  if (settings.altClickModifier !== undefined) {
+    const validModifiers = ['alt', 'ctrl-alt', 'shift-alt', 'middle'];
+    if (!validModifiers.includes(settings.altClickModifier)) {
+      errors.push('Invalid filter click');
+    }
+  }
+
+  // Validate ticket patterns
+  if (settings.subjectRules !== undefined) {
+    const invalid = settings.subjectRules.ticketPatterns
+      .filter(pattern => !SubjectUtils.isValidPattern(pattern));
+    if (invalid.length > 0) {
+      errors.push(`Invalid ticket pattern: ${invalid.join(', ')}`);
+    }
+  }
+
   // Validate log level
   if (settings.logLevel !== undefined) {
     const validLevels = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
@@ -331,7 +430,7 @@ async function handleClearFilterHistory() {
   }
 
   try {
-    await browser.storage.sync.set({ filterHistory: [] });
+    await browser.storage.local.set({ filterHistory: [] });
     showNotification('success', 'Filter history cleared');
   } catch (error) {
     console.error('[Options] Error clearing filter history:', error);
@@ -362,7 +461,7 @@ function updateSaveButton() {
  */
 function attachEventListeners() {
   // Track modifications
-  const inputs = document.querySelectorAll('input, select');
+  const inputs = document.querySelectorAll('input, select, textarea');
   inputs.forEach(input => {
     input.addEventListener('change', () => {
       modifiedSettings.add(input.id);
@@ -385,15 +484,324 @@ function attachEventListeners() {
     elements.clearFilterHistory.addEventListener('click', handleClearFilterHistory);
   }
 
+  // Shortcuts changed in the Add-ons Manager
+  if (browser.commands?.onChanged) {
+    browser.commands.onChanged.addListener(loadShortcuts);
+  }
+
   // Handle storage changes from other tabs
   browser.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName === 'sync' && Object.keys(changes).length > 0) {
+    if ((areaName === 'sync' || areaName === 'local') && Object.keys(changes).length > 0) {
       console.log('[Options] Settings changed externally, reloading...');
       loadSettings();
     }
   });
 }
 
+// ============================================================================
+// SAVED FILTERS
+// ============================================================================
+
+/**
+ * Creates a small button for a saved filter or history row.
+ *
+ * @param {string} label - Button text
+ * @param {string} ariaLabel - Accessible label
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button
+ */
+function createRowButton(label, ariaLabel, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'button button-small';
+  button.textContent = label;
+  button.setAttribute('aria-label', ariaLabel);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Renders the saved filters list.
+ *
+ * @param {Array<Object>} presets - Saved filters, in menu order
+ */
+function renderSavedFilters(presets) {
+  if (!elements.savedFiltersList) return;
+
+  elements.savedFiltersList.replaceChildren();
+  elements.savedFiltersEmpty.hidden = presets.length > 0;
+
+  presets.forEach((preset, index) => {
+    const item = document.createElement('li');
+    item.className = 'filter-list-item';
+
+    const details = document.createElement('div');
+    details.className = 'filter-list-details';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'saved-filter-name';
+    nameInput.value = preset.name;
+    nameInput.maxLength = 100;
+    nameInput.setAttribute('aria-label', `Name of saved filter ${preset.name}`);
+    nameInput.addEventListener('change', () => renameSavedFilter(preset.id, nameInput));
+
+    const summary = document.createElement('span');
+    summary.className = 'filter-list-summary';
+    summary.textContent = FilterUtils.describeState(preset.filter);
+
+    details.appendChild(nameInput);
+    details.appendChild(summary);
+    item.appendChild(details);
+
+    const upButton = createRowButton('↑', `Move ${preset.name} up`,
+      () => moveSavedFilter(preset.id, -1));
+    upButton.disabled = index === 0;
+
+    const downButton = createRowButton('↓', `Move ${preset.name} down`,
+      () => moveSavedFilter(preset.id, 1));
+    downButton.disabled = index === presets.length - 1;
+
+    const deleteButton = createRowButton('Delete', `Delete ${preset.name}`,
+      () => deleteSavedFilter(preset.id));
+    deleteButton.classList.replace('button-small', 'button-danger');
+
+    item.appendChild(upButton);
+    item.appendChild(downButton);
+    item.appendChild(deleteButton);
+    elements.savedFiltersList.appendChild(item);
+  });
+}
+
+/**
+ * Reads, updates and stores a list setting (saved filters, history).
+ * The storage change reloads the page state, which re-renders the list.
+ *
+ * @param {string} key - Setting key (customFilters or filterHistory)
+ * @param {Function} update - Receives the stored list, returns the new list
+ * @param {string} failureMessage - Notification shown on failure
+ */
+async function updateStoredList(key, update, failureMessage) {
+  try {
+    const storage = LOCAL_SETTINGS.includes(key) ? browser.storage.local : browser.storage.sync;
+    const { [key]: list = [] } = await storage.get(key);
+    await storage.set({ [key]: update([...list]) });
+  } catch (error) {
+    console.error(`[Options] Error updating ${key}:`, error);
+    showNotification('error', failureMessage);
+  }
+}
+
+/**
+ * Renames a saved filter from its name input.
+ *
+ * @param {string} id - Saved filter ID
+ * @param {HTMLInputElement} input - Name input
+ */
+async function renameSavedFilter(id, input) {
+  const name = input.value.trim();
+  if (!name) {
+    showNotification('error', 'Saved filter names cannot be empty');
+    input.focus();
+    return;
+  }
+
+  await updateStoredList('customFilters',
+    presets => presets.map(preset => (preset.id === id ? { ...preset, name } : preset)),
+    'Failed to rename saved filter'
+  );
+}
+
+/**
+ * Moves a saved filter up or down in the menu.
+ *
+ * @param {string} id - Saved filter ID
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+async function moveSavedFilter(id, offset) {
+  await updateStoredList('customFilters', presets => {
+    const index = presets.findIndex(preset => preset.id === id);
+    const target = index + offset;
+    if (index !== -1 && target >= 0 && target < presets.length) {
+      const [preset] = presets.splice(index, 1);
+      presets.splice(target, 0, preset);
+    }
+    return presets;
+  }, 'Failed to reorder saved filters');
+}
+
+/**
+ * Deletes a saved filter after confirmation.
+ *
+ * @param {string} id - Saved filter ID
+ */
+async function deleteSavedFilter(id) {
+  if (!confirm('Are you sure you want to delete this saved filter?')) {
+    return;
+  }
+
+  await updateStoredList('customFilters',
+    presets => presets.filter(preset => preset.id !== id),
+    'Failed to delete saved filter'
+  );
+}
+
+// ============================================================================
+// FILTER HISTORY
+// ============================================================================
+
+/**
+ * Labels of history entry sources.
+ * @type {Object<string, string>}
+ */
+const HISTORY_SOURCE_LABELS = {
+  menu: 'Context menu',
+  'alt-click': 'Alt-click',
+  shortcut: 'Keyboard shortcut',
+  dialog: 'Filter dialog',
+  saved: 'Saved filter',
+  history: 'Recent filters'
+};
+
+/**
+ * Renders the filter history list. Entries recorded before history kept
+ * the applied filter cannot be re-applied and are skipped.
+ *
+ * @param {Array<Object>} history - History entries, most recent first
+ */
+function renderFilterHistory(history) {
+  if (!elements.filterHistoryList) return;
+
+  const entries = history.filter(entry => entry && entry.id && entry.filter);
+  elements.filterHistoryList.replaceChildren();
+  elements.filterHistoryEmpty.hidden = entries.length > 0;
+
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.className = 'filter-list-item';
+
+    const details = document.createElement('div');
+    details.className = 'filter-list-details';
+
+    const label = document.createElement('span');
+    label.textContent = entry.pinned ? `★ ${entry.label}` : entry.label;
+
+    const summary = document.createElement('span');
+    summary.className = 'filter-list-summary';
+    summary.textContent = [
+      HISTORY_SOURCE_LABELS[entry.source] || entry.source,
+      new Date(entry.timestamp).toLocaleString()
+    ].join(' · ');
+
+    details.appendChild(label);
+    details.appendChild(summary);
+    item.appendChild(details);
+
+    item.appendChild(createRowButton('Apply', `Apply ${entry.label}`,
+      () => applyHistoryEntry(entry.id)));
+    item.appendChild(createRowButton(entry.pinned ? 'Unpin' : 'Pin',
+      `${entry.pinned ? 'Unpin' : 'Pin'} ${entry.label}`,
+      () => pinHistoryEntry(entry.id, !entry.pinned)));
+
+    const deleteButton = createRowButton('Delete', `Delete ${entry.label}`,
+      () => deleteHistoryEntry(entry.id));
+    deleteButton.classList.replace('button-small', 'button-danger');
+    item.appendChild(deleteButton);
+
+    elements.filterHistoryList.appendChild(item);
+  }
+}
+
+/**
+ * Asks the background script to re-apply a history entry to the active
+ * mail tab.
+ *
+ * @param {string} id - History entry ID
+ */
+async function applyHistoryEntry(id) {
+  try {
+    await browser.runtime.sendMessage({ action: 'applyHistoryFilter', id });
+  } catch (error) {
+    console.error('[Options] Error applying history entry:', error);
+    showNotification('error', 'Failed to apply filter');
+  }
+}
+
+/**
+ * Pins or unpins a history entry. Pinned entries are listed first in the
+ * "Recent Filters" menu and kept when the history is trimmed.
+ *
+ * @param {string} id - History entry ID
+ * @param {boolean} pinned - New pinned state
+ */
+async function pinHistoryEntry(id, pinned) {
+  await updateStoredList('filterHistory',
+    history => history.map(entry => (entry.id === id ? { ...entry, pinned } : entry)),
+    'Failed to update filter history'
+  );
+}
+
+/**
+ * Deletes a history entry.
+ *
+ * @param {string} id - History entry ID
+ */
+async function deleteHistoryEntry(id) {
+  await updateStoredList('filterHistory',
+    history => history.filter(entry => entry.id !== id),
+    'Failed to update filter history'
+  );
+}
+
+// ============================================================================
+// KEYBOARD SHORTCUTS
+// ============================================================================
+
+/**
+ * Lists the commands of the extension with their current shortcuts.
+ * Shortcuts are changed in the Add-ons Manager, not on this page.
+ */
+async function loadShortcuts() {
+  try {
+    renderShortcuts(browser.commands ? await browser.commands.getAll() : []);
+  } catch (error) {
+    console.error('[Options] Error loading keyboard shortcuts:', error);
+    renderShortcuts([]);
+  }
+}
+
+/**
+ * Renders the keyboard shortcuts list.
+ *
+ * @param {Array<Object>} commands - commands.Command objects
+ */
+function renderShortcuts(commands) {
+  if (!elements.shortcutsList) return;
+
+  elements.shortcutsList.replaceChildren();
+  elements.shortcutsEmpty.hidden = commands.length > 0;
+
+  for (const command of commands) {
+    const item = document.createElement('li');
+    item.className = 'filter-list-item';
+
+    const details = document.createElement('div');
+    details.className = 'filter-list-details';
+
+    const label = document.createElement('span');
+    label.textContent = command.description || command.name;
+
+    const shortcut = document.createElement('span');
+    shortcut.className = 'filter-list-summary';
+    shortcut.textContent = command.shortcut || 'Not set';
+
+    details.appendChild(label);
+    details.appendChild(shortcut);
+    item.appendChild(details);
+    elements.shortcutsList.appendChild(item);
+  }
+}
+
 // ============================================================================
 // NOTIFICATIONS
 // ============================================================================
@@ -446,6 +854,7 @@ async function init() {
 
   // Load settings
   await loadSettings();
+  await loadShortcuts();
 
   // Attach event listeners
   attachEventListeners();
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Regenerates src/utils/public-suffixes.js from the Public Suffix List.
+ *
+ * Usage:
+ *   node scripts/update-public-suffixes.js [public_suffix_list.dat]
+ *
+ * Without a file, the list is downloaded from
+ * https://publicsuffix.org/list/public_suffix_list.dat. Only the ICANN
+ * section is bundled: sender domains are grouped by the domain their owner
+ * registered, not by private sub-registries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LIST_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
+const OUTPUT = path.join(__dirname, '..', 'src', 'utils', 'public-suffixes.js');
+const LINE_WIDTH = 100;
+
+/**
+ * Reads the rules of the ICANN section of the list.
+ *
+ * @param {string} list - Contents of public_suffix_list.dat
+ * @returns {Array<string>} Rules with more than one label, in list order
+ */
+function parseIcannRules(list) {
+  const start = list.indexOf('// ===BEGIN ICANN DOMAINS===');
+  const end = list.indexOf('// ===END ICANN DOMAINS===');
+  if (start === -1 || end === -1) {
+    throw new Error('ICANN section not found');
+  }
+
+  return list.substring(start, end).split('\n')
+    .map(line => line.trim().split(/\s/)[0])
+    // Top-level domains are covered by the default rule
+    .filter(rule => rule && !rule.startsWith('//') && rule.includes('.'));
+}
+
+/**
+ * Formats rules as array elements, one group of lines per top-level domain.
+ *
+ * @param {Array<string>} rules - Rules
+ * @returns {string} Source of the array elements
+ */
+function formatRules(rules) {
+  const groups = new Map();
+  for (const rule of rules) {
+    const tld = rule.substring(rule.lastIndexOf('.') + 1);
+    groups.set(tld, [...(groups.get(tld) || []), rule]);
+  }
+
+  const lines = [];
+  for (const [tld, tldRules] of groups) {
+    lines.push(`  // ${tld}`);
+    let line = ' ';
+    for (const rule of tldRules) {
+      const item = ` '${rule}',`;
+      if (line.length + item.length > LINE_WIDTH) {
+        lines.push(line);
+        line = ' ';
+      }
+      line += item;
+    }
+    lines.push(line);
+  }
+
+  return lines.join('\n').replace(/,$/, '');
+}
+
+async function main() {
+  const file = process.argv[2];
+  const list = file ? fs.readFileSync(file, 'utf-8') : await (await fetch(LIST_URL)).text();
+  const rules = parseIcannRules(list);
+
+  fs.writeFileSync(OUTPUT, `/**
+ * Public Suffix List rules for QuickFilterBy extension.
+ *
+ * Generated by scripts/update-public-suffixes.js from the ICANN section of
+ * the Public Suffix List (https://publicsuffix.org/), which is subject to
+ * the terms of the Mozilla Public License, v. 2.0
+ * (https://mozilla.org/MPL/2.0/). Do not edit by hand.
+ *
+ * @module public-suffixes
+ */
+
+/**
+ * Rules in list syntax: "*." rules match any label, "!" rules are
+ * exceptions to them. Top-level domains are covered by the default rule
+ * and not listed.
+ *
+ * @constant {Array<string>}
+ */
+const PUBLIC_SUFFIX_RULES = [
+${formatRules(rules)}
+];
+
+// Export all constants
+const publicSuffixes = {
+  PUBLIC_SUFFIX_RULES
+};
+
+// For use in browser extension context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = publicSuffixes;
+}
+
+// Export for ES6 modules
+if (typeof window !== 'undefined') {
+  window.QuickFilterByPublicSuffixes = publicSuffixes;
+}
+`);
+  console.log(`Wrote ${rules.length} rules to ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,410 @@
+/**
+ * Address utilities for QuickFilterBy extension.
+ * Parses RFC 5322 address headers (From, To, Cc) so sender and recipient
+ * filters use the same names and addresses, however the header is written.
+ *
+ * Supported: quoted display names (with commas and escapes), comments,
+ * group syntax ("Team: a@b.com, c@d.com;"), RFC 2047 encoded-words and
+ * bare addresses. The parser is lenient: it never throws on bad input.
+ *
+ * @module addresses
+ */
+
+/**
+ * A mailbox of an address header.
+ *
+ * @typedef {Object} Mailbox
+ * @property {string} name - Decoded display name, or the comment of a bare
+ *   address like "a@b.com (Name)"; empty if there is none
+ * @property {string} address - Email address; empty for a name without address
+ * @property {string} [group] - Name of the group the mailbox is listed in
+ */
+
+/**
+ * Matches one RFC 2047 encoded-word; groups are charset, encoding and text.
+ *
+ * @constant {RegExp}
+ */
+const ENCODED_WORD_PATTERN = /=\?([^?\s]+)\?([bBqQ])\?([^?\s]*)\?=/;
+
+/**
+ * Matches a run of encoded-words separated by whitespace only, which is
+ * dropped when decoding (RFC 2047, section 6.2).
+ *
+ * @constant {RegExp}
+ */
+const ENCODED_WORD_RUN_PATTERN = /=\?[^?\s]+\?[bBqQ]\?[^?\s]*\?=(?:\s+=\?[^?\s]+\?[bBqQ]\?[^?\s]*\?=)*/g;
+
+// ============================================================================
+// ENCODED-WORDS
+// ============================================================================
+
+/**
+ * Gets the bytes of the text of an encoded-word.
+ *
+ * @param {string} encoding - "B" (base64) or "Q" (quoted-printable)
+ * @param {string} text - Encoded text
+ * @returns {Array<number>} Bytes
+ */
+function decodeWordBytes(encoding, text) {
+  if (encoding.toUpperCase() === 'B') {
+    return Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '_') {
+      bytes.push(0x20);
+    } else if (text[i] === '=' && /^[0-9a-f]{2}$/i.test(text.substr(i + 1, 2))) {
+      bytes.push(parseInt(text.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i));
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Decodes a run of adjacent encoded-words. Words of the same charset are
+ * decoded together, since a character may be split between two words.
+ *
+ * @param {string} run - Encoded-words separated by whitespace
+ * @returns {string} Decoded text
+ * @throws {Error} For bad base64 or an unknown charset
+ */
+function decodeEncodedWordRun(run) {
+  const parts = [];
+  for (const word of run.split(/\s+/)) {
+    const [, charset, encoding, text] = word.match(ENCODED_WORD_PATTERN);
+    // RFC 2231 language suffix: "utf-8*en"
+    const label = charset.split('*')[0].toLowerCase();
+    const last = parts[parts.length - 1];
+    if (last && last.label === label) {
+      last.bytes.push(...decodeWordBytes(encoding, text));
+    } else {
+      parts.push({ label, bytes: decodeWordBytes(encoding, text) });
+    }
+  }
+
+  return parts.map(part => new TextDecoder(part.label).decode(new Uint8Array(part.bytes))).join('');
+}
+
+/**
+ * Decodes the RFC 2047 encoded-words of a header text, e.g.
+ * "=?UTF-8?Q?J=C3=BCrgen?=" → "Jürgen".
+ *
+ * @param {string} text - Header text
+ * @returns {string} Decoded text
+ */
+function decodeEncodedWords(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+  return text.replace(ENCODED_WORD_RUN_PATTERN, run => {
+    try {
+      return decodeEncodedWordRun(run);
+    } catch (error) {
+      // Left as is, like Thunderbird does
+      return run;
+    }
+  });
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Reads a delimited token: a quoted string, a comment (which may be nested),
+ * an angle address or a domain literal. Backslash escapes are honored.
+ *
+ * @param {string} text - Header text
+ * @param {number} start - Index of the opening delimiter
+ * @param {string} close - Closing delimiter
+ * @returns {{value: string, end: number}} Content without delimiters, and
+ *   the index after the closing delimiter (or the end of the text)
+ */
+function readDelimited(text, start, close) {
+  const open = text[start];
+  let depth = 1;
+  let value = '';
+  let i = start + 1;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '\\' && i + 1 < text.length) {
+      value += text[i + 1];
+      i += 2;
+      continue;
+    }
+    if (char === close && --depth === 0) {
+      return { value, end: i + 1 };
+    }
+    if (char === open && open === '(') {
+      depth++;
+    }
+    value += char;
+    i++;
+  }
+
+  return { value, end: i };
+}
+
+/**
+ * Cleans the addr-spec of an angle address: comments, whitespace and the
+ * obsolete source route ("<@relay.example:a@b.com>") are removed.
+ *
+ * @param {string} value - Content of the angle brackets
+ * @returns {string} Email address
+ */
+function cleanAngleAddress(value) {
+  let address = '';
+  let i = 0;
+  while (i < value.length) {
+    if (value[i] === '(') {
+      i = readDelimited(value, i, ')').end;
+    } else if (value[i] === '"') {
+      const token = readDelimited(value, i, '"');
+      address += `"${token.value}"`;
+      i = token.end;
+    } else {
+      address += value[i];
+      i++;
+    }
+  }
+
+  address = address.replace(/\s+/g, '');
+  const route = address.match(/^@[^:]*:/);
+  return route ? address.substring(route[0].length) : address;
+}
+
+/**
+ * Collapses whitespace of a display name and decodes its encoded-words.
+ *
+ * @param {string} text - Raw display name
+ * @returns {string} Display name
+ */
+function cleanName(text) {
+  return decodeEncodedWords(text.replace(/\s+/g, ' ').trim()).trim();
+}
+
+/**
+ * Builds a mailbox from the parts read for it.
+ *
+ * @param {{phrase: string, comments: Array<string>, address: (string|null)}} parts - Parsed parts
+ * @param {string|null} group - Name of the current group
+ * @returns {Mailbox|null} Mailbox, or null for an empty entry
+ */
+function buildMailbox(parts, group) {
+  const phrase = parts.phrase.replace(/\s+/g, ' ').trim();
+  const comment = cleanName(parts.comments.join(' '));
+  let mailbox;
+
+  if (parts.address !== null) {
+    mailbox = { name: cleanName(phrase) || comment, address: parts.address };
+  } else if (phrase.includes('@')) {
+    // Bare address, with the old "a@b.com (Name)" form
+    mailbox = { name: comment, address: phrase.replace(/\s+/g, '') };
+  } else if (phrase) {
+    mailbox = { name: cleanName(phrase), address: '' };
+  } else {
+    return null;
+  }
+
+  if (group !== null) {
+    mailbox.group = group;
+  }
+  return mailbox;
+}
+
+/**
+ * Parses an address header into mailboxes.
+ *
+ * @param {string} header - Header text, e.g. '"Smith, Ann" <ann@example.com>, bob@example.com'
+ * @returns {Array<Mailbox>} Mailboxes in header order; empty for no header
+ */
+function parseAddressList(header) {
+  const mailboxes = [];
+  if (typeof header !== 'string') {
+    return mailboxes;
+  }
+
+  let group = null;
+  let parts = { phrase: '', comments: [], address: null };
+  const finishMailbox = () => {
+    const mailbox = buildMailbox(parts, group);
+    if (mailbox) {
+      mailboxes.push(mailbox);
+    }
+    parts = { phrase: '', comments: [], address: null };
+  };
+
+  let i = 0;
+  while (i < header.length) {
+    const char = header[i];
+    let token;
+
+    switch (char) {
+      case '"':
+        token = readDelimited(header, i, '"');
+        parts.phrase += token.value;
+        i = token.end;
+        break;
+      case '(':
+        token = readDelimited(header, i, ')');
+        parts.comments.push(token.value);
+        // Comments separate words like whitespace
+        parts.phrase += ' ';
+        i = token.end;
+        break;
+      case '<':
+        token = readDelimited(header, i, '>');
+        parts.address = cleanAngleAddress(token.value);
+        i = token.end;
+        break;
+      case '[':
+        token = readDelimited(header, i, ']');
+        parts.phrase += `[${token.value}]`;
+        i = token.end;
+        break;
+      case ':':
+        // Group start: the phrase read so far is the group name
+        group = cleanName(parts.phrase);
+        parts = { phrase: '', comments: [], address: null };
+        i++;
+        break;
+      case ';':
+        finishMailbox();
+        group = null;
+        i++;
+        break;
+      case ',':
+        finishMailbox();
+        i++;
+        break;
+      default:
+        parts.phrase += char;
+        i++;
+    }
+  }
+  finishMailbox();
+
+  return mailboxes;
+}
+
+/**
+ * Parses the first mailbox of an address header, e.g. the sender of a
+ * message.
+ *
+ * @param {string} header - Header text
+ * @returns {Mailbox|null} First mailbox with an address, else the first
+ *   mailbox, or null if there is none
+ */
+function parseAddress(header) {
+  const mailboxes = parseAddressList(header);
+  return mailboxes.find(mailbox => mailbox.address) || mailboxes[0] || null;
+}
+
+// ============================================================================
+// FILTER VALUES
+// ============================================================================
+
+/**
+ * Parses several address headers, such as the recipients array of a
+ * messages.MessageHeader, where each entry may itself hold several
+ * mailboxes.
+ *
+ * @param {string|Array<string>} headers - Header text or texts
+ * @returns {Array<Mailbox>} Mailboxes of all headers
+ */
+function parseHeaders(headers) {
+  const list = Array.isArray(headers) ? headers : [headers];
+  return list.flatMap(header => parseAddressList(header));
+}
+
+/**
+ * Gets the email address of the first mailbox of a header.
+ *
+ * @param {string} header - Header text, e.g. the author of a message
+ * @returns {string} Email address, or an empty string if there is none
+ */
+function getAddress(header) {
+  const mailbox = parseAddress(header);
+  return mailbox ? mailbox.address : '';
+}
+
+/**
+ * Gets the email addresses of address headers.
+ *
+ * @param {string|Array<string>} headers - Header text or texts
+ * @returns {Array<string>} Email addresses, without mailboxes that have none
+ */
+function getAddresses(headers) {
+  return parseHeaders(headers).map(mailbox => mailbox.address).filter(Boolean);
+}
+
+/**
+ * Gets the text shown for the first mailbox of a header: its display name,
+ * or its address if it has none. This is what the "Filter by Sender" items
+ * search for.
+ *
+ * @param {string} header - Header text
+ * @returns {string} Display text, or an empty string if there is no mailbox
+ */
+function getDisplayText(header) {
+  const mailbox = parseAddress(header);
+  return mailbox ? mailbox.name || mailbox.address : '';
+}
+
+/**
+ * Gets one search text per mailbox of address headers: the address, or the
+ * name of a mailbox without address.
+ *
+ * @param {string|Array<string>} headers - Header text or texts
+ * @returns {Array<string>} Search texts
+ */
+function getFilterTexts(headers) {
+  return parseHeaders(headers).map(mailbox => mailbox.address || mailbox.name).filter(Boolean);
+}
+
+/**
+ * Formats a mailbox for display, e.g. in menu titles.
+ *
+ * @param {Mailbox} mailbox - Mailbox
+ * @returns {string} "Name <address>", or whichever of them is set
+ */
+function formatMailbox(mailbox) {
+  if (mailbox.name && mailbox.address) {
+    return `${mailbox.name} <${mailbox.address}>`;
+  }
+  return mailbox.name || mailbox.address;
+}
+
+// Export all functions and constants
+const addresses = {
+  // Encoded-words
+  decodeEncodedWords,
+
+  // Parsing
+  parseAddressList,
+  parseAddress,
+  parseHeaders,
+
+  // Filter values
+  getAddress,
+  getAddresses,
+  getDisplayText,
+  getFilterTexts,
+  formatMailbox
+};
+
+// For use in browser extension context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = addresses;
+}
+
+// Export for ES6 modules
+if (typeof window !== 'undefined') {
+  window.QuickFilterByAddresses = addresses;
+}
@@ -0,0 +1,142 @@
+/**
+ * Address book utilities for QuickFilterBy extension.
+ * Resolves which senders are in the user's address books, for the
+ * "From people in my address book" / "From unknown senders" filters.
+ *
+ * @module contacts
+ */
+
+/**
+ * Contact properties holding email addresses.
+ *
+ * @constant {Array<string>}
+ */
+const EMAIL_PROPERTIES = ['PrimaryEmail', 'SecondEmail'];
+
+/**
+ * Matches the EMAIL lines of a vCard; the address is the first group.
+ *
+ * @constant {RegExp}
+ */
+const VCARD_EMAIL_PATTERN = /^(?:[^.:;]+\.)?EMAIL(?:;[^:]*)?:(.+)$/gim;
+
+// ============================================================================
+// ADDRESSES
+// ============================================================================
+
+/**
+ * Normalizes an email address for comparison.
+ *
+ * @param {string} address - Email address
+ * @returns {string} Trimmed, lower-case address
+ */
+function normalizeAddress(address) {
+  return (address || '').trim().toLowerCase();
+}
+
+/**
+ * Gets the email addresses of a contact, from its properties and vCard.
+ *
+ * @param {Object} contact - ContactNode of browser.addressBooks / browser.contacts
+ * @returns {Array<string>} Normalized addresses
+ */
+function getContactAddresses(contact) {
+  const properties = (contact && contact.properties) || {};
+  const addresses = EMAIL_PROPERTIES.map(property => properties[property]);
+
+  if (typeof properties.vCard === 'string') {
+    for (const match of properties.vCard.matchAll(VCARD_EMAIL_PATTERN)) {
+      addresses.push(match[1]);
+    }
+  }
+
+  return addresses.map(normalizeAddress).filter(Boolean);
+}
+
+/**
+ * Collects the addresses of all contacts of address book nodes, including
+ * the members of their mailing lists.
+ *
+ * @param {Array<Object>} addressBooks - AddressBookNodes, as returned by
+ *   browser.addressBooks.list(true)
+ * @returns {Set<string>} Normalized addresses
+ */
+function collectKnownAddresses(addressBooks) {
+  const known = new Set();
+
+  for (const book of addressBooks || []) {
+    const contacts = [...(book.contacts || [])];
+    for (const list of book.mailingLists || []) {
+      contacts.push(...(list.contacts || []));
+    }
+    for (const contact of contacts) {
+      getContactAddresses(contact).forEach(address => known.add(address));
+    }
+  }
+
+  return known;
+}
+
+/**
+ * Splits sender addresses into those found in the address books and the
+ * others. Each address is listed once, in its first spelling.
+ *
+ * @param {Array<string>} addresses - Sender email addresses
+ * @param {Set<string>} knownAddresses - Normalized known addresses
+ * @returns {{known: Array<string>, unknown: Array<string>}} Partitioned addresses
+ */
+function partitionAddresses(addresses, knownAddresses) {
+  const seen = new Set();
+  const result = { known: [], unknown: [] };
+
+  for (const address of addresses) {
+    const key = normalizeAddress(address);
+    if (!key || seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    result[knownAddresses.has(key) ? 'known' : 'unknown'].push(address.trim());
+  }
+
+  return result;
+}
+
+// ============================================================================
+// ADDRESS BOOKS
+// ============================================================================
+
+/**
+ * Loads the addresses of all contacts of all address books.
+ * Requires the "addressBooks" permission.
+ *
+ * @returns {Promise<Set<string>>} Normalized addresses
+ */
+async function loadKnownAddresses() {
+  const addressBooks = await browser.addressBooks.list(true);
+  return collectKnownAddresses(addressBooks);
+}
+
+// Export all functions and constants
+const contacts = {
+  // Constants
+  EMAIL_PROPERTIES,
+
+  // Addresses
+  normalizeAddress,
+  getContactAddresses,
+  collectKnownAddresses,
+  partitionAddresses,
+
+  // Address books
+  loadKnownAddresses
+};
+
+// For use in browser extension context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = contacts;
+}
+
+// Export for ES6 modules
+if (typeof window !== 'undefined') {
+  window.QuickFilterByContacts = contacts;
+}
@@ -0,0 +1,361 @@
+/**
+ * Date range utilities for QuickFilterBy extension.
+ * Computes the start/end boundaries used by the "Filter by Date" menu.
+ *
+ * All ranges are inclusive and expressed in local time.
+ *
+ * @module dates
+ */
+
+/**
+ * Date range.
+ *
+ * @typedef {Object} DateRange
+ * @property {Date} start - First moment of the range
+ * @property {Date} end - Last moment of the range
+ */
+
+/**
+ * Date presets offered in the "Filter by Date" submenu.
+ * Keys are the suffixes of the menu item ids (e.g. "date-today").
+ *
+ * @constant {Object<string, string>}
+ */
+const DATE_PRESETS = {
+  TODAY: 'today',
+  YESTERDAY: 'yesterday',
+  THIS_WEEK: 'this-week',
+  LAST_7_DAYS: 'last-7days',
+  LAST_30_DAYS: 'last-30days',
+  THIS_MONTH: 'this-month',
+  THIS_YEAR: 'this-year'
+};
+
+/**
+ * Number of milliseconds in a day.
+ * @constant {number}
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// DAY HELPERS
+// ============================================================================
+
+/**
+ * Returns the first moment of the day containing the given date.
+ *
+ * @param {Date} date - Any moment of the day
+ * @returns {Date} Day start (00:00:00.000)
+ */
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, 0, 0, 0);
+}
+
+/**
+ * Returns the last moment of the day containing the given date.
+ *
+ * @param {Date} date - Any moment of the day
+ * @returns {Date} Day end (23:59:59.999)
+ */
+function endOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+}
+
+/**
+ * Returns the range covering the whole day containing the given date.
+ *
+ * @param {Date} date - Any moment of the day
+ * @returns {DateRange}
+ */
+function getDayRange(date) {
+  return { start: startOfDay(date), end: endOfDay(date) };
+}
+
+// ============================================================================
+// PRESET RANGES
+// ============================================================================
+
+/**
+ * Calculate date range for "Today".
+ *
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {DateRange}
+ */
+function getTodayRange(now = new Date()) {
+  return { start: startOfDay(now), end: endOfDay(now) };
+}
+
+/**
+ * Calculate date range for "Yesterday".
+ *
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {DateRange}
+ */
+function getYesterdayRange(now = new Date()) {
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  return { start: startOfDay(yesterday), end: endOfDay(yesterday) };
+}
+
+/**
+ * Calculate date range for "This Week" (Sunday to Saturday).
+ *
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {DateRange}
+ */
+function getThisWeekRange(now = new Date()) {
+  const dayOfWeek = now.getDay(); // 0 = Sunday
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - dayOfWeek);
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+  return { start: startOfDay(start), end: endOfDay(end) };
+}
+
+/**
+ * Calculate date range for "This Month".
+ *
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {DateRange}
+ */
+function getThisMonthRange(now = new Date()) {
+  const start = new Date(now.getFullYear(), now.getMonth(), 1);
+  // Day 0 of next month is the last day of this month
+  const end = endOfDay(new Date(now.getFullYear(), now.getMonth() + 1, 0));
+  return { start, end };
+}
+
+/**
+ * Calculate date range for "This Year".
+ *
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {DateRange}
+ */
+function getThisYearRange(now = new Date()) {
+  const start = new Date(now.getFullYear(), 0, 1);
+  const end = endOfDay(new Date(now.getFullYear(), 11, 31));
+  return { start, end };
+}
+
+/**
+ * Calculate date range for last N days, ending now.
+ *
+ * @param {number} days - Number of days
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {DateRange}
+ */
+function getLastDaysRange(days, now = new Date()) {
+  const start = new Date(now.getTime() - (days * MS_PER_DAY));
+  return { start, end: new Date(now.getTime()) };
+}
+
+/**
+ * Calculate date range for "Last Month" (the previous calendar month).
+ *
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {DateRange}
+ */
+function getLastMonthRange(now = new Date()) {
+  const start = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  const end = endOfDay(new Date(now.getFullYear(), now.getMonth(), 0));
+  return { start, end };
+}
+
+/**
+ * Calculate date range for "This Quarter" (calendar quarters).
+ *
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {DateRange}
+ */
+function getThisQuarterRange(now = new Date()) {
+  const firstMonth = Math.floor(now.getMonth() / 3) * 3;
+  const start = new Date(now.getFullYear(), firstMonth, 1);
+  const end = endOfDay(new Date(now.getFullYear(), firstMonth + 3, 0));
+  return { start, end };
+}
+
+/**
+ * Calculate date range for "Last Quarter" (the previous calendar quarter).
+ *
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {DateRange}
+ */
+function getLastQuarterRange(now = new Date()) {
+  const firstMonth = Math.floor(now.getMonth() / 3) * 3 - 3;
+  const start = new Date(now.getFullYear(), firstMonth, 1);
+  const end = endOfDay(new Date(now.getFullYear(), firstMonth + 3, 0));
+  return { start, end };
+}
+
+/**
+ * Calculate date range for "Last Year" (the previous calendar year).
+ *
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {DateRange}
+ */
+function getLastYearRange(now = new Date()) {
+  const start = new Date(now.getFullYear() - 1, 0, 1);
+  const end = endOfDay(new Date(now.getFullYear() - 1, 11, 31));
+  return { start, end };
+}
+
+/**
+ * Resolves a date preset to its range.
+ *
+ * @param {string} preset - One of DATE_PRESETS
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {DateRange|null} Range, or null for an unknown preset
+ */
+function getPresetRange(preset, now = new Date()) {
+  switch (preset) {
+    case DATE_PRESETS.TODAY:
+      return getTodayRange(now);
+    case DATE_PRESETS.YESTERDAY:
+      return getYesterdayRange(now);
+    case DATE_PRESETS.THIS_WEEK:
+      return getThisWeekRange(now);
+    case DATE_PRESETS.LAST_7_DAYS:
+      return getLastDaysRange(7, now);
+    case DATE_PRESETS.LAST_30_DAYS:
+      return getLastDaysRange(30, now);
+    case DATE_PRESETS.THIS_MONTH:
+      return getThisMonthRange(now);
+    case DATE_PRESETS.THIS_YEAR:
+      return getThisYearRange(now);
+    default:
+      return null;
+  }
+}
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+/**
+ * Formats a date as a local calendar day (YYYY-MM-DD), the format used
+ * by <input type="date">.
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted day
+ */
+function formatDay(date) {
+  const year = String(date.getFullYear()).padStart(4, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parses a local calendar day (YYYY-MM-DD).
+ *
+ * @param {string} value - Day to parse
+ * @returns {Date|null} Start of the day, or null if the value is not a valid day
+ */
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  const day = Number(match[3]);
+  const date = new Date(year, month, day);
+
+  // Reject overflowing values such as 2024-02-30
+  if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Formats a date range as an ISO 8601 interval of calendar days
+ * ("2024-01-01/2024-03-31"). This is the value of `date` filters.
+ *
+ * @param {DateRange} range - Date range
+ * @returns {string} Interval
+ */
+function formatDayInterval(range) {
+  return `${formatDay(range.start)}/${formatDay(range.end)}`;
+}
+
+/**
+ * Parses an interval of calendar days produced by formatDayInterval.
+ * The range covers both days completely.
+ *
+ * @param {string} value - Interval ("YYYY-MM-DD/YYYY-MM-DD")
+ * @returns {DateRange|null} Range, or null if invalid or reversed
+ */
+function parseDayInterval(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const parts = value.split('/');
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const from = parseDay(parts[0]);
+  const to = parseDay(parts[1]);
+  if (!from || !to || from > to) {
+    return null;
+  }
+
+  return { start: startOfDay(from), end: endOfDay(to) };
+}
+
+/**
+ * Converts a date range to the plain object accepted by
+ * MessagesListAdapter.setDateFilter (milliseconds since epoch).
+ *
+ * @param {DateRange} range - Date range
+ * @returns {{start: number, end: number}} Serializable range
+ */
+function toTimestampRange(range) {
+  return {
+    start: range.start.getTime(),
+    end: range.end.getTime()
+  };
+}
+
+// Export all functions and constants
+const dates = {
+  // Constants
+  DATE_PRESETS,
+  MS_PER_DAY,
+
+  // Day helpers
+  startOfDay,
+  endOfDay,
+  getDayRange,
+
+  // Preset ranges
+  getTodayRange,
+  getYesterdayRange,
+  getThisWeekRange,
+  getThisMonthRange,
+  getThisYearRange,
+  getLastDaysRange,
+  getLastMonthRange,
+  getThisQuarterRange,
+  getLastQuarterRange,
+  getLastYearRange,
+  getPresetRange,
+
+  // Conversion
+  formatDay,
+  parseDay,
+  formatDayInterval,
+  parseDayInterval,
+  toTimestampRange
+};
+
+// For use in browser extension context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = dates;
+}
+
+// Export for ES6 modules
+if (typeof window !== 'undefined') {
+  window.QuickFilterByDates = dates;
+}
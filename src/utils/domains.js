@@ -0,0 +1,173 @@
+/**
+ * Domain utilities for QuickFilterBy extension.
+ * Extracts sender domains and their parent (registrable) domain, e.g.
+ * mail.client.co.uk → client.co.uk, for the "Sender Domain" menu items.
+ *
+ * Parent domains are found with the rules of the ICANN section of the
+ * Public Suffix List (https://publicsuffix.org/), bundled in
+ * src/utils/public-suffixes.js.
+ *
+ * @module domains
+ */
+
+/**
+ * Bundled Public Suffix List (loaded before this script in the extension).
+ *
+ * @type {{PUBLIC_SUFFIX_RULES: Array<string>}}
+ */
+const PublicSuffixes = typeof window !== 'undefined' && window.QuickFilterByPublicSuffixes ?
+  window.QuickFilterByPublicSuffixes : require('./public-suffixes.js');
+
+/**
+ * Public Suffix List rules in ASCII (punycode) form, built on first use.
+ *
+ * @type {{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>}|null}
+ */
+let suffixRules = null;
+
+// ============================================================================
+// DOMAINS
+// ============================================================================
+
+/**
+ * Converts a domain to its lower-case ASCII (punycode) form.
+ *
+ * @param {string} domain - Domain, possibly with Unicode labels
+ * @returns {string} ASCII domain, or the lower-case input if it is not a
+ *   valid host name
+ */
+function toAsciiDomain(domain) {
+  try {
+    return new URL(`http://${domain}`).hostname;
+  } catch (error) {
+    return domain.toLowerCase();
+  }
+}
+
+/**
+ * Gets the domain of an email address.
+ * The domain keeps its form (Unicode or punycode), in lower case.
+ *
+ * @param {string} address - Email address, as parsed by src/utils/addresses.js
+ * @returns {string|null} Domain, or null if the address has none
+ */
+function getDomain(address) {
+  if (typeof address !== 'string' || !address.includes('@')) {
+    return null;
+  }
+
+  const domain = address.substring(address.lastIndexOf('@') + 1).replace(/\.+$/, '').toLowerCase();
+  return domain || null;
+}
+
+// ============================================================================
+// PUBLIC SUFFIXES
+// ============================================================================
+
+/**
+ * Gets the bundled Public Suffix List rules in ASCII form.
+ *
+ * @returns {{rules: Set<string>, wildcards: Set<string>, exceptions: Set<string>}} Rules
+ */
+function getSuffixRules() {
+  if (!suffixRules) {
+    suffixRules = { rules: new Set(), wildcards: new Set(), exceptions: new Set() };
+    for (const rule of PublicSuffixes.PUBLIC_SUFFIX_RULES) {
+      if (rule.startsWith('!')) {
+        suffixRules.exceptions.add(toAsciiDomain(rule.substring(1)));
+      } else if (rule.startsWith('*.')) {
+        suffixRules.wildcards.add(toAsciiDomain(rule.substring(2)));
+      } else {
+        suffixRules.rules.add(toAsciiDomain(rule));
+      }
+    }
+  }
+  return suffixRules;
+}
+
+/**
+ * Counts the labels of the public suffix of a domain, following the Public
+ * Suffix List algorithm: exception rules first, then the longest matching
+ * rule, then the default rule "*".
+ *
+ * @param {Array<string>} labels - ASCII labels of the domain
+ * @returns {number} Number of labels of the public suffix
+ */
+function getPublicSuffixLength(labels) {
+  const { rules, wildcards, exceptions } = getSuffixRules();
+
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (exceptions.has(candidate)) {
+      return labels.length - i - 1;
+    }
+    if (rules.has(candidate) || (i + 1 < labels.length && wildcards.has(labels.slice(i + 1).join('.')))) {
+      return labels.length - i;
+    }
+  }
+
+  return 1;
+}
+
+/**
+ * Gets the parent (registrable) domain of a domain: its public suffix plus
+ * one label, e.g. "client.co.uk" for "mail.client.co.uk".
+ * The result keeps the form (Unicode or punycode) of the input.
+ *
+ * @param {string} domain - Domain
+ * @returns {string|null} Parent domain, or null if the domain is a public
+ *   suffix or not a host name
+ */
+function getParentDomain(domain) {
+  if (!domain || domain.startsWith('[')) {
+    return null;
+  }
+
+  const labels = domain.toLowerCase().split('.');
+  const asciiLabels = toAsciiDomain(domain).split('.');
+  if (labels.length !== asciiLabels.length || labels.some(label => !label)) {
+    return null;
+  }
+
+  const length = getPublicSuffixLength(asciiLabels) + 1;
+  if (length > labels.length) {
+    return null;
+  }
+
+  return labels.slice(-length).join('.');
+}
+
+/**
+ * Gets the texts a sender contains when it is from a domain or one of its
+ * subdomains: "@client.co.uk" and ".client.co.uk". Searching for the plain
+ * domain would also match "notclient.co.uk".
+ *
+ * @param {string} domain - Domain, optionally starting with "@" or "."
+ * @returns {Array<string>} Texts, any of which the sender must contain
+ */
+function getDomainSearchTexts(domain) {
+  const name = domain.trim().replace(/^[@.]+/, '');
+  return [`@${name}`, `.${name}`];
+}
+
+// Export all functions and constants
+const domains = {
+  // Domains
+  toAsciiDomain,
+  getDomain,
+
+  // Public suffixes
+  getPublicSuffixLength,
+  getParentDomain,
+  getDomainSearchTexts
+};
+
+// For use in browser extension context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = domains;
+}
+
+// Export for ES6 modules
+if (typeof window !== 'undefined') {
+  window.QuickFilterByDomains = domains;
+}
@@ -34,10 +34,10 @@ const FEATURE_FLAGS = {
   /** Filter history feature */
   FILTER_HISTORY: 'FILTER_HISTORY',
 
-  /** Folder/account filtering feature (Phase 4) */
+  /** Folder/account scope of filters */
   FOLDER_FILTER: 'FOLDER_FILTER',
 
-  /** Keyboard shortcuts feature (Phase 4) */
+  /** Keyboard shortcuts feature */
   KEYBOARD_SHORTCUTS: 'KEYBOARD_SHORTCUTS'
 };
 
@@ -48,14 +48,14 @@ const FEATURE_FLAGS = {
 const DEFAULT_FEATURE_STATES = {
   [FEATURE_FLAGS.ALT_CLICK]: { enabled: true, available: true, failures: 0 },
   [FEATURE_FLAGS.CONTEXT_MENUS]: { enabled: true, available: true, failures: 0 },
-  [FEATURE_FLAGS.CUSTOM_FILTERS]: { enabled: false, available: false, failures: 0 },
-  [FEATURE_FLAGS.DATE_FILTER]: { enabled: false, available: false, failures: 0 },
+  [FEATURE_FLAGS.CUSTOM_FILTERS]: { enabled: true, available: false, failures: 0 },
+  [FEATURE_FLAGS.DATE_FILTER]: { enabled: true, available: false, failures: 0 },
   [FEATURE_FLAGS.TAG_FILTER]: { enabled: false, available: false, failures: 0 },
-  [FEATURE_FLAGS.ATTACHMENT_FILTER]: { enabled: false, available: false, failures: 0 },
+  [FEATURE_FLAGS.ATTACHMENT_FILTER]: { enabled: true, available: false, failures: 0 },
   [FEATURE_FLAGS.READ_STATUS_FILTER]: { enabled: false, available: false, failures: 0 },
   [FEATURE_FLAGS.FILTER_HISTORY]: { enabled: true, available: true, failures: 0 },
-  [FEATURE_FLAGS.FOLDER_FILTER]: { enabled: false, available: false, failures: 0 },
-  [FEATURE_FLAGS.KEYBOARD_SHORTCUTS]: { enabled: false, available: false, failures: 0 }
+  [FEATURE_FLAGS.FOLDER_FILTER]: { enabled: true, available: false, failures: 0 },
+  [FEATURE_FLAGS.KEYBOARD_SHORTCUTS]: { enabled: true, available: false, failures: 0 }
 };
 
 /**
@@ -106,14 +106,53 @@ async function detectAvailableFeatures() {
     available[FEATURE_FLAGS.FILTER_HISTORY] = false;
   }
 
+  // Date filtering is applied by the experiment on the about:3pane view,
+  // after it searched the view for messages in the range
+  try {
+    available[FEATURE_FLAGS.DATE_FILTER] =
+      typeof browser.MessagesListAdapter?.setDateFilter === 'function' &&
+      typeof browser.MessagesListAdapter?.searchMessages === 'function';
+  } catch (error) {
+    available[FEATURE_FLAGS.DATE_FILTER] = false;
+  }
+
+  // Attachment filtering toggles the native Quick Filter bar button
+  try {
+    available[FEATURE_FLAGS.ATTACHMENT_FILTER] =
+      typeof browser.MessagesListAdapter?.setAttachmentFilter === 'function';
+  } catch (error) {
+    available[FEATURE_FLAGS.ATTACHMENT_FILTER] = false;
+  }
+
+  // Combined filters read and replace the whole Quick Filter state
+  try {
+    available[FEATURE_FLAGS.CUSTOM_FILTERS] =
+      typeof browser.MessagesListAdapter?.getQuickFilterState === 'function' &&
+      typeof browser.MessagesListAdapter?.setQuickFilterState === 'function';
+  } catch (error) {
+    available[FEATURE_FLAGS.CUSTOM_FILTERS] = false;
+  }
+
+  // Other scopes are searched by the experiment and listed in a tab
+  try {
+    available[FEATURE_FLAGS.FOLDER_FILTER] =
+      typeof browser.MessagesListAdapter?.searchMessages === 'function' &&
+      typeof browser.MessagesListAdapter?.openSearchResults === 'function';
+  } catch (error) {
+    available[FEATURE_FLAGS.FOLDER_FILTER] = false;
+  }
+
+  // Keyboard shortcuts are the commands of the manifest
+  try {
+    available[FEATURE_FLAGS.KEYBOARD_SHORTCUTS] =
+      typeof browser.commands?.onCommand?.addListener === 'function';
+  } catch (error) {
+    available[FEATURE_FLAGS.KEYBOARD_SHORTCUTS] = false;
+  }
+
   // Features from Phase 4 are not yet implemented
-  available[FEATURE_FLAGS.CUSTOM_FILTERS] = false;
-  available[FEATURE_FLAGS.DATE_FILTER] = false;
   available[FEATURE_FLAGS.TAG_FILTER] = false;
-  available[FEATURE_FLAGS.ATTACHMENT_FILTER] = false;
   available[FEATURE_FLAGS.READ_STATUS_FILTER] = false;
-  available[FEATURE_FLAGS.FOLDER_FILTER] = false;
-  available[FEATURE_FLAGS.KEYBOARD_SHORTCUTS] = false;
 
   console.log('[Features] Detected available features:', available);
   return available;
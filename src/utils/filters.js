@@ -0,0 +1,637 @@
+/**
+ * Filter composition utilities for QuickFilterBy extension.
+ * Converts single filter criteria to Quick Filter states and combines
+ * them, so several criteria can be stacked into one filter ("AND" mode).
+ *
+ * States have the shape of MessagesListAdapter's QuickFilterState.
+ *
+ * @module filters
+ */
+
+/**
+ * Quick Filter state.
+ *
+ * @typedef {Object} QuickFilterState
+ * @property {boolean} [show] - Whether the Quick Filter bar is shown
+ * @property {TextCriterion|null} text - Text typed in the Quick Filter bar
+ * @property {Array<TextCriterion>} [conditions] - Additional text criteria, all required
+ * @property {Array<TextCriterion>} [anyOf] - Alternative text criteria, one required
+ * @property {{mode: string, tags: Object<string, boolean>}|null} tags - Tag criteria
+ * @property {boolean|null} unread - true = unread only, false = read only
+ * @property {boolean|null} flagged - true = starred only, false = not starred
+ * @property {boolean|null} attachment - true = with attachment, false = without
+ * @property {boolean|null} contact - true = sender in an address book
+ * @property {{start: number, end: number}|null} date - Date range (ms)
+ * @property {Array<string>|null} [messageIds] - Message-IDs the list is
+ *   restricted to, e.g. the messages of a conversation
+ */
+
+/**
+ * Text criterion: a text and the message fields it is searched in.
+ *
+ * @typedef {Object} TextCriterion
+ * @property {string} text - Text to search for
+ * @property {boolean} [author] - Search the sender
+ * @property {boolean} [recipients] - Search the recipients
+ * @property {boolean} [subject] - Search the subject
+ * @property {boolean} [body] - Search the body
+ * @property {boolean} [cc] - Search the Cc recipients only
+ * @property {boolean} [exclude] - Match messages whose fields do not contain
+ *   the text
+ * @property {string} [header] - Search this message header (e.g. "List-Id")
+ *   instead of the fields above
+ */
+
+/**
+ * Message fields searched by each text filter type.
+ *
+ * @constant {Object<string, string>}
+ */
+const TEXT_FILTER_FIELDS = {
+  sender: 'author',
+  senderEmail: 'author',
+  senderDomain: 'author',
+  senderParentDomain: 'author',
+  recipient: 'recipients',
+  recipientCc: 'cc',
+  recipients: 'recipients',
+  subject: 'subject',
+  body: 'body'
+};
+
+/**
+ * Tri-state criteria of a Quick Filter state.
+ *
+ * @constant {Array<string>}
+ */
+const BOOLEAN_CRITERIA = ['unread', 'flagged', 'attachment', 'contact'];
+
+/**
+ * Fields a text criterion can search.
+ *
+ * @constant {Array<string>}
+ */
+const TEXT_FIELDS = ['author', 'recipients', 'cc', 'subject', 'body'];
+
+/**
+ * Fields only `conditions` and `anyOf` can search: the Quick Filter bar text
+ * has no such option.
+ *
+ * @constant {Array<string>}
+ */
+const CONDITION_TEXT_FIELDS = ['cc'];
+
+/**
+ * Fields the Quick Filter bar searches by default, used by "text" criteria.
+ *
+ * @constant {Array<string>}
+ */
+const DEFAULT_TEXT_FIELDS = ['author', 'recipients', 'subject'];
+
+// ============================================================================
+// STATE CREATION
+// ============================================================================
+
+/**
+ * Creates a Quick Filter state without any criteria.
+ *
+ * @returns {QuickFilterState} Empty state
+ */
+function createEmptyState() {
+  return {
+    text: null,
+    conditions: [],
+    anyOf: [],
+    tags: null,
+    unread: null,
+    flagged: null,
+    attachment: null,
+    contact: null,
+    date: null,
+    messageIds: null
+  };
+}
+
+/**
+ * Checks whether a filter type is a text filter (sender, subject, ...).
+ *
+ * @param {string} type - Filter type
+ * @returns {boolean} True for text filter types
+ */
+function isTextFilterType(type) {
+  return Object.prototype.hasOwnProperty.call(TEXT_FILTER_FIELDS, type);
+}
+
+/**
+ * Checks whether a text criterion can be typed in the Quick Filter bar, or
+ * must be applied as an additional condition.
+ *
+ * @param {TextCriterion} text - Text criterion
+ * @returns {boolean} True if the Quick Filter bar can hold it
+ */
+function isBarTextCriterion(text) {
+  return !text.exclude && !text.header && !CONDITION_TEXT_FIELDS.some(field => text[field]);
+}
+
+/**
+ * Converts a text filter to the properties accepted by
+ * browser.mailTabs.setQuickFilter.
+ *
+ * @param {string} type - Text filter type (sender, recipient, subject, ...)
+ * @param {string} value - Text to search for
+ * @returns {Object} QuickFilterProperties
+ * @throws {Error} If the type is not a text filter type
+ */
+function toQuickFilterProperties(type, value) {
+  if (!isTextFilterType(type)) {
+    throw new Error(`Unknown filter type: ${type}`);
+  }
+
+  return {
+    text: {
+      text: value,
+      [TEXT_FILTER_FIELDS[type]]: true
+    }
+  };
+}
+
+/**
+ * Converts a single filter criterion to a Quick Filter state.
+ *
+ * Supported types: the text types of TEXT_FILTER_FIELDS (value: string),
+ * "text" (value: string, searched in DEFAULT_TEXT_FIELDS),
+ * "bccTo" (value: array of addresses, none of them the sender, To or Cc:
+ * messages received as Bcc),
+ * "header" (value: {name, text}, e.g. {name: "List-Id", text: "dev.lists.example.org"}),
+ * "tags" (value: array of tag keys, any of them), "unread", "flagged",
+ * "attachment", "contact" (value: boolean), "date" (value: {start, end} in ms)
+ * and "conversation" (value: array of Message-IDs).
+ *
+ * @param {string} type - Criterion type
+ * @param {*} value - Criterion value
+ * @returns {QuickFilterState} State holding only this criterion
+ * @throws {Error} If the type is unknown
+ */
+function criterionToState(type, value) {
+  const state = createEmptyState();
+
+  if (isTextFilterType(type)) {
+    const text = toQuickFilterProperties(type, value).text;
+    if (isBarTextCriterion(text)) {
+      state.text = text;
+    } else {
+      state.conditions = [text];
+    }
+    return state;
+  }
+
+  switch (type) {
+    case 'text':
+      state.text = { text: value };
+      for (const field of DEFAULT_TEXT_FIELDS) {
+        state.text[field] = true;
+      }
+      return state;
+    case 'bccTo':
+      state.conditions = value.map(text => ({ text, author: true, recipients: true, exclude: true }));
+      return state;
+    case 'header':
+      state.conditions = [{ text: value.text, header: value.name }];
+      return state;
+    case 'tags': {
+      const tags = {};
+      for (const tag of value) {
+        tags[tag] = true;
+      }
+      state.tags = { mode: 'any', tags };
+      return state;
+    }
+    case 'unread':
+    case 'flagged':
+    case 'attachment':
+    case 'contact':
+      state[type] = Boolean(value);
+      return state;
+    case 'date':
+      state.date = { start: value.start, end: value.end };
+      return state;
+    case 'conversation':
+      state.messageIds = [...value];
+      return state;
+    default:
+      throw new Error(`Unknown filter type: ${type}`);
+  }
+}
+
+/**
+ * Converts several values of one text filter type to a Quick Filter state
+ * matching any of them (e.g. the senders of the selected messages).
+ *
+ * Values are deduplicated, ignoring case and surrounding spaces. A single
+ * value gives the same state as criterionToState.
+ *
+ * @param {string} type - Text filter type (sender, senderEmail, subject, ...)
+ * @param {Array<string>} values - Texts to search for
+ * @returns {QuickFilterState} State matching any of the values
+ * @throws {Error} If the type is not a text filter type or no value is given
+ */
+function anyOfToState(type, values) {
+  if (!isTextFilterType(type)) {
+    throw new Error(`Unknown filter type: ${type}`);
+  }
+
+  const unique = new Map();
+  for (const value of values) {
+    const text = (value || '').trim();
+    const key = text.toLowerCase();
+    if (text && !unique.has(key)) {
+      unique.set(key, text);
+    }
+  }
+  if (unique.size === 0) {
+    throw new Error(`No value to filter by for type: ${type}`);
+  }
+
+  const texts = [...unique.values()];
+  if (texts.length === 1) {
+    return criterionToState(type, texts[0]);
+  }
+
+  const state = createEmptyState();
+  state.anyOf = texts.map(text => toQuickFilterProperties(type, text).text);
+  return state;
+}
+
+// ============================================================================
+// COMBINATION
+// ============================================================================
+
+/**
+ * Checks whether two text criteria are identical.
+ *
+ * @param {TextCriterion} a - First criterion
+ * @param {TextCriterion} b - Second criterion
+ * @returns {boolean} True if text, fields and header are the same
+ */
+function isSameTextCriterion(a, b) {
+  return a.text === b.text && !!a.exclude === !!b.exclude &&
+    (a.header || '').toLowerCase() === (b.header || '').toLowerCase() &&
+    TEXT_FIELDS.every(field => !!a[field] === !!b[field]);
+}
+
+/**
+ * Intersects two date ranges.
+ *
+ * @param {{start: number, end: number}|null} a - First range
+ * @param {{start: number, end: number}|null} b - Second range
+ * @returns {{start: number, end: number}|null} Intersection, null if both
+ *   are null; starts after it ends, matching no message, if the ranges do
+ *   not overlap
+ */
+function intersectDateRanges(a, b) {
+  if (!a || !b) {
+    return a || b || null;
+  }
+
+  const start = Math.max(a.start, b.start);
+  const end = Math.min(a.end, b.end);
+  return { start, end };
+}
+
+/**
+ * Intersects two Message-ID restrictions.
+ *
+ * @param {Array<string>|null} a - First list
+ * @param {Array<string>|null} b - Second list
+ * @returns {Array<string>|null} IDs in both lists, null if both are null;
+ *   empty, matching no message, if they have none in common
+ */
+function intersectMessageIds(a, b) {
+  if (!a || !b) {
+    return a || b ? [...(a || b)] : null;
+  }
+
+  return a.filter(id => b.includes(id));
+}
+
+/**
+ * Checks whether the criteria of one Quick Filter state can be added to
+ * another. A state holds one set of alternatives (`anyOf`), so states that
+ * both have different alternatives cannot be combined.
+ *
+ * @param {QuickFilterState|null} current - Current state
+ * @param {QuickFilterState} addition - Criteria to add
+ * @returns {boolean} True if combineStates can combine them
+ */
+function canCombineStates(current, addition) {
+  const currentAnyOf = (current && current.anyOf) || [];
+  const additionAnyOf = addition.anyOf || [];
+  if (currentAnyOf.length === 0 || additionAnyOf.length === 0) {
+    return true;
+  }
+
+  return currentAnyOf.length === additionAnyOf.length &&
+    additionAnyOf.every(text => currentAnyOf.some(criterion => isSameTextCriterion(criterion, text)));
+}
+
+/**
+ * Adds the criteria of one Quick Filter state to another, so that messages
+ * must match both ("AND" mode).
+ *
+ * - The first text criterion the Quick Filter bar can hold goes to its
+ *   text, further ones to `conditions` (the bar only holds one text)
+ * - Alternatives (`anyOf`) of either state are kept; states with different
+ *   alternatives cannot be combined (see canCombineStates)
+ * - Tags are merged, keeping the mode of the current state
+ * - Tri-state criteria of the addition replace the current ones when set
+ * - Date ranges and Message-ID restrictions are intersected
+ *
+ * Neither input is modified.
+ *
+ * @param {QuickFilterState|null} current - Current state
+ * @param {QuickFilterState} addition - Criteria to add
+ * @returns {QuickFilterState} Combined state
+ * @throws {Error} If both states have different alternatives
+ */
+function combineStates(current, addition) {
+  if (!canCombineStates(current, addition)) {
+    throw new Error('Only one set of alternatives can be applied');
+  }
+
+  const combined = { ...createEmptyState(), ...(current || {}) };
+  combined.conditions = [...(combined.conditions || [])];
+
+  const texts = [];
+  if (addition.text && addition.text.text) {
+    texts.push(addition.text);
+  }
+  texts.push(...(addition.conditions || []));
+
+  for (const text of texts) {
+    const known = [combined.text, ...combined.conditions].filter(Boolean);
+    if (known.some(criterion => isSameTextCriterion(criterion, text))) {
+      continue;
+    }
+    if ((!combined.text || !combined.text.text) && isBarTextCriterion(text)) {
+      combined.text = { ...text };
+    } else {
+      combined.conditions.push({ ...text });
+    }
+  }
+
+  const anyOf = combined.anyOf && combined.anyOf.length > 0 ? combined.anyOf : (addition.anyOf || []);
+  combined.anyOf = anyOf.map(text => ({ ...text }));
+
+  if (addition.tags) {
+    combined.tags = {
+      mode: combined.tags ? combined.tags.mode : addition.tags.mode,
+      tags: { ...(combined.tags ? combined.tags.tags : {}), ...addition.tags.tags }
+    };
+  }
+
+  for (const criterion of BOOLEAN_CRITERIA) {
+    if (typeof addition[criterion] === 'boolean') {
+      combined[criterion] = addition[criterion];
+    }
+  }
+
+  combined.date = intersectDateRanges(combined.date, addition.date || null);
+  combined.messageIds = intersectMessageIds(combined.messageIds || null, addition.messageIds || null);
+
+  return combined;
+}
+
+/**
+ * Checks whether a Quick Filter state has any criteria.
+ *
+ * @param {QuickFilterState|null} state - State to check
+ * @returns {boolean} True if at least one criterion is set
+ */
+function hasCriteria(state) {
+  if (!state) {
+    return false;
+  }
+
+  return Boolean(
+    (state.text && state.text.text) ||
+    (state.conditions && state.conditions.length > 0) ||
+    (state.anyOf && state.anyOf.length > 0) ||
+    (state.tags && Object.keys(state.tags.tags || {}).length > 0) ||
+    state.date ||
+    Array.isArray(state.messageIds) ||
+    BOOLEAN_CRITERIA.some(criterion => typeof state[criterion] === 'boolean')
+  );
+}
+
+/**
+ * Checks whether two Quick Filter states have the same criteria. Whether
+ * the Quick Filter bar is shown is ignored.
+ *
+ * @param {QuickFilterState|null} a - First state
+ * @param {QuickFilterState|null} b - Second state
+ * @returns {boolean} True if both states filter the same way
+ */
+function isSameState(a, b) {
+  const normalize = state => {
+    const { show, ...criteria } = { ...createEmptyState(), ...(state || {}) };
+    // Sort object keys, so states built in different ways compare equal
+    return JSON.stringify(criteria, (key, value) => (
+      value && typeof value === 'object' && !Array.isArray(value) ?
+        Object.fromEntries(Object.entries(value).sort(([x], [y]) => x.localeCompare(y))) :
+        value
+    ));
+  };
+  return normalize(a) === normalize(b);
+}
+
+// ============================================================================
+// MESSAGE LIST COLUMNS
+// ============================================================================
+
+/**
+ * Criterion type of each thread pane column, by cell class name.
+ * "day" and "folder" are not Quick Filter criteria: the caller filters by
+ * the day of the message or shows its folder.
+ *
+ * @constant {Object<string, string>}
+ */
+const COLUMN_CRITERIA = {
+  'subjectcol-column': 'subject',
+  'sendercol-column': 'sender',
+  'correspondentcol-column': 'sender',
+  'recipientcol-column': 'recipients',
+  'tagscol-column': 'tags',
+  'unreadbuttoncolheader-column': 'unread',
+  'flaggedcol-column': 'flagged',
+  'attachmentcol-column': 'attachment',
+  'datecol-column': 'day',
+  'accountcol-column': 'folder',
+  'locationcol-column': 'folder'
+};
+
+/**
+ * Built-in thread pane columns that cannot be turned into a filter.
+ * Other unknown columns are custom columns, searched as text.
+ *
+ * @constant {Array<string>}
+ */
+const UNFILTERABLE_COLUMNS = [
+  'selectcol-column', 'threadcol-column', 'junkstatuscol-column',
+  'receivedcol-column', 'statuscol-column', 'sizecol-column',
+  'prioritycol-column', 'unreadcol-column', 'totalcol-column',
+  'idcol-column', 'deletecol-column'
+];
+
+/**
+ * Converts a click on a message list cell to a filter criterion.
+ *
+ * @param {string} columnName - Cell class name, e.g. "subjectcol-column"
+ * @param {string} columnText - Text of the cell
+ * @param {{message?: Object, hasAttachment?: boolean}} [row={}] - Clicked row
+ *   as reported by MessagesListAdapter.onMessageListClick
+ * @returns {{type: string, value: *}|null} Criterion, or null if the cell
+ *   cannot be filtered on
+ */
+function columnToCriterion(columnName, columnText, row = {}) {
+  const type = COLUMN_CRITERIA[columnName];
+  const message = row.message;
+  const text = (columnText || '').trim();
+
+  switch (type) {
+    case 'subject':
+    case 'sender':
+    case 'recipients':
+      return text ? { type, value: columnText } : null;
+    case 'tags':
+      return message && message.tags && message.tags.length > 0 ? { type, value: [...message.tags] } : null;
+    case 'unread':
+      return message ? { type, value: !message.read } : null;
+    case 'flagged':
+      return message ? { type, value: Boolean(message.flagged) } : null;
+    case 'attachment':
+      return typeof row.hasAttachment === 'boolean' ? { type, value: row.hasAttachment } : null;
+    case 'day':
+      return message && message.date ? { type, value: new Date(message.date) } : null;
+    case 'folder':
+      return message && message.folder ? { type, value: message.folder } : null;
+    default:
+      if (UNFILTERABLE_COLUMNS.includes(columnName) || !text) {
+        return null;
+      }
+      return { type: 'text', value: text };
+  }
+}
+
+// ============================================================================
+// DESCRIPTION
+// ============================================================================
+
+/**
+ * Labels of the text fields, for descriptions.
+ *
+ * @constant {Object<string, string>}
+ */
+const TEXT_FIELD_LABELS = {
+  author: 'Sender',
+  recipients: 'Recipients',
+  cc: 'Cc',
+  subject: 'Subject',
+  body: 'Body'
+};
+
+/**
+ * Describes the criteria of a Quick Filter state in one line, as shown in
+ * the "Recent Filters" menu and the options page.
+ *
+ * @param {QuickFilterState} state - State to describe
+ * @returns {string} Description, e.g. "Sender: bob · Subject: report · Unread"
+ */
+function describeState(state) {
+  const parts = [];
+  const describeText = text => {
+    const fields = TEXT_FIELDS.filter(field => text[field]);
+    const label = text.header || fields.map(field => TEXT_FIELD_LABELS[field]).join('/');
+    return text.exclude ? `${label} without: ${text.text}` : `${label}: ${text.text}`;
+  };
+
+  for (const text of [state.text, ...(state.conditions || [])]) {
+    if (text && text.text) {
+      parts.push(describeText(text));
+    }
+  }
+  if (state.anyOf && state.anyOf.length > 0) {
+    parts.push(state.anyOf.map(describeText).join(' or '));
+  }
+  if (state.tags && Object.keys(state.tags.tags || {}).length > 0) {
+    parts.push(`Tags: ${Object.keys(state.tags.tags).join(', ')}`);
+  }
+  if (typeof state.unread === 'boolean') {
+    parts.push(state.unread ? 'Unread' : 'Read');
+  }
+  if (typeof state.flagged === 'boolean') {
+    parts.push(state.flagged ? 'Starred' : 'Not starred');
+  }
+  if (typeof state.attachment === 'boolean') {
+    parts.push(state.attachment ? 'Has attachment' : 'No attachment');
+  }
+  if (typeof state.contact === 'boolean') {
+    parts.push(state.contact ? 'From a contact' : 'Not from a contact');
+  }
+  if (state.date) {
+    const format = time => new Date(time).toLocaleDateString();
+    parts.push(state.date.start > state.date.end ? 'Date: no common dates' :
+      `Date: ${format(state.date.start)} – ${format(state.date.end)}`);
+  }
+  if (Array.isArray(state.messageIds)) {
+    parts.push(state.messageIds.length > 0 ? `Conversation: ${state.messageIds.length} messages` :
+      'Conversation: no common messages');
+  }
+
+  return parts.join(' · ');
+}
+
+// Export all functions and constants
+const filters = {
+  // Constants
+  TEXT_FILTER_FIELDS,
+  BOOLEAN_CRITERIA,
+  TEXT_FIELDS,
+  CONDITION_TEXT_FIELDS,
+  DEFAULT_TEXT_FIELDS,
+
+  // State creation
+  createEmptyState,
+  isTextFilterType,
+  isBarTextCriterion,
+  toQuickFilterProperties,
+  criterionToState,
+  anyOfToState,
+
+  // Combination
+  isSameTextCriterion,
+  intersectDateRanges,
+  intersectMessageIds,
+  canCombineStates,
+  combineStates,
+  hasCriteria,
+  isSameState,
+
+  // Message list columns
+  COLUMN_CRITERIA,
+  UNFILTERABLE_COLUMNS,
+  columnToCriterion,
+
+  // Description
+  TEXT_FIELD_LABELS,
+  describeState
+};
+
+// For use in browser extension context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = filters;
+}
+
+// Export for ES6 modules
+if (typeof window !== 'undefined') {
+  window.QuickFilterByFilters = filters;
+}
@@ -0,0 +1,201 @@
+/**
+ * Header utilities for QuickFilterBy extension.
+ * Reads message headers as returned by messages.getFull, e.g. to find the
+ * mailing list of a message for the "Mailing List" filter, or to list the
+ * headers offered by the "Message Header" filter.
+ *
+ * The Quick Filter bar text cannot search headers: header criteria are
+ * applied by the MessagesListAdapter experiment as search terms.
+ *
+ * @module headers
+ */
+
+/**
+ * Mailing list of a message, as a header criterion.
+ *
+ * @typedef {Object} MailingList
+ * @property {string} header - Header identifying the list ("List-Id" or "List-Post")
+ * @property {string} text - Text of the header to search for: the list ID
+ *   (e.g. "dev.lists.example.org") or the posting address
+ * @property {string} name - Description of the list, or the text if it has none
+ */
+
+/**
+ * A header of a message, as listed in the header chooser.
+ *
+ * @typedef {Object} MessageHeaderField
+ * @property {string} name - Header name, e.g. "X-Mailer"
+ * @property {string} value - Header value on one line
+ */
+
+/**
+ * Headers not offered by the header chooser: trace and signature headers,
+ * whose values are unique to each message.
+ *
+ * @constant {Array<string>}
+ */
+const HIDDEN_HEADERS = [
+  'received', 'return-path', 'delivered-to', 'message-id',
+  'dkim-signature', 'x-google-dkim-signature', 'domainkey-signature',
+  'arc-seal', 'arc-message-signature', 'arc-authentication-results',
+  'x-received', 'x-gm-message-state', 'x-google-smtp-source'
+];
+
+// ============================================================================
+// HEADERS
+// ============================================================================
+
+/**
+ * Gets the first value of a header.
+ *
+ * @param {Object<string, Array<string>>} headers - Headers of a
+ *   messages.MessagePart, keyed by lower-case name
+ * @param {string} name - Header name, in any case
+ * @returns {string|null} Trimmed header value, or null if the header is
+ *   missing or empty
+ */
+function getHeader(headers, name) {
+  const values = headers && headers[name.toLowerCase()];
+  const value = Array.isArray(values) ? values[0] : values;
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Formats a lower-case header name as headers are usually written, e.g.
+ * "x-github-reason" → "X-Github-Reason". Header names are matched without
+ * regard to case, so this is for display only.
+ *
+ * @param {string} name - Header name
+ * @returns {string} Formatted header name
+ */
+function formatHeaderName(name) {
+  return name.toLowerCase().replace(/(^|-)([a-z])/g, (match, dash, letter) => dash + letter.toUpperCase());
+}
+
+/**
+ * Lists the headers of a message for the header chooser, sorted by name.
+ * Headers with several values are listed once per value; empty and hidden
+ * headers are left out.
+ *
+ * @param {Object<string, Array<string>>} headers - Headers of a
+ *   messages.MessagePart, keyed by lower-case name
+ * @returns {Array<MessageHeaderField>} Headers
+ */
+function listHeaders(headers) {
+  const fields = [];
+  for (const [name, values] of Object.entries(headers || {})) {
+    if (HIDDEN_HEADERS.includes(name.toLowerCase())) {
+      continue;
+    }
+    for (const value of Array.isArray(values) ? values : [values]) {
+      const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+      if (text) {
+        fields.push({ name: formatHeaderName(name), value: text });
+      }
+    }
+  }
+
+  return fields.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ============================================================================
+// MAILING LISTS
+// ============================================================================
+
+/**
+ * Parses a List-Id header (RFC 2919), e.g.
+ * '"Developers" <dev.lists.example.org>'.
+ *
+ * @param {string} value - Header value
+ * @returns {{id: string, name: string}|null} List ID and description (empty
+ *   if there is none), or null if the header holds no ID
+ */
+function parseListId(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.match(/<([^<>]+)>\s*$/);
+  // Some list servers omit the angle brackets
+  const id = (match ? match[1] : value).trim();
+  if (!id || /\s/.test(id)) {
+    return null;
+  }
+
+  const name = match ? value.substring(0, match.index).trim().replace(/^"(.*)"$/, '$1').trim() : '';
+  return { id, name };
+}
+
+/**
+ * Gets the posting address of a List-Post header (RFC 2369), e.g.
+ * "<mailto:dev@lists.example.org>".
+ *
+ * @param {string} value - Header value
+ * @returns {string|null} Email address, or null if posting is not allowed
+ *   ("NO") or the header has no mailto URL
+ */
+function parseListPost(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.match(/<mailto:([^<>?]+)(?:\?[^<>]*)?>/i);
+  if (!match) {
+    return null;
+  }
+
+  try {
+    return decodeURIComponent(match[1]).trim() || null;
+  } catch (error) {
+    return match[1].trim() || null;
+  }
+}
+
+/**
+ * Gets the mailing list of a message from its List-Id header, or from its
+ * List-Post header for list servers that send no List-Id.
+ *
+ * @param {Object<string, Array<string>>} headers - Headers of a
+ *   messages.MessagePart, keyed by lower-case name
+ * @returns {MailingList|null} Mailing list, or null if the message was not
+ *   sent through one
+ */
+function getMailingList(headers) {
+  const listId = parseListId(getHeader(headers, 'List-Id'));
+  if (listId) {
+    return { header: 'List-Id', text: listId.id, name: listId.name || listId.id };
+  }
+
+  const address = parseListPost(getHeader(headers, 'List-Post'));
+  if (address) {
+    return { header: 'List-Post', text: address, name: address };
+  }
+
+  return null;
+}
+
+// Export all functions and constants
+const headers = {
+  // Constants
+  HIDDEN_HEADERS,
+
+  // Headers
+  getHeader,
+  formatHeaderName,
+  listHeaders,
+
+  // Mailing lists
+  parseListId,
+  parseListPost,
+  getMailingList
+};
+
+// For use in browser extension context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = headers;
+}
+
+// Export for ES6 modules
+if (typeof window !== 'undefined') {
+  window.QuickFilterByHeaders = headers;
+}
@@ -0,0 +1,170 @@
+/**
+ * Message filter rule utilities for QuickFilterBy extension.
+ * Builds the rules of "Create Message Filter from This...", which the
+ * MessagesListAdapter experiment adds to the Message Filters
+ * (msgFilterRules.dat) of an account.
+ *
+ * A rule has a name, conditions that must all match - TextCriterion
+ * objects, as in Quick Filter states - and the actions run on matching
+ * messages.
+ *
+ * @module rules
+ */
+
+/**
+ * Message filter rule.
+ *
+ * @typedef {Object} FilterRule
+ * @property {string} name - Name shown in the Message Filters dialog
+ * @property {Array<Object>} conditions - TextCriterion objects, all of which must match
+ * @property {Array<RuleAction>} actions - Actions run on matching messages
+ */
+
+/**
+ * Action of a message filter rule.
+ *
+ * @typedef {Object} RuleAction
+ * @property {string} type - One of RULE_ACTION_TYPES
+ * @property {{accountId: string, path: string}} [folder] - Target of "move"
+ * @property {string} [tag] - Tag key of "tag" (e.g. "$label1")
+ * @property {string} [address] - Email address of "forward"
+ */
+
+/**
+ * Actions a rule can run.
+ *
+ * @constant {Array<string>}
+ */
+const RULE_ACTION_TYPES = ['move', 'tag', 'markRead', 'forward'];
+
+/**
+ * Maximum length of a suggested rule name.
+ *
+ * @constant {number}
+ */
+const MAX_RULE_NAME_LENGTH = 60;
+
+/**
+ * Labels of the condition fields in suggested rule names.
+ *
+ * @constant {Object<string, string>}
+ */
+const CONDITION_LABELS = {
+  author: 'From',
+  subject: 'Subject'
+};
+
+// ============================================================================
+// CONDITIONS
+// ============================================================================
+
+/**
+ * Creates a rule condition matching a text in one field of a message.
+ *
+ * @param {string} field - "author", "subject", or a header name (e.g. "List-Id")
+ * @param {string} text - Text the field must contain
+ * @returns {Object|null} TextCriterion, or null for an empty text
+ */
+function createCondition(field, text) {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed || !field) {
+    return null;
+  }
+
+  if (CONDITION_LABELS[field]) {
+    return { text: trimmed, [field]: true };
+  }
+  return { text: trimmed, header: field };
+}
+
+/**
+ * Suggests a rule name from its conditions, e.g.
+ * "From: ann@example.com, Subject: Weekly status".
+ *
+ * @param {Array<Object>} conditions - TextCriterion objects
+ * @returns {string} Name, or an empty string without conditions
+ */
+function suggestRuleName(conditions) {
+  const name = (conditions || [])
+    .map(condition => {
+      const field = Object.keys(CONDITION_LABELS).find(key => condition[key]);
+      return `${field ? CONDITION_LABELS[field] : condition.header}: ${condition.text}`;
+    })
+    .join(', ');
+
+  return name.length > MAX_RULE_NAME_LENGTH ? `${name.slice(0, MAX_RULE_NAME_LENGTH - 1)}…` : name;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks whether a text is a single email address.
+ *
+ * @param {string} address - Text to check
+ * @returns {boolean} True for an address like "ann@example.com"
+ */
+function isEmailAddress(address) {
+  return typeof address === 'string' && /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/.test(address.trim());
+}
+
+/**
+ * Lists what is missing from a rule before it can be created.
+ *
+ * @param {FilterRule} rule - Rule to check
+ * @returns {Array<string>} Problems: "name", "conditions", "actions",
+ *   "folder", "tag" or "address"; empty if the rule is complete
+ */
+function getRuleProblems(rule) {
+  const problems = [];
+  if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) {
+    problems.push('name');
+  }
+
+  const conditions = (rule && rule.conditions) || [];
+  if (conditions.length === 0 || conditions.some(condition => !condition || !condition.text)) {
+    problems.push('conditions');
+  }
+
+  const actions = (rule && rule.actions) || [];
+  if (actions.length === 0 || actions.some(action => !RULE_ACTION_TYPES.includes(action.type))) {
+    problems.push('actions');
+  }
+  for (const action of actions) {
+    if (action.type === 'move' && !(action.folder && action.folder.accountId && action.folder.path)) {
+      problems.push('folder');
+    } else if (action.type === 'tag' && !action.tag) {
+      problems.push('tag');
+    } else if (action.type === 'forward' && !isEmailAddress(action.address)) {
+      problems.push('address');
+    }
+  }
+
+  return problems;
+}
+
+// Export all functions and constants
+const rules = {
+  // Constants
+  RULE_ACTION_TYPES,
+  MAX_RULE_NAME_LENGTH,
+
+  // Conditions
+  createCondition,
+  suggestRuleName,
+
+  // Validation
+  isEmailAddress,
+  getRuleProblems
+};
+
+// For use in browser extension context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = rules;
+}
+
+// Export for ES6 modules
+if (typeof window !== 'undefined') {
+  window.QuickFilterByRules = rules;
+}
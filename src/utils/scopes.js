@@ -0,0 +1,32 @@
+/**
+ * Scope utilities for QuickFilterBy extension.
+ * A filter searches the displayed folder, or is searched in other folders
+ * ("All Folders of This Account", "All Accounts") by the experiment's
+ * searchMessages function, with the same criteria as the Quick Filter.
+ *
+ * @module scopes
+ */
+
+/**
+ * Where a filter searches: the displayed folder, all folders of its
+ * account, or all accounts.
+ *
+ * @constant {Array<string>}
+ */
+const SCOPES = ['folder', 'account', 'all'];
+
+// Export all constants
+const scopes = {
+  // Constants
+  SCOPES
+};
+
+// For use in browser extension context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = scopes;
+}
+
+// Export for ES6 modules
+if (typeof window !== 'undefined') {
+  window.QuickFilterByScopes = scopes;
+}
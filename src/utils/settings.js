@@ -5,6 +5,41 @@
  * @module settings
  */
 
+/**
+ * Context menu groups that can be shown or hidden with the
+ * showContextMenus setting, in menu order.
+ *
+ * @constant {Array<string>}
+ */
+const CONTEXT_MENU_GROUPS = [
+  'sender', 'senderEmail', 'senderDomain', 'recipient', 'recipients', 'subject',
+  'headers', 'conversation', 'messageFilter', 'selection', 'date', 'tags', 'attachment', 'readStatus',
+  'flaggedStatus', 'contacts', 'savedFilters', 'recentFilters', 'scope', 'clearFilter'
+];
+
+/**
+ * Context menu groups each version added. Stored showContextMenus values
+ * only list the groups their version had, so the groups added since are
+ * shown on upgrade (see migrateSettings).
+ *
+ * @constant {Object<string, Array<string>>}
+ */
+const CONTEXT_MENU_GROUPS_ADDED = {
+  '15.0.0': [
+    'senderDomain', 'headers', 'conversation', 'messageFilter', 'selection', 'date', 'tags',
+    'attachment', 'readStatus', 'flaggedStatus', 'contacts', 'savedFilters', 'recentFilters',
+    'scope', 'clearFilter'
+  ]
+};
+
+/**
+ * Clicks that can trigger click filtering (altClickModifier setting).
+ * "middle" is a middle click without modifier keys.
+ *
+ * @constant {Array<string>}
+ */
+const CLICK_MODIFIERS = ['alt', 'ctrl-alt', 'shift-alt', 'middle'];
+
 /**
  * Default settings object.
  * @constant {Object}
@@ -13,11 +48,14 @@ const DEFAULT_SETTINGS = {
   /** Enable alt-click functionality */
   altClickEnabled: true,
 
+  /** Click that triggers click filtering (see CLICK_MODIFIERS) */
+  altClickModifier: 'alt',
+
   /** Default filter type (sender, recipient, subject) */
   defaultFilterType: 'sender',
 
   /** Which context menus to show */
-  showContextMenus: ['sender', 'senderEmail', 'recipient', 'recipients', 'subject'],
+  showContextMenus: [...CONTEXT_MENU_GROUPS],
 
   /** Debug mode flag */
   debugMode: false,
@@ -25,10 +63,10 @@ const DEFAULT_SETTINGS = {
   /** Log level (DEBUG, INFO, WARN, ERROR) */
   logLevel: 'WARN',
 
-  /** Custom saved filters */
+  /** Custom saved filters (stored in browser.storage.local, see LOCAL_SETTINGS) */
   customFilters: [],
 
-  /** Filter history */
+  /** Filter history (stored in browser.storage.local, see LOCAL_SETTINGS) */
   filterHistory: [],
 
   /** Maximum filter history size */
@@ -40,10 +78,30 @@ const DEFAULT_SETTINGS = {
   /** Enable notifications */
   notificationsEnabled: true,
 
+  /**
+   * Subject normalization rules, added to the built-in ones
+   * (see src/utils/subjects.js)
+   */
+  subjectRules: {
+    replyPrefixes: [],
+    stripListTags: true,
+    ticketPatterns: []
+  },
+
   /** Last updated version (for migration) */
   lastVersion: '14.0.0'
 };
 
+/**
+ * Settings stored in browser.storage.local instead of browser.storage.sync.
+ * Saved filters and history entries hold whole filter states, e.g. the
+ * Message-IDs of a conversation, which soon exceed the quota of a
+ * storage.sync item (8 KB).
+ *
+ * @constant {Array<string>}
+ */
+const LOCAL_SETTINGS = ['customFilters', 'filterHistory'];
+
 /**
  * Settings cache.
  * Avoids repeated storage reads.
@@ -73,12 +131,15 @@ function validateSetting(key, value) {
     case 'altClickEnabled':
       return typeof value === 'boolean';
 
+    case 'altClickModifier':
+      return CLICK_MODIFIERS.includes(value);
+
     case 'defaultFilterType':
       return ['sender', 'recipient', 'subject'].includes(value);
 
     case 'showContextMenus':
       return Array.isArray(value) &&
-             value.every(item => ['sender', 'senderEmail', 'recipient', 'recipients', 'subject'].includes(item));
+             value.every(item => CONTEXT_MENU_GROUPS.includes(item));
 
     case 'debugMode':
       return typeof value === 'boolean';
@@ -87,7 +148,7 @@ function validateSetting(key, value) {
       return ['DEBUG', 'INFO', 'WARN', 'ERROR'].includes(value);
 
     case 'customFilters':
-      return Array.isArray(value);
+      return Array.isArray(value) && value.every(isValidSavedFilter);
 
     case 'filterHistory':
       return Array.isArray(value);
@@ -101,6 +162,9 @@ function validateSetting(key, value) {
     case 'notificationsEnabled':
       return typeof value === 'boolean';
 
+    case 'subjectRules':
+      return isValidSubjectRules(value);
+
     case 'lastVersion':
       return typeof value === 'string';
 
@@ -126,10 +190,59 @@ function validateSettings(settings) {
   return results;
 }
 
+/**
+ * Checks whether a value is a well-formed subjectRules setting: lists of
+ * non-empty reply prefixes and of valid regular expressions.
+ *
+ * @param {*} rules - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidSubjectRules(rules) {
+  const isPattern = source => {
+    try {
+      new RegExp(source, 'u');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  return Boolean(rules) && typeof rules === 'object' &&
+    Array.isArray(rules.replyPrefixes) &&
+    rules.replyPrefixes.every(prefix => typeof prefix === 'string' && prefix.trim() !== '') &&
+    typeof rules.stripListTags === 'boolean' &&
+    Array.isArray(rules.ticketPatterns) &&
+    rules.ticketPatterns.every(source => typeof source === 'string' && source.trim() !== '' && isPattern(source));
+}
+
 // ============================================================================
 // SETTINGS STORAGE
 // ============================================================================
 
+/**
+ * Gets the storage area a setting is stored in.
+ *
+ * @param {string} key - Setting key
+ * @returns {Object} browser.storage.local or browser.storage.sync
+ */
+function getStorageArea(key) {
+  return LOCAL_SETTINGS.includes(key) ? browser.storage.local : browser.storage.sync;
+}
+
+/**
+ * Splits settings by the storage area they are stored in.
+ *
+ * @param {Object} settings - Settings object
+ * @returns {{sync: Object, local: Object}} Settings of each area
+ */
+function splitByStorageArea(settings) {
+  const areas = { sync: {}, local: {} };
+  for (const [key, value] of Object.entries(settings)) {
+    areas[LOCAL_SETTINGS.includes(key) ? 'local' : 'sync'][key] = value;
+  }
+  return areas;
+}
+
 /**
  * Gets a single setting value.
  *
@@ -149,7 +262,7 @@ async function getSetting(key, defaultValue) {
     }
 
     // Read from storage
-    const result = await browser.storage.sync.get(key);
+    const result = await getStorageArea(key).get(key);
 
     // Get value or default
     let value = result[key];
@@ -188,7 +301,10 @@ async function getAllSettings() {
     }
 
     // Read all from storage
-    const stored = await browser.storage.sync.get();
+    const stored = {
+      ...await browser.storage.sync.get(),
+      ...await browser.storage.local.get(LOCAL_SETTINGS)
+    };
 
     // Merge with defaults
     const settings = { ...DEFAULT_SETTINGS, ...stored };
@@ -235,7 +351,7 @@ async function setSetting(key, value) {
     }
 
     // Save to storage
-    await browser.storage.sync.set({ [key]: value });
+    await getStorageArea(key).set({ [key]: value });
 
     // Update cache
     if (!settingsCache) settingsCache = {};
@@ -275,7 +391,11 @@ async function setMultipleSettings(settings) {
     }
 
     // Save to storage
-    await browser.storage.sync.set(settings);
+    const { sync, local } = splitByStorageArea(settings);
+    await browser.storage.sync.set(sync);
+    if (Object.keys(local).length > 0) {
+      await browser.storage.local.set(local);
+    }
 
     // Update cache
     if (!settingsCache) settingsCache = {};
@@ -314,8 +434,10 @@ async function resetAllSettings() {
     return true;
   }
 
+  const { sync, local } = splitByStorageArea(DEFAULT_SETTINGS);
   await browser.storage.sync.clear();
-  await browser.storage.sync.set(DEFAULT_SETTINGS);
+  await browser.storage.sync.set(sync);
+  await browser.storage.local.set(local);
   settingsCache = { ...DEFAULT_SETTINGS };
 
   console.log('[Settings] Reset all settings to defaults');
@@ -326,10 +448,45 @@ async function resetAllSettings() {
 // FILTER HISTORY MANAGEMENT
 // ============================================================================
 
+/**
+ * Filter history entry.
+ *
+ * @typedef {Object} FilterHistoryEntry
+ * @property {string} id - Unique identifier
+ * @property {Object} filter - Applied QuickFilterState
+ * @property {string} label - Human-readable description of the filter
+ * @property {string} source - How the filter was applied (menu, alt-click, dialog, ...)
+ * @property {number} timestamp - Application time (ms since epoch)
+ * @property {boolean} pinned - Pinned entries are kept when the history is trimmed
+ */
+
+/**
+ * Creates a unique identifier for stored items (saved filters, history).
+ *
+ * @param {string} prefix - Identifier prefix
+ * @returns {string} Identifier
+ */
+function createSettingsId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Returns the value identifying duplicate history entries: the applied
+ * filter for FilterHistoryEntry objects, the whole entry otherwise.
+ *
+ * @param {Object} entry - History entry
+ * @returns {string} Comparison key
+ */
+function getHistoryKey(entry) {
+  return JSON.stringify(entry && entry.filter !== undefined ? entry.filter : entry);
+}
+
 /**
  * Adds a filter to history.
+ * An earlier entry for the same filter is replaced (keeping its pin), and
+ * the oldest unpinned entries are dropped beyond maxFilterHistory.
  *
- * @param {Object} filter - Filter object to add
+ * @param {Object} filter - Filter object to add (usually a FilterHistoryEntry)
  * @returns {Promise<boolean>} True if successful
  */
 async function addToFilterHistory(filter) {
@@ -338,14 +495,23 @@ async function addToFilterHistory(filter) {
     const maxHistory = await getSetting('maxFilterHistory', 50);
 
     // Remove duplicates
-    const filtered = history.filter(f => JSON.stringify(f) !== JSON.stringify(filter));
+    const key = getHistoryKey(filter);
+    const previous = history.find(f => getHistoryKey(f) === key);
+    const filtered = history.filter(f => getHistoryKey(f) !== key);
 
     // Add new filter at beginning
-    filtered.unshift(filter);
+    filtered.unshift(previous && previous.pinned ? { ...filter, pinned: true } : filter);
 
-    // Trim to max size
+    // Trim to max size, oldest unpinned entries first
     while (filtered.length > maxHistory) {
-      filtered.pop();
+      let index = filtered.length - 1;
+      while (index >= 0 && filtered[index].pinned) {
+        index--;
+      }
+      if (index < 0) {
+        break;
+      }
+      filtered.splice(index, 1);
     }
 
     return setSetting('filterHistory', filtered);
@@ -373,6 +539,167 @@ async function clearFilterHistory() {
   return setSetting('filterHistory', []);
 }
 
+/**
+ * Pins or unpins a filter history entry.
+ *
+ * @param {string} id - History entry ID
+ * @param {boolean} pinned - New pinned state
+ * @returns {Promise<boolean>} True if the entry was updated
+ */
+async function setFilterHistoryPinned(id, pinned) {
+  const history = await getFilterHistory();
+  if (!history.some(entry => entry.id === id)) {
+    return false;
+  }
+
+  return setSetting('filterHistory', history.map(entry =>
+    entry.id === id ? { ...entry, pinned: Boolean(pinned) } : entry
+  ));
+}
+
+/**
+ * Removes an entry from filter history.
+ *
+ * @param {string} id - History entry ID
+ * @returns {Promise<boolean>} True if the entry was removed
+ */
+async function removeFromFilterHistory(id) {
+  const history = await getFilterHistory();
+  const remaining = history.filter(entry => entry.id !== id);
+  if (remaining.length === history.length) {
+    return false;
+  }
+  return setSetting('filterHistory', remaining);
+}
+
+// ============================================================================
+// SAVED FILTERS
+// ============================================================================
+
+/**
+ * Maximum length of a saved filter name.
+ * @constant {number}
+ */
+const MAX_SAVED_FILTER_NAME_LENGTH = 100;
+
+/**
+ * Saved filter preset, stored in the customFilters setting.
+ *
+ * @typedef {Object} SavedFilter
+ * @property {string} id - Unique identifier
+ * @property {string} name - Name shown in the "Saved Filters" menu
+ * @property {Object} filter - QuickFilterState to apply
+ * @property {number} createdAt - Creation time (ms since epoch)
+ */
+
+/**
+ * Checks whether a value is a well-formed saved filter.
+ *
+ * @param {*} preset - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidSavedFilter(preset) {
+  return Boolean(preset) &&
+    typeof preset.id === 'string' && preset.id.length > 0 &&
+    typeof preset.name === 'string' && preset.name.trim().length > 0 &&
+    preset.name.length <= MAX_SAVED_FILTER_NAME_LENGTH &&
+    Boolean(preset.filter) && typeof preset.filter === 'object' &&
+    typeof preset.createdAt === 'number';
+}
+
+/**
+ * Gets saved filters, in menu order.
+ *
+ * @returns {Promise<Array<SavedFilter>>} Saved filters
+ */
+async function getSavedFilters() {
+  return getSetting('customFilters', []);
+}
+
+/**
+ * Saves a filter under a name. The new filter is added at the end.
+ *
+ * @param {string} name - Filter name
+ * @param {Object} filter - QuickFilterState to save
+ * @returns {Promise<SavedFilter|null>} Saved filter, or null on failure
+ */
+async function addSavedFilter(name, filter) {
+  try {
+    const preset = {
+      id: createSettingsId('filter'),
+      name: String(name).trim(),
+      filter,
+      createdAt: Date.now()
+    };
+
+    if (!isValidSavedFilter(preset)) {
+      console.warn('[Settings] Invalid saved filter:', preset);
+      return null;
+    }
+
+    const presets = await getSavedFilters();
+    const saved = await setSetting('customFilters', [...presets, preset]);
+    return saved ? preset : null;
+  } catch (error) {
+    console.error('[Settings] Error saving filter:', error);
+    return null;
+  }
+}
+
+/**
+ * Renames a saved filter.
+ *
+ * @param {string} id - Saved filter ID
+ * @param {string} name - New name
+ * @returns {Promise<boolean>} True if successful
+ */
+async function renameSavedFilter(id, name) {
+  const presets = await getSavedFilters();
+  if (!presets.some(preset => preset.id === id)) {
+    return false;
+  }
+
+  const trimmed = String(name).trim();
+  return setSetting('customFilters', presets.map(preset =>
+    preset.id === id ? { ...preset, name: trimmed } : preset
+  ));
+}
+
+/**
+ * Moves a saved filter up or down in the menu order.
+ *
+ * @param {string} id - Saved filter ID
+ * @param {number} offset - Positions to move (negative moves up)
+ * @returns {Promise<boolean>} True if the filter was moved
+ */
+async function moveSavedFilter(id, offset) {
+  const presets = [...await getSavedFilters()];
+  const index = presets.findIndex(preset => preset.id === id);
+  const target = Math.max(0, Math.min(presets.length - 1, index + offset));
+  if (index === -1 || target === index) {
+    return false;
+  }
+
+  const [preset] = presets.splice(index, 1);
+  presets.splice(target, 0, preset);
+  return setSetting('customFilters', presets);
+}
+
+/**
+ * Deletes a saved filter.
+ *
+ * @param {string} id - Saved filter ID
+ * @returns {Promise<boolean>} True if the filter was deleted
+ */
+async function deleteSavedFilter(id) {
+  const presets = await getSavedFilters();
+  const remaining = presets.filter(preset => preset.id !== id);
+  if (remaining.length === presets.length) {
+    return false;
+  }
+  return setSetting('customFilters', remaining);
+}
+
 // ============================================================================
 // STORAGE LISTENERS
 // ============================================================================
@@ -429,6 +756,104 @@ function removeAllStorageListeners() {
   storageListeners.length = 0;
 }
 
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+/**
+ * Compares two "major.minor.patch" version strings.
+ *
+ * @param {string} version1 - First version
+ * @param {string} version2 - Second version
+ * @returns {number} Negative if version1 is older, 0 if equal, positive if newer
+ */
+function compareVersionStrings(version1, version2) {
+  const parts1 = version1.split('.').map(part => parseInt(part, 10) || 0);
+  const parts2 = version2.split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(parts1.length, parts2.length); i++) {
+    const difference = (parts1[i] || 0) - (parts2[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Moves settings that are now stored in browser.storage.local out of
+ * browser.storage.sync. Values already stored locally are kept.
+ *
+ * @returns {Promise<Array<string>>} Keys of the moved settings
+ */
+async function moveLocalSettings() {
+  const synced = await browser.storage.sync.get(LOCAL_SETTINGS);
+  const keys = LOCAL_SETTINGS.filter(key => synced[key] !== undefined);
+  if (keys.length === 0) {
+    return [];
+  }
+
+  const local = await browser.storage.local.get(keys);
+  const moved = {};
+  for (const key of keys) {
+    if (local[key] === undefined && validateSetting(key, synced[key])) {
+      moved[key] = synced[key];
+    }
+  }
+  if (Object.keys(moved).length > 0) {
+    await browser.storage.local.set(moved);
+  }
+  await browser.storage.sync.remove(keys);
+
+  return keys;
+}
+
+/**
+ * Migrates settings stored by an older version of the extension.
+ * Moves the settings of LOCAL_SETTINGS out of browser.storage.sync, and
+ * shows the context menu groups added since the stored lastVersion; a
+ * missing lastVersion is the default one, the version before migrations.
+ *
+ * @param {string} currentVersion - Version of the extension (manifest version)
+ * @returns {Promise<boolean>} True if stored settings were migrated
+ */
+async function migrateSettings(currentVersion) {
+  try {
+    if (!browser || !browser.storage) {
+      return false;
+    }
+
+    const movedKeys = await moveLocalSettings();
+    if (movedKeys.length > 0) {
+      clearCache();
+      console.log('[Settings] Moved settings to local storage:', movedKeys);
+    }
+
+    const stored = await browser.storage.sync.get(['showContextMenus', 'lastVersion']);
+    const lastVersion = typeof stored.lastVersion === 'string' ?
+      stored.lastVersion : DEFAULT_SETTINGS.lastVersion;
+    if (compareVersionStrings(lastVersion, currentVersion) >= 0) {
+      return movedKeys.length > 0;
+    }
+
+    const migrated = { lastVersion: currentVersion };
+    // Without a stored value the default already shows every group
+    if (Array.isArray(stored.showContextMenus)) {
+      const added = Object.entries(CONTEXT_MENU_GROUPS_ADDED)
+        .filter(([version]) => compareVersionStrings(version, lastVersion) > 0 &&
+          compareVersionStrings(version, currentVersion) <= 0)
+        .flatMap(([, groups]) => groups);
+      migrated.showContextMenus = CONTEXT_MENU_GROUPS.filter(group =>
+        stored.showContextMenus.includes(group) || added.includes(group));
+    }
+
+    console.log(`[Settings] Migrating settings from ${lastVersion} to ${currentVersion}`);
+    return await setMultipleSettings(migrated);
+  } catch (error) {
+    console.error('[Settings] Error migrating settings:', error);
+    return false;
+  }
+}
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -468,6 +893,8 @@ function resetModuleState() {
 const settings = {
   // Constants
   DEFAULT_SETTINGS,
+  CONTEXT_MENU_GROUPS,
+  CLICK_MODIFIERS,
 
   // Settings storage
   getSetting,
@@ -478,9 +905,22 @@ const settings = {
   resetAllSettings,
 
   // Filter history
+  createSettingsId,
   addToFilterHistory,
   getFilterHistory,
   clearFilterHistory,
+  setFilterHistoryPinned,
+  removeFromFilterHistory,
+
+  // Saved filters
+  MAX_SAVED_FILTER_NAME_LENGTH,
+  isValidSavedFilter,
+  isValidSubjectRules,
+  getSavedFilters,
+  addSavedFilter,
+  renameSavedFilter,
+  moveSavedFilter,
+  deleteSavedFilter,
 
   // Storage listeners
   onStorageChanged,
@@ -490,6 +930,10 @@ const settings = {
   validateSetting,
   validateSettings,
 
+  // Migration
+  CONTEXT_MENU_GROUPS_ADDED,
+  migrateSettings,
+
   // Initialization
   init,
 
@@ -0,0 +1,188 @@
+/**
+ * Subject utilities for QuickFilterBy extension.
+ * Normalizes subjects for the "Thread Subject" filter, e.g.
+ * "Re: [proj-dev] Build failed (#1234)" → "Build failed (#1234)", and
+ * extracts ticket IDs ("#1234", "PROJ-42") for the "Ticket ID" filter.
+ *
+ * Rules come from the subjectRules setting: its reply prefixes and ticket
+ * patterns are added to the built-in ones below.
+ *
+ * @module subjects
+ */
+
+/**
+ * Subject normalization rules, as stored in the subjectRules setting.
+ *
+ * @typedef {Object} SubjectRules
+ * @property {Array<string>} replyPrefixes - Additional reply/forward prefixes,
+ *   without colon (e.g. "Antwort")
+ * @property {boolean} stripListTags - Remove leading mailing list tags
+ *   such as "[proj-dev]"
+ * @property {Array<string>} ticketPatterns - Additional ticket ID regular
+ *   expressions; the first capture group, if any, is the ID
+ */
+
+/**
+ * Built-in reply and forward prefixes, in several languages.
+ *
+ * @constant {Array<string>}
+ */
+const REPLY_PREFIXES = [
+  're', 'fw', 'fwd',
+  // German, Dutch, Nordic, Finnish
+  'aw', 'wg', 'antw', 'doorst', 'sv', 'vs', 'vl',
+  // French, Italian, Spanish, Portuguese
+  'tr', 'réf', 'rif', 'rv', 'enc', 'res',
+  // Polish, Turkish, Greek
+  'odp', 'pd', 'ynt', 'ilt', 'απ', 'σχετ', 'πρθ',
+  // Chinese, Japanese, Korean
+  '回复', '回覆', '答复', '转发', '轉寄', '返信', '転送', '답장', '전달'
+];
+
+/**
+ * Built-in ticket ID patterns: "#1234" and issue keys like "PROJ-42".
+ *
+ * @constant {Array<string>}
+ */
+const TICKET_PATTERNS = ['#\\d+', '\\b[A-Z][A-Z0-9]+-\\d+\\b'];
+
+/**
+ * Matches a leading mailing list tag, e.g. "[proj-dev] ".
+ *
+ * @constant {RegExp}
+ */
+const LIST_TAG_PATTERN = /^\[[^\]]*\]\s*/;
+
+/**
+ * Matches a trailing forward marker, e.g. " (fwd)".
+ *
+ * @constant {RegExp}
+ */
+const FORWARD_SUFFIX_PATTERN = /\s*\(fwd?\)$/i;
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Checks whether a text is a valid regular expression.
+ *
+ * @param {string} source - Regular expression source
+ * @returns {boolean} True if it compiles
+ */
+function isValidPattern(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    return false;
+  }
+  try {
+    new RegExp(source, 'u');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Escapes a text for use in a regular expression.
+ *
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapePattern(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles subject rules, adding the built-in prefixes and patterns.
+ * Invalid additional patterns are ignored.
+ *
+ * @param {SubjectRules} [rules] - subjectRules setting
+ * @returns {{prefixPattern: RegExp, stripListTags: boolean, ticketPatterns: Array<RegExp>}} Compiled rules
+ */
+function compileRules(rules = {}) {
+  const prefixes = [...REPLY_PREFIXES, ...(rules.replyPrefixes || [])]
+    .map(prefix => prefix.trim().replace(/:$/, ''))
+    .filter(Boolean)
+    // Longest first, so "fwd" is not cut to "fw"
+    .sort((a, b) => b.length - a.length)
+    .map(escapePattern);
+
+  return {
+    // "Re:", "RE[2]:", "Re(2):", "Re^2:", full-width colon
+    prefixPattern: new RegExp(`^(?:${prefixes.join('|')})\\s*(?:\\[\\d+\\]|\\(\\d+\\)|\\^\\d+)?\\s*[:：]\\s*`, 'iu'),
+    stripListTags: rules.stripListTags !== false,
+    ticketPatterns: [...TICKET_PATTERNS, ...(rules.ticketPatterns || [])]
+      .filter(isValidPattern)
+      .map(source => new RegExp(source, 'u'))
+  };
+}
+
+// ============================================================================
+// SUBJECTS
+// ============================================================================
+
+/**
+ * Normalizes a subject: removes reply/forward prefixes, mailing list tags
+ * in front of them and forward markers, in any order and repetition.
+ *
+ * @param {string} subject - Subject of a message
+ * @param {Object} [compiled] - Rules from compileRules; built-in rules by default
+ * @returns {string} Normalized subject, possibly empty
+ */
+function normalizeSubject(subject, compiled = compileRules()) {
+  let text = (subject || '').replace(/\s+/g, ' ').trim();
+  let previous;
+
+  do {
+    previous = text;
+    text = text.replace(compiled.prefixPattern, '');
+    if (compiled.stripListTags) {
+      text = text.replace(LIST_TAG_PATTERN, '');
+    }
+    text = text.replace(FORWARD_SUFFIX_PATTERN, '').trim();
+  } while (text !== previous);
+
+  return text;
+}
+
+/**
+ * Extracts the first ticket ID of a subject.
+ *
+ * @param {string} subject - Subject of a message
+ * @param {Object} [compiled] - Rules from compileRules; built-in rules by default
+ * @returns {string|null} Ticket ID, or null if the subject has none
+ */
+function extractTicketId(subject, compiled = compileRules()) {
+  for (const pattern of compiled.ticketPatterns) {
+    const match = (subject || '').match(pattern);
+    if (match) {
+      return match[1] || match[0];
+    }
+  }
+  return null;
+}
+
+// Export all functions and constants
+const subjects = {
+  // Constants
+  REPLY_PREFIXES,
+  TICKET_PATTERNS,
+
+  // Rules
+  isValidPattern,
+  compileRules,
+
+  // Subjects
+  normalizeSubject,
+  extractTicketId
+};
+
+// For use in browser extension context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = subjects;
+}
+
+// Export for ES6 modules
+if (typeof window !== 'undefined') {
+  window.QuickFilterBySubjects = subjects;
+}
@@ -0,0 +1,115 @@
+/**
+ * Thread utilities for QuickFilterBy extension.
+ * Collects the messages of a conversation for "Show This Conversation" by
+ * walking the Message-ID and References headers of the messages: a message
+ * belongs to the conversation if it is referenced by, or references, a
+ * message of the conversation. Replies to the same (possibly missing)
+ * original message are found through the ID they all reference.
+ *
+ * Thunderbird stores In-Reply-To with the references of messages that
+ * have no References header, so both headers are followed.
+ *
+ * @module threads
+ */
+
+/**
+ * Thread data of a message, as returned by
+ * MessagesListAdapter.findRelatedMessages.
+ *
+ * @typedef {Object} ThreadMessage
+ * @property {string} messageId - Message-ID, without angle brackets
+ * @property {Array<string>} references - IDs of the References (or
+ *   In-Reply-To) header, without angle brackets
+ */
+
+/**
+ * Maximum number of messages of a conversation. Larger threads are cut, as
+ * each message becomes a search term.
+ *
+ * @constant {number}
+ */
+const MAX_THREAD_MESSAGES = 500;
+
+// ============================================================================
+// MESSAGE IDS
+// ============================================================================
+
+/**
+ * Normalizes a Message-ID: removes angle brackets and whitespace.
+ *
+ * @param {string} id - Message-ID, e.g. "<abc@example.com>"
+ * @returns {string} Message-ID without brackets, or an empty string
+ */
+function normalizeMessageId(id) {
+  return typeof id === 'string' ? id.replace(/[<>\s]/g, '') : '';
+}
+
+// ============================================================================
+// CONVERSATIONS
+// ============================================================================
+
+/**
+ * Collects the Message-IDs of the conversation of a message.
+ *
+ * The lookup is called with the IDs found in the previous round and must
+ * return the messages whose Message-ID or references contain any of them;
+ * the walk ends when a round finds no new ID.
+ *
+ * @param {string} messageId - Message-ID of the message to start from
+ * @param {function(Array<string>): Promise<Array<ThreadMessage>>} findRelated - Lookup
+ * @param {number} [maxMessages=MAX_THREAD_MESSAGES] - Maximum number of messages
+ * @returns {Promise<Array<string>>} Message-IDs of the messages of the
+ *   conversation, starting with the given one
+ */
+async function collectThread(messageId, findRelated, maxMessages = MAX_THREAD_MESSAGES) {
+  const start = normalizeMessageId(messageId);
+  if (!start) {
+    return [];
+  }
+
+  const messageIds = new Set([start]);
+  const known = new Set([start]);
+  let pending = [start];
+
+  while (pending.length > 0 && messageIds.size < maxMessages) {
+    const related = await findRelated(pending);
+    pending = [];
+
+    for (const message of related || []) {
+      const id = normalizeMessageId(message.messageId);
+      if (id && messageIds.size < maxMessages) {
+        messageIds.add(id);
+      }
+      for (const reference of [id, ...(message.references || []).map(normalizeMessageId)]) {
+        if (reference && !known.has(reference)) {
+          known.add(reference);
+          pending.push(reference);
+        }
+      }
+    }
+  }
+
+  return [...messageIds];
+}
+
+// Export all functions and constants
+const threads = {
+  // Constants
+  MAX_THREAD_MESSAGES,
+
+  // Message IDs
+  normalizeMessageId,
+
+  // Conversations
+  collectThread
+};
+
+// For use in browser extension context
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = threads;
+}
+
+// Export for ES6 modules
+if (typeof window !== 'undefined') {
+  window.QuickFilterByThreads = threads;
+}
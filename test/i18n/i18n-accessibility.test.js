@@ -15,6 +15,8 @@ const supportedLocales = ['en', 'fr', 'es', 'de', 'zh_CN', 'ja'];
 // Messages that should contain action-oriented language
 const actionMessages = [
   'dateToday',
+  'dateYesterday',
+  'dateBetween',
   'dateThisWeek',
   'dateThisMonth',
   'dateThisYear',
@@ -25,18 +27,46 @@ const actionMessages = [
   'attachmentNone',
   'readUnread',
   'readRead',
+  'flaggedFlagged',
+  'flaggedUnflagged',
+  'contactKnown',
+  'contactUnknown',
+  'savedFiltersSaveCurrent',
+  'savedFiltersSearchFolder',
+  'selectionSenders',
+  'selectionSubjects',
+  'selectionTags',
+  'recipientBccMe',
+  'conversation',
+  'messageFilter',
+  'clearFilter',
+  'previousFilter',
 ];
 
 // Messages that are labels (not necessarily action-oriented, but screen reader friendly)
 const labelMessages = [
   'sender',
+  'senderDomain',
+  'senderParentDomain',
+  'mailingList',
+  'messageHeader',
   'recipient',
   'recipients',
+  'recipientCcOnly',
   'subject',
+  'subjectThread',
+  'subjectTicket',
   'date',
   'tags',
   'attachment',
   'readStatus',
+  'flaggedStatus',
+  'contactStatus',
+  'savedFilters',
+  'recentFilters',
+  'scopeMenu',
+  'scopeAccount',
+  'scopeAll',
 ];
 
 // Messages that should be descriptive
@@ -384,6 +384,41 @@ const MessagesListAdapterMock = {
     removeListener: jest.fn(),
     hasListener: jest.fn(),
   },
+  setDateFilter: jest.fn().mockResolvedValue(undefined),
+  setAttachmentFilter: jest.fn().mockResolvedValue(undefined),
+  getQuickFilterState: jest.fn().mockResolvedValue({
+    show: true,
+    text: null,
+    tags: null,
+    unread: null,
+    flagged: null,
+    attachment: null,
+    contact: null,
+    date: null,
+  }),
+  setQuickFilterState: jest.fn().mockResolvedValue(undefined),
+  setClickModifier: jest.fn().mockResolvedValue(undefined),
+  onQuickFilterChanged: {
+    addListener: jest.fn(),
+    removeListener: jest.fn(),
+    hasListener: jest.fn(),
+  },
+};
+
+/**
+ * Mock browser.addressBooks API
+ * Stand-in for the user's address books; tests set the books they need.
+ */
+const addressBooksMock = {
+  list: jest.fn().mockResolvedValue([]),
+};
+
+/**
+ * Mock browser.messages API
+ */
+const messagesMock = {
+  query: jest.fn().mockResolvedValue({ id: null, messages: [] }),
+  continueList: jest.fn().mockResolvedValue({ id: null, messages: [] }),
 };
 
 /**
@@ -422,6 +457,8 @@ const browserMock = {
   notifications: notificationsMock,
   commands: commandsMock,
   i18n: i18nMock,
+  addressBooks: addressBooksMock,
+  messages: messagesMock,
   MessagesListAdapter: MessagesListAdapterMock,
 };
 
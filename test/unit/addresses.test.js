@@ -0,0 +1,120 @@
+/**
+ * Unit tests for src/utils/addresses.js
+ */
+
+const addresses = require('../../src/utils/addresses');
+
+describe('addresses.js', () => {
+  describe('decodeEncodedWords', () => {
+    it('should decode Q and B encoded-words', () => {
+      expect(addresses.decodeEncodedWords('=?UTF-8?Q?J=C3=BCrgen_M=C3=BCller?=')).toBe('Jürgen Müller');
+      expect(addresses.decodeEncodedWords('=?utf-8?B?5bGx55Sw?=')).toBe('山田');
+      expect(addresses.decodeEncodedWords('=?ISO-8859-1?Q?Andr=E9?= Pirard')).toBe('André Pirard');
+    });
+
+    it('should join adjacent encoded-words, also across split characters', () => {
+      expect(addresses.decodeEncodedWords('=?UTF-8?Q?a?= =?UTF-8?Q?b?=')).toBe('ab');
+      expect(addresses.decodeEncodedWords('=?UTF-8?Q?J=C3?= =?UTF-8?Q?=BCrgen?=')).toBe('Jürgen');
+    });
+
+    it('should leave undecodable words and plain text unchanged', () => {
+      expect(addresses.decodeEncodedWords('=?x-unknown?Q?abc?=')).toBe('=?x-unknown?Q?abc?=');
+      expect(addresses.decodeEncodedWords('Ann Smith')).toBe('Ann Smith');
+      expect(addresses.decodeEncodedWords(undefined)).toBe('');
+    });
+  });
+
+  describe('parseAddressList', () => {
+    it('should parse names with angle addresses and bare addresses', () => {
+      expect(addresses.parseAddressList('Ann Smith <ann@example.com>, bob@example.com')).toEqual([
+        { name: 'Ann Smith', address: 'ann@example.com' },
+        { name: '', address: 'bob@example.com' }
+      ]);
+    });
+
+    it('should keep commas and escapes of quoted names', () => {
+      expect(addresses.parseAddressList('"Smith, Ann" <ann@example.com>, "Bob \\"B\\" Jones" <bob@example.com>')).toEqual([
+        { name: 'Smith, Ann', address: 'ann@example.com' },
+        { name: 'Bob "B" Jones', address: 'bob@example.com' }
+      ]);
+    });
+
+    it('should use comments as names of bare addresses only', () => {
+      expect(addresses.parseAddressList('ann@example.com (Ann (Sales) Smith)')).toEqual([
+        { name: 'Ann (Sales) Smith', address: 'ann@example.com' }
+      ]);
+      expect(addresses.parseAddressList('Ann <ann@example.com> (work)')).toEqual([
+        { name: 'Ann', address: 'ann@example.com' }
+      ]);
+    });
+
+    it('should parse groups', () => {
+      expect(addresses.parseAddressList('Team: ann@example.com, Bob <bob@example.com>;, carl@example.com')).toEqual([
+        { name: '', address: 'ann@example.com', group: 'Team' },
+        { name: 'Bob', address: 'bob@example.com', group: 'Team' },
+        { name: '', address: 'carl@example.com' }
+      ]);
+      expect(addresses.parseAddressList('undisclosed-recipients:;')).toEqual([]);
+    });
+
+    it('should decode encoded-word names', () => {
+      expect(addresses.parseAddressList('=?UTF-8?Q?M=C3=BCller=2C_J=C3=BCrgen?= <j@example.de>')).toEqual([
+        { name: 'Müller, Jürgen', address: 'j@example.de' }
+      ]);
+    });
+
+    it('should clean angle addresses', () => {
+      expect(addresses.parseAddressList('<@relay.example:ann@example.com>')).toEqual([
+        { name: '', address: 'ann@example.com' }
+      ]);
+      expect(addresses.parseAddressList('< ann (x) @example.com >')).toEqual([
+        { name: '', address: 'ann@example.com' }
+      ]);
+    });
+
+    it('should keep names without address and skip empty entries', () => {
+      expect(addresses.parseAddressList('Ann Smith, , ')).toEqual([{ name: 'Ann Smith', address: '' }]);
+      expect(addresses.parseAddressList(null)).toEqual([]);
+    });
+  });
+
+  describe('parseAddress', () => {
+    it('should return the first mailbox with an address', () => {
+      expect(addresses.parseAddress('Team:; Ann <ann@example.com>')).toEqual({ name: 'Ann', address: 'ann@example.com' });
+      expect(addresses.parseAddress('Ann')).toEqual({ name: 'Ann', address: '' });
+      expect(addresses.parseAddress('')).toBeNull();
+    });
+  });
+
+  describe('filter values', () => {
+    const recipients = ['"Smith, Ann" <ann@example.com>', 'bob@example.com, Carl <carl@example.com>', 'Dora'];
+
+    it('should get the address of a header', () => {
+      expect(addresses.getAddress('"Smith, Ann" <Ann@Example.com>')).toBe('Ann@Example.com');
+      expect(addresses.getAddress('Nobody')).toBe('');
+    });
+
+    it('should get all addresses of several headers', () => {
+      expect(addresses.getAddresses(recipients)).toEqual(['ann@example.com', 'bob@example.com', 'carl@example.com']);
+      expect(addresses.getAddresses('a@example.com; b@example.com')).toEqual(['a@example.com', 'b@example.com']);
+    });
+
+    it('should get the display text of a header', () => {
+      expect(addresses.getDisplayText('"Smith, Ann" <ann@example.com>')).toBe('Smith, Ann');
+      expect(addresses.getDisplayText('<bob@example.com>')).toBe('bob@example.com');
+      expect(addresses.getDisplayText('')).toBe('');
+    });
+
+    it('should get one search text per mailbox', () => {
+      expect(addresses.getFilterTexts(recipients)).toEqual([
+        'ann@example.com', 'bob@example.com', 'carl@example.com', 'Dora'
+      ]);
+    });
+
+    it('should format mailboxes for display', () => {
+      expect(addresses.formatMailbox({ name: 'Smith, Ann', address: 'ann@example.com' })).toBe('Smith, Ann <ann@example.com>');
+      expect(addresses.formatMailbox({ name: '', address: 'bob@example.com' })).toBe('bob@example.com');
+      expect(addresses.formatMailbox({ name: 'Dora', address: '' })).toBe('Dora');
+    });
+  });
+});
@@ -118,10 +118,77 @@ describe('background.js - Script Structure', () => {
     expect(backgroundScriptContent).toContain('id: "senderEmail"');
   });
 
+  it('should parse sender and recipient headers with the address parser', () => {
+    expect(backgroundScriptContent).toContain('AddressUtils.getAddress(message.author)');
+    expect(backgroundScriptContent).toContain('AddressUtils.getFilterTexts(message.recipients)');
+    expect(backgroundScriptContent).not.toContain('message.recipients.join');
+    expect(backgroundScriptContent).not.toContain('indexOf("<")');
+  });
+
+  it('should create sender domain menu items', () => {
+    expect(backgroundScriptContent).toContain('id: "senderDomain"');
+    expect(backgroundScriptContent).toContain('id: "senderParentDomain"');
+    expect(backgroundScriptContent).toContain('DomainUtils.getParentDomain(domain)');
+    expect(backgroundScriptContent).toContain('DomainUtils.getDomainSearchTexts(filter.value)');
+  });
+
   it('should create recipient menu item', () => {
     expect(backgroundScriptContent).toContain('id: "recipient"');
   });
 
+  it('should build the recipient picker when the menu is shown', () => {
+    expect(backgroundScriptContent).toContain('await rebuildRecipientMenu(page.messages[0])');
+    expect(backgroundScriptContent).toContain('id: "recipient-cc"');
+    expect(backgroundScriptContent).toContain('id: "recipient-bcc-me"');
+    expect(backgroundScriptContent).toContain("FilterUtils.criterionToState('bccTo', addresses)");
+  });
+
+  it('should create thread subject and ticket ID menu items', () => {
+    expect(backgroundScriptContent).toContain('id: "subject-thread"');
+    expect(backgroundScriptContent).toContain('id: "subject-ticket"');
+    expect(backgroundScriptContent).toContain('SubjectUtils.normalizeSubject(message.subject, subjectRules)');
+  });
+
+  it('should create mailing list menu item', () => {
+    expect(backgroundScriptContent).toContain('id: "mailingList"');
+    expect(backgroundScriptContent).toContain('HeaderUtils.getMailingList(full.headers)');
+    expect(backgroundScriptContent).toContain("FilterUtils.criterionToState('header'");
+  });
+
+  it('should create message header menu item with a header chooser', () => {
+    expect(backgroundScriptContent).toContain('id: "messageHeader"');
+    expect(backgroundScriptContent).toContain("params.set('messageId', String(options.messageId))");
+  });
+
+  it('should create conversation menu item', () => {
+    expect(backgroundScriptContent).toContain('id: "conversation"');
+    expect(backgroundScriptContent).toContain('browser.MessagesListAdapter.findRelatedMessages(tabId, ids)');
+    expect(backgroundScriptContent).toContain("FilterUtils.criterionToState('conversation', messageIds)");
+  });
+
+  it('should create scope menu searching the current filter in other folders', () => {
+    expect(backgroundScriptContent).toContain('id: "scope-account"');
+    expect(backgroundScriptContent).toContain('id: "scope-all"');
+    expect(backgroundScriptContent).toContain('browser.MessagesListAdapter.searchMessages(');
+    expect(backgroundScriptContent).toContain('{ scope, maxResults: MAX_SCOPE_RESULTS }');
+    expect(backgroundScriptContent).toContain("notifyScopeSearch('Too Many Messages', 'scopeTruncated')");
+    expect(backgroundScriptContent).not.toContain('browser.messages.query(folder ?');
+  });
+
+  it('should save filters as search folders', () => {
+    expect(backgroundScriptContent).toContain('id: "saved-filters-search-folder"');
+    expect(backgroundScriptContent).toContain('dialog/search-folder.html');
+    expect(backgroundScriptContent).toContain('browser.windows.onRemoved.addListener((windowId) => {');
+    expect(backgroundScriptContent).toContain('dialog.windowId === windowId');
+    expect(backgroundScriptContent).toContain('browser.MessagesListAdapter.createSearchFolder(dialog.tabId');
+  });
+
+  it('should create message filter rules from a message', () => {
+    expect(backgroundScriptContent).toContain('id: "messageFilter"');
+    expect(backgroundScriptContent).toContain('RuleUtils.getRuleProblems(rule)');
+    expect(backgroundScriptContent).toContain('browser.MessagesListAdapter.createMessageFilter(messageId, rule)');
+  });
+
   it('should create recipients menu item', () => {
     expect(backgroundScriptContent).toContain('id: "recipients"');
   });
@@ -131,58 +198,118 @@ describe('background.js - Script Structure', () => {
     expect(backgroundScriptContent).toContain('contexts: ["message_list"]');
   });
 
-  // Date filtering tests are disabled - Quick Filter API doesn't support date filtering
-  // TODO: Re-enable when custom date picker UI is implemented
-  //
-  // it('should create date-today menu item', () => {
-  //   expect(backgroundScriptContent).toContain('id: "date-today"');
-  //   expect(backgroundScriptContent).toContain('filterByDateRange');
-  // });
-  //
-  // it('should create date-this-week menu item', () => {
-  //   expect(backgroundScriptContent).toContain('id: "date-this-week"');
-  //   expect(backgroundScriptContent).toContain('getThisWeekRange');
-  // });
-  //
-  // it('should create date-this-month menu item', () => {
-  //   expect(backgroundScriptContent).toContain('id: "date-this-month"');
-  //   expect(backgroundScriptContent).toContain('getThisMonthRange');
-  // });
-  //
-  // it('should create date-last-7days menu item', () => {
-  //   expect(backgroundScriptContent).toContain('id: "date-last-7days"');
-  //   expect(backgroundScriptContent).toContain('getLastDaysRange(7)');
-  // });
-  //
-  // it('should create date-last-30days menu item', () => {
-  //   expect(backgroundScriptContent).toContain('id: "date-last-30days"');
-  //   expect(backgroundScriptContent).toContain('getLastDaysRange(30)');
-  // });
+  it('should create date-filter-menu menu item', () => {
+    expect(backgroundScriptContent).toContain('id: "date-filter-menu"');
+    expect(backgroundScriptContent).toContain('filterByDateRange');
+    expect(backgroundScriptContent).toContain("{ scope: 'folder', maxResults: 1 }, FilterUtils.criterionToState('date', range)");
+  });
+
+  it('should create a date menu item for every preset', () => {
+    expect(backgroundScriptContent).toContain('id: `date-${preset}`');
+    expect(backgroundScriptContent).toContain('DATE_PRESETS.TODAY');
+    expect(backgroundScriptContent).toContain('DATE_PRESETS.YESTERDAY');
+    expect(backgroundScriptContent).toContain('DATE_PRESETS.THIS_WEEK');
+    expect(backgroundScriptContent).toContain('DATE_PRESETS.LAST_7_DAYS');
+    expect(backgroundScriptContent).toContain('DATE_PRESETS.LAST_30_DAYS');
+    expect(backgroundScriptContent).toContain('DATE_PRESETS.THIS_MONTH');
+    expect(backgroundScriptContent).toContain('DATE_PRESETS.THIS_YEAR');
+  });
+
+  it('should apply date ranges through the experiment', () => {
+    expect(backgroundScriptContent).toContain('browser.MessagesListAdapter.setDateFilter');
+    expect(backgroundScriptContent).toContain('id: "date-clear"');
+  });
+
+  it('should open the date range dialog from the date submenu', () => {
+    expect(backgroundScriptContent).toContain('id: "date-between"');
+    expect(backgroundScriptContent).toContain('dialog/date-range.html');
+    expect(backgroundScriptContent).toContain("case 'date':");
+  });
 
   it('should create tags-this-message menu item', () => {
     expect(backgroundScriptContent).toContain('id: "tags-this-message"');
     expect(backgroundScriptContent).toContain('filterByTags');
   });
 
-  // tags-placeholder is not a menus.create item — it's in the menuIds visibility array only
-
-  // Attachment filtering tests are disabled - Quick Filter API doesn't support attachment filtering
-  // TODO: Re-enable when browser.mailTabs.setQuickFilter supports attachment parameter
-  //
-  // it('should create attachment-filter-menu menu item', () => {
-  //   expect(backgroundScriptContent).toContain('id: "attachment-filter-menu"');
-  //   expect(backgroundScriptContent).toContain('filterByAttachmentStatus');
-  // });
-  //
-  // it('should create attachment-has menu item', () => {
-  //   expect(backgroundScriptContent).toContain('id: "attachment-has"');
-  //   expect(backgroundScriptContent).toContain('await filterByAttachmentStatus(true)');
-  // });
-  //
-  // it('should create attachment-none menu item', () => {
-  //   expect(backgroundScriptContent).toContain('id: "attachment-none"');
-  //   expect(backgroundScriptContent).toContain('await filterByAttachmentStatus(false)');
-  // });
+  it('should filter by the senders, subjects or tags of several messages', () => {
+    expect(backgroundScriptContent).toContain('id: "selection-senders"');
+    expect(backgroundScriptContent).toContain('id: "selection-subjects"');
+    expect(backgroundScriptContent).toContain('id: "selection-tags"');
+    expect(backgroundScriptContent).toContain("FilterUtils.anyOfToState('senderEmail', addresses)");
+    expect(backgroundScriptContent).toContain('browser.messages.continueList(page.id)');
+  });
+
+  it('should show the menu groups chosen in the settings', () => {
+    expect(backgroundScriptContent).toContain('const MENU_GROUP_ITEMS = {');
+    expect(backgroundScriptContent).toContain('shownMenuGroups.has(group)');
+    expect(backgroundScriptContent).toContain('date: Features.FEATURE_FLAGS.DATE_FILTER');
+    expect(backgroundScriptContent).toContain('attachment: Features.FEATURE_FLAGS.ATTACHMENT_FILTER');
+    expect(backgroundScriptContent).toContain('changes.showContextMenus');
+    expect(backgroundScriptContent).toContain("await Settings.getSetting('showContextMenus')");
+    expect(backgroundScriptContent).toContain('await Settings.migrateSettings(browser.runtime.getManifest().version)');
+  });
+
+  it('should create attachment-filter-menu menu item', () => {
+    expect(backgroundScriptContent).toContain('id: "attachment-filter-menu"');
+    expect(backgroundScriptContent).toContain('filterByAttachmentStatus');
+  });
+
+  it('should create attachment-has menu item', () => {
+    expect(backgroundScriptContent).toContain('id: "attachment-has"');
+    expect(backgroundScriptContent).toContain('await filterByAttachmentStatus(tab.id, true)');
+  });
+
+  it('should create attachment-none menu item', () => {
+    expect(backgroundScriptContent).toContain('id: "attachment-none"');
+    expect(backgroundScriptContent).toContain('await filterByAttachmentStatus(tab.id, false)');
+  });
+
+  it('should toggle the attachment button through the experiment', () => {
+    expect(backgroundScriptContent).toContain('browser.MessagesListAdapter.setAttachmentFilter');
+  });
+
+  it('should track the Quick Filter state reported by the experiment', () => {
+    expect(backgroundScriptContent).toContain('browser.MessagesListAdapter.onQuickFilterChanged.addListener');
+    expect(backgroundScriptContent).toContain('browser.MessagesListAdapter.getQuickFilterState(tabId)');
+    expect(backgroundScriptContent).toContain('quickFilterStates.delete(tabId)');
+  });
+
+  it('should add criteria to the current filter on Shift+click', () => {
+    expect(backgroundScriptContent).toContain("info?.modifiers?.includes('Shift')");
+    expect(backgroundScriptContent).toContain('FilterUtils.combineStates(current, addition)');
+    expect(backgroundScriptContent).toContain('if (!await checkCombinable(current, addition))');
+    expect(backgroundScriptContent).toContain("browser.i18n.getMessage('combineAlternativesConflict')");
+    expect(backgroundScriptContent).toContain('browser.MessagesListAdapter.setQuickFilterState(tabId, state)');
+    expect(backgroundScriptContent).toContain('combine: isCombineClick(info)');
+  });
+
+  it('should list saved filters in a submenu', () => {
+    expect(backgroundScriptContent).toContain('id: "saved-filters-menu"');
+    expect(backgroundScriptContent).toContain('id: `saved-filter-${preset.id}`');
+    expect(backgroundScriptContent).toContain('await Settings.getSavedFilters()');
+    expect(backgroundScriptContent).toContain('changes.customFilters');
+  });
+
+  it('should save the current or edited filter under a name', () => {
+    expect(backgroundScriptContent).toContain('id: "saved-filters-save"');
+    expect(backgroundScriptContent).toContain("message.action === 'saveCurrentFilter'");
+    expect(backgroundScriptContent).toContain('await saveFilterPreset(filter.saveName, state)');
+    expect(backgroundScriptContent).toContain('Settings.addSavedFilter(name, filter)');
+  });
+
+  it('should record applied filters in the history', () => {
+    expect(backgroundScriptContent).toContain('Settings.addToFilterHistory({');
+    expect(backgroundScriptContent).toContain("await recordFilterHistory(criterion, 'dialog')");
+    expect(backgroundScriptContent).toContain("'alt-click'");
+    expect(backgroundScriptContent).toContain("Settings.getSetting('filterHistoryEnabled', true)");
+  });
+
+  it('should list recent filters in a submenu', () => {
+    expect(backgroundScriptContent).toContain('id: "recent-filters-menu"');
+    expect(backgroundScriptContent).toContain('id: `recent-filter-${entry.id}`');
+    expect(backgroundScriptContent).toContain('changes.filterHistory');
+    expect(backgroundScriptContent).toContain("message.action === 'applyHistoryFilter'");
+  });
 
   it('should create read-status-menu menu item', () => {
     expect(backgroundScriptContent).toContain('id: "read-status-menu"');
@@ -191,12 +318,33 @@ describe('background.js - Script Structure', () => {
 
   it('should create read-unread menu item', () => {
     expect(backgroundScriptContent).toContain('id: "read-unread"');
-    expect(backgroundScriptContent).toContain('await filterByReadStatus(true)');
+    expect(backgroundScriptContent).toContain('await filterByReadStatus(tab.id, true)');
+  });
+
+  it('should replace the whole filter state, constraints included', () => {
+    // setQuickFilter would keep conversation, header and "any of" constraints
+    expect(backgroundScriptContent).not.toContain('browser.mailTabs.setQuickFilter(');
+    expect(backgroundScriptContent).toContain("const state = FilterUtils.criterionToState('unread', isUnread);");
   });
 
   it('should create read-read menu item', () => {
     expect(backgroundScriptContent).toContain('id: "read-read"');
-    expect(backgroundScriptContent).toContain('await filterByReadStatus(false)');
+    expect(backgroundScriptContent).toContain('await filterByReadStatus(tab.id, false)');
+  });
+
+  it('should create flagged status menu items', () => {
+    expect(backgroundScriptContent).toContain('id: "flagged-status-menu"');
+    expect(backgroundScriptContent).toContain('id: "flagged-flagged"');
+    expect(backgroundScriptContent).toContain('id: "flagged-unflagged"');
+    expect(backgroundScriptContent).toContain('await filterByFlaggedStatus(tab.id, true)');
+    expect(backgroundScriptContent).toContain('await filterByFlaggedStatus(tabId, criterion.value, source)');
+  });
+
+  it('should filter by address book membership', () => {
+    expect(backgroundScriptContent).toContain('id: "contact-known"');
+    expect(backgroundScriptContent).toContain('id: "contact-unknown"');
+    expect(backgroundScriptContent).toContain("FilterUtils.criterionToState('contact', true)");
+    expect(backgroundScriptContent).toContain('ContactUtils.partitionAddresses(addresses, knownAddresses)');
   });
 
   it('should register onShown listener', () => {
@@ -211,6 +359,31 @@ describe('background.js - Script Structure', () => {
     expect(backgroundScriptContent).toContain('browser.MessagesListAdapter.onMessageListClick.addListener');
   });
 
+  it('should turn alt-clicks on any column into a filter', () => {
+    expect(backgroundScriptContent).toContain('FilterUtils.columnToCriterion(columnName, columnText, row)');
+    expect(backgroundScriptContent).toContain('DateUtils.getDayRange(criterion.value)');
+    expect(backgroundScriptContent).toContain('browser.mailTabs.update(tabId, { displayedFolder: criterion.value })');
+  });
+
+  it('should apply the alt-click settings to the experiment', () => {
+    expect(backgroundScriptContent).toContain("browser.MessagesListAdapter.setClickModifier(enabled ? modifier : 'none')");
+    expect(backgroundScriptContent).toContain('changes.altClickModifier');
+  });
+
+  it('should run the keyboard shortcuts on the selected message', () => {
+    expect(backgroundScriptContent).toContain('browser.commands.onCommand.addListener');
+    expect(backgroundScriptContent).toContain('browser.mailTabs.getSelectedMessages(tabId)');
+    expect(backgroundScriptContent).toContain("await applyClickCriterion(criterion, mailTab.id, 'shortcut')");
+  });
+
+  it('should clear the filter and restore previous filters per tab', () => {
+    expect(backgroundScriptContent).toContain('id: "clear-filter"');
+    expect(backgroundScriptContent).toContain('id: "previous-filter"');
+    expect(backgroundScriptContent).toContain('const previousFilterStates = new Map()');
+    expect(backgroundScriptContent).toContain('FilterUtils.isSameState(states[states.length - 1], state)');
+    expect(backgroundScriptContent).toContain('await restorePreviousFilter(mailTab.id)');
+  });
+
   it('should define main function', () => {
     expect(backgroundScriptContent).toContain('async function main()');
     expect(backgroundScriptContent).toContain('main();');
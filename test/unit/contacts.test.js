@@ -0,0 +1,73 @@
+/**
+ * Unit tests for src/utils/contacts.js
+ */
+
+require('../mocks/browser');
+
+const contacts = require('../../src/utils/contacts');
+
+const contact = (properties) => ({ type: 'contact', properties });
+
+describe('contacts.js', () => {
+  describe('getContactAddresses', () => {
+    it('should read the email properties', () => {
+      expect(contacts.getContactAddresses(contact({
+        PrimaryEmail: 'Ann@Example.com',
+        SecondEmail: 'ann@home.example'
+      }))).toEqual(['ann@example.com', 'ann@home.example']);
+    });
+
+    it('should read the EMAIL lines of the vCard', () => {
+      const vCard = [
+        'BEGIN:VCARD',
+        'VERSION:4.0',
+        'EMAIL;PREF=1:bob@example.com',
+        'item1.EMAIL:bob@work.example',
+        'END:VCARD'
+      ].join('\r\n');
+      expect(contacts.getContactAddresses(contact({ vCard }))).toEqual(['bob@example.com', 'bob@work.example']);
+    });
+
+    it('should return no addresses for contacts without email', () => {
+      expect(contacts.getContactAddresses(contact({ DisplayName: 'Carl' }))).toEqual([]);
+      expect(contacts.getContactAddresses(null)).toEqual([]);
+    });
+  });
+
+  describe('collectKnownAddresses', () => {
+    it('should collect contacts and mailing list members of all books', () => {
+      const known = contacts.collectKnownAddresses([
+        { contacts: [contact({ PrimaryEmail: 'ann@example.com' })] },
+        {
+          contacts: [],
+          mailingLists: [{ contacts: [contact({ PrimaryEmail: 'team@example.com' })] }]
+        },
+        {}
+      ]);
+      expect([...known]).toEqual(['ann@example.com', 'team@example.com']);
+    });
+  });
+
+  describe('partitionAddresses', () => {
+    it('should split known and unknown senders, each once', () => {
+      const known = new Set(['ann@example.com']);
+      expect(contacts.partitionAddresses(
+        ['Ann@Example.com', 'bot@ads.example', 'ann@example.com', ' BOT@ads.example', ''],
+        known
+      )).toEqual({ known: ['Ann@Example.com'], unknown: ['bot@ads.example'] });
+    });
+  });
+
+  describe('loadKnownAddresses', () => {
+    it('should read all address books with their contacts', async () => {
+      browser.addressBooks.list.mockResolvedValueOnce([
+        { contacts: [contact({ PrimaryEmail: 'ann@example.com' })] }
+      ]);
+
+      const known = await contacts.loadKnownAddresses();
+
+      expect(browser.addressBooks.list).toHaveBeenCalledWith(true);
+      expect(known.has('ann@example.com')).toBe(true);
+    });
+  });
+});
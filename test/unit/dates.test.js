@@ -0,0 +1,185 @@
+/**
+ * Unit tests for src/utils/dates.js
+ */
+
+const dates = require('../../src/utils/dates');
+const { DATE_PRESETS, MS_PER_DAY } = dates;
+
+// Wednesday, 15 May 2024, 14:30 local time
+const NOW = new Date(2024, 4, 15, 14, 30, 0, 0);
+
+describe('dates.js', () => {
+  describe('startOfDay / endOfDay', () => {
+    it('should return the day boundaries', () => {
+      expect(dates.startOfDay(NOW)).toEqual(new Date(2024, 4, 15, 0, 0, 0, 0));
+      expect(dates.endOfDay(NOW)).toEqual(new Date(2024, 4, 15, 23, 59, 59, 999));
+    });
+  });
+
+  describe('getDayRange', () => {
+    it('should cover the whole day of the given date', () => {
+      const { start, end } = dates.getDayRange(new Date(2023, 11, 31, 8, 30));
+      expect(start).toEqual(new Date(2023, 11, 31, 0, 0, 0, 0));
+      expect(end).toEqual(new Date(2023, 11, 31, 23, 59, 59, 999));
+    });
+  });
+
+  describe('getTodayRange', () => {
+    it('should cover the whole current day', () => {
+      const { start, end } = dates.getTodayRange(NOW);
+      expect(start).toEqual(new Date(2024, 4, 15, 0, 0, 0, 0));
+      expect(end).toEqual(new Date(2024, 4, 15, 23, 59, 59, 999));
+    });
+  });
+
+  describe('getYesterdayRange', () => {
+    it('should cover the whole previous day', () => {
+      const { start, end } = dates.getYesterdayRange(NOW);
+      expect(start).toEqual(new Date(2024, 4, 14, 0, 0, 0, 0));
+      expect(end).toEqual(new Date(2024, 4, 14, 23, 59, 59, 999));
+    });
+
+    it('should cross month boundaries', () => {
+      const { start } = dates.getYesterdayRange(new Date(2024, 2, 1, 9, 0));
+      expect(start).toEqual(new Date(2024, 1, 29, 0, 0, 0, 0));
+    });
+  });
+
+  describe('getThisWeekRange', () => {
+    it('should span Sunday to Saturday', () => {
+      const { start, end } = dates.getThisWeekRange(NOW);
+      expect(start).toEqual(new Date(2024, 4, 12, 0, 0, 0, 0));
+      expect(end).toEqual(new Date(2024, 4, 18, 23, 59, 59, 999));
+    });
+  });
+
+  describe('getThisMonthRange', () => {
+    it('should include the last day of the month', () => {
+      const { start, end } = dates.getThisMonthRange(NOW);
+      expect(start).toEqual(new Date(2024, 4, 1, 0, 0, 0, 0));
+      expect(end).toEqual(new Date(2024, 4, 31, 23, 59, 59, 999));
+    });
+
+    it('should handle leap years', () => {
+      const { end } = dates.getThisMonthRange(new Date(2024, 1, 10));
+      expect(end).toEqual(new Date(2024, 1, 29, 23, 59, 59, 999));
+    });
+  });
+
+  describe('getThisYearRange', () => {
+    it('should span January 1st to December 31st', () => {
+      const { start, end } = dates.getThisYearRange(NOW);
+      expect(start).toEqual(new Date(2024, 0, 1, 0, 0, 0, 0));
+      expect(end).toEqual(new Date(2024, 11, 31, 23, 59, 59, 999));
+    });
+  });
+
+  describe('getLastDaysRange', () => {
+    it('should end now and start N days earlier', () => {
+      const { start, end } = dates.getLastDaysRange(7, NOW);
+      expect(end.getTime()).toBe(NOW.getTime());
+      expect(end.getTime() - start.getTime()).toBe(7 * MS_PER_DAY);
+    });
+  });
+
+  describe('getLastMonthRange', () => {
+    it('should cover the previous calendar month', () => {
+      const { start, end } = dates.getLastMonthRange(NOW);
+      expect(start).toEqual(new Date(2024, 3, 1, 0, 0, 0, 0));
+      expect(end).toEqual(new Date(2024, 3, 30, 23, 59, 59, 999));
+    });
+
+    it('should wrap to December in January', () => {
+      const { start } = dates.getLastMonthRange(new Date(2024, 0, 10));
+      expect(start).toEqual(new Date(2023, 11, 1, 0, 0, 0, 0));
+    });
+  });
+
+  describe('getThisQuarterRange / getLastQuarterRange', () => {
+    it('should cover the current calendar quarter', () => {
+      const { start, end } = dates.getThisQuarterRange(NOW);
+      expect(start).toEqual(new Date(2024, 3, 1, 0, 0, 0, 0));
+      expect(end).toEqual(new Date(2024, 5, 30, 23, 59, 59, 999));
+    });
+
+    it('should cover the previous calendar quarter', () => {
+      const { start, end } = dates.getLastQuarterRange(NOW);
+      expect(start).toEqual(new Date(2024, 0, 1, 0, 0, 0, 0));
+      expect(end).toEqual(new Date(2024, 2, 31, 23, 59, 59, 999));
+    });
+
+    it('should wrap to the previous year in the first quarter', () => {
+      const { start, end } = dates.getLastQuarterRange(new Date(2024, 1, 10));
+      expect(start).toEqual(new Date(2023, 9, 1, 0, 0, 0, 0));
+      expect(end).toEqual(new Date(2023, 11, 31, 23, 59, 59, 999));
+    });
+  });
+
+  describe('getLastYearRange', () => {
+    it('should cover the previous calendar year', () => {
+      const { start, end } = dates.getLastYearRange(NOW);
+      expect(start).toEqual(new Date(2023, 0, 1, 0, 0, 0, 0));
+      expect(end).toEqual(new Date(2023, 11, 31, 23, 59, 59, 999));
+    });
+  });
+
+  describe('getPresetRange', () => {
+    it('should resolve every preset', () => {
+      Object.values(DATE_PRESETS).forEach(preset => {
+        const range = dates.getPresetRange(preset, NOW);
+        expect(range).not.toBeNull();
+        expect(range.start.getTime()).toBeLessThanOrEqual(range.end.getTime());
+      });
+    });
+
+    it('should return null for unknown presets', () => {
+      expect(dates.getPresetRange('next-century', NOW)).toBeNull();
+    });
+  });
+
+  describe('formatDay / parseDay', () => {
+    it('should round-trip calendar days', () => {
+      expect(dates.formatDay(NOW)).toBe('2024-05-15');
+      expect(dates.parseDay('2024-05-15')).toEqual(new Date(2024, 4, 15));
+    });
+
+    it('should reject malformed or overflowing days', () => {
+      expect(dates.parseDay('15/05/2024')).toBeNull();
+      expect(dates.parseDay('2024-02-30')).toBeNull();
+      expect(dates.parseDay('')).toBeNull();
+    });
+  });
+
+  describe('formatDayInterval / parseDayInterval', () => {
+    it('should format ranges as ISO 8601 day intervals', () => {
+      expect(dates.formatDayInterval(dates.getLastQuarterRange(NOW))).toBe('2024-01-01/2024-03-31');
+    });
+
+    it('should parse intervals into whole days', () => {
+      const range = dates.parseDayInterval('2024-01-01/2024-03-31');
+      expect(range.start).toEqual(new Date(2024, 0, 1, 0, 0, 0, 0));
+      expect(range.end).toEqual(new Date(2024, 2, 31, 23, 59, 59, 999));
+    });
+
+    it('should accept single-day intervals', () => {
+      const range = dates.parseDayInterval('2024-05-15/2024-05-15');
+      expect(range).toEqual(dates.getTodayRange(NOW));
+    });
+
+    it('should reject reversed or malformed intervals', () => {
+      expect(dates.parseDayInterval('2024-03-31/2024-01-01')).toBeNull();
+      expect(dates.parseDayInterval('2024-01-01')).toBeNull();
+      expect(dates.parseDayInterval(null)).toBeNull();
+    });
+  });
+
+  describe('toTimestampRange', () => {
+    it('should convert dates to milliseconds', () => {
+      const range = dates.getTodayRange(NOW);
+      expect(dates.toTimestampRange(range)).toEqual({
+        start: range.start.getTime(),
+        end: range.end.getTime()
+      });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for src/utils/domains.js
+ */
+
+const domains = require('../../src/utils/domains');
+
+describe('domains.js', () => {
+  describe('getDomain', () => {
+    it('should return the lower-case domain of the address', () => {
+      expect(domains.getDomain('Bob@Mail.Client.CO.UK')).toBe('mail.client.co.uk');
+      expect(domains.getDomain('bob@client.com.')).toBe('client.com');
+    });
+
+    it('should keep IDN domains in their form', () => {
+      expect(domains.getDomain('j@bücher.example')).toBe('bücher.example');
+      expect(domains.getDomain('j@xn--bcher-kva.example')).toBe('xn--bcher-kva.example');
+    });
+
+    it('should return null without a domain', () => {
+      expect(domains.getDomain('Nobody')).toBeNull();
+      expect(domains.getDomain('bob@')).toBeNull();
+      expect(domains.getDomain(undefined)).toBeNull();
+    });
+  });
+
+  describe('toAsciiDomain', () => {
+    it('should convert Unicode labels to punycode', () => {
+      expect(domains.toAsciiDomain('Bücher.Example')).toBe('xn--bcher-kva.example');
+      expect(domains.toAsciiDomain('client.com')).toBe('client.com');
+    });
+  });
+
+  describe('getParentDomain', () => {
+    it('should use the top-level domain by default', () => {
+      expect(domains.getParentDomain('mail.client.com')).toBe('client.com');
+      expect(domains.getParentDomain('client.com')).toBe('client.com');
+    });
+
+    it('should use multi-label public suffixes', () => {
+      expect(domains.getParentDomain('mail.client.co.uk')).toBe('client.co.uk');
+      expect(domains.getParentDomain('a.b.example.com.au')).toBe('example.com.au');
+      expect(domains.getParentDomain('mail.client.com.vn')).toBe('client.com.vn');
+      expect(domains.getParentDomain('mail.client.gov.ae')).toBe('client.gov.ae');
+    });
+
+    it('should apply wildcard and exception rules', () => {
+      expect(domains.getParentDomain('shop.example.ck')).toBe('shop.example.ck');
+      expect(domains.getParentDomain('mail.www.ck')).toBe('www.ck');
+      expect(domains.getParentDomain('mail.city.kawasaki.jp')).toBe('city.kawasaki.jp');
+    });
+
+    it('should match IDN suffixes in Unicode or punycode form', () => {
+      expect(domains.getParentDomain('mail.例子.公司.cn')).toBe('例子.公司.cn');
+      expect(domains.getParentDomain('mail.xn--fsqu00a.xn--55qx5d.cn')).toBe('xn--fsqu00a.xn--55qx5d.cn');
+      expect(domains.getParentDomain('post.bücher.example')).toBe('bücher.example');
+    });
+
+    it('should return null for public suffixes and invalid domains', () => {
+      expect(domains.getParentDomain('co.uk')).toBeNull();
+      expect(domains.getParentDomain('com')).toBeNull();
+      expect(domains.getParentDomain('[192.168.0.1]')).toBeNull();
+      expect(domains.getParentDomain('a..com')).toBeNull();
+      expect(domains.getParentDomain(null)).toBeNull();
+    });
+  });
+
+  describe('getDomainSearchTexts', () => {
+    it('should anchor the domain at the "@" or a dot', () => {
+      expect(domains.getDomainSearchTexts('client.co.uk')).toEqual(['@client.co.uk', '.client.co.uk']);
+      expect(domains.getDomainSearchTexts(' @client.co.uk')).toEqual(['@client.co.uk', '.client.co.uk']);
+    });
+  });
+});
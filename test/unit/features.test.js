@@ -53,6 +53,71 @@ describe('features.js', () => {
       expect(available[FEATURE_FLAGS.CONTEXT_MENUS]).toBe(true);
     });
 
+    it('should detect date filtering from the experiment', async () => {
+      global.browser.MessagesListAdapter = { setDateFilter: jest.fn(), searchMessages: jest.fn() };
+      let available = await features.detectAvailableFeatures();
+      expect(available[FEATURE_FLAGS.DATE_FILTER]).toBe(true);
+
+      global.browser.MessagesListAdapter = { setDateFilter: jest.fn() };
+      available = await features.detectAvailableFeatures();
+      expect(available[FEATURE_FLAGS.DATE_FILTER]).toBe(false);
+    });
+
+    it('should detect attachment filtering from the experiment', async () => {
+      global.browser.MessagesListAdapter = { setAttachmentFilter: jest.fn() };
+      const available = await features.detectAvailableFeatures();
+      expect(available[FEATURE_FLAGS.ATTACHMENT_FILTER]).toBe(true);
+    });
+
+    it('should enable date and attachment filtering when the experiment has them', async () => {
+      global.browser.MessagesListAdapter = {
+        setDateFilter: jest.fn(), searchMessages: jest.fn(), setAttachmentFilter: jest.fn()
+      };
+      await features.init();
+      expect(features.isFeatureEnabled(FEATURE_FLAGS.DATE_FILTER)).toBe(true);
+      expect(features.isFeatureEnabled(FEATURE_FLAGS.ATTACHMENT_FILTER)).toBe(true);
+
+      global.browser.MessagesListAdapter = {};
+      await features.init();
+      expect(features.isFeatureEnabled(FEATURE_FLAGS.DATE_FILTER)).toBe(false);
+      expect(features.isFeatureEnabled(FEATURE_FLAGS.ATTACHMENT_FILTER)).toBe(false);
+    });
+
+    it('should detect combined filters from the experiment', async () => {
+      global.browser.MessagesListAdapter = {
+        getQuickFilterState: jest.fn(),
+        setQuickFilterState: jest.fn()
+      };
+      const available = await features.detectAvailableFeatures();
+      expect(available[FEATURE_FLAGS.CUSTOM_FILTERS]).toBe(true);
+    });
+
+    it('should not detect combined filters without state access', async () => {
+      global.browser.MessagesListAdapter = { setQuickFilterState: jest.fn() };
+      const available = await features.detectAvailableFeatures();
+      expect(available[FEATURE_FLAGS.CUSTOM_FILTERS]).toBe(false);
+    });
+
+    it('should detect filter scopes from the experiment', async () => {
+      global.browser.MessagesListAdapter = { searchMessages: jest.fn(), openSearchResults: jest.fn() };
+      let available = await features.detectAvailableFeatures();
+      expect(available[FEATURE_FLAGS.FOLDER_FILTER]).toBe(true);
+
+      global.browser.MessagesListAdapter = { openSearchResults: jest.fn() };
+      available = await features.detectAvailableFeatures();
+      expect(available[FEATURE_FLAGS.FOLDER_FILTER]).toBe(false);
+    });
+
+    it('should detect keyboard shortcuts from the commands API', async () => {
+      global.browser.commands = { onCommand: { addListener: jest.fn() } };
+      let available = await features.detectAvailableFeatures();
+      expect(available[FEATURE_FLAGS.KEYBOARD_SHORTCUTS]).toBe(true);
+
+      global.browser.commands = undefined;
+      available = await features.detectAvailableFeatures();
+      expect(available[FEATURE_FLAGS.KEYBOARD_SHORTCUTS]).toBe(false);
+    });
+
     it('should mark features unavailable when APIs are missing', async () => {
       global.browser.MessagesListAdapter = undefined;
       const available = await features.detectAvailableFeatures();
@@ -0,0 +1,341 @@
+/**
+ * Unit tests for src/utils/filters.js
+ */
+
+const filters = require('../../src/utils/filters');
+
+describe('filters.js', () => {
+  describe('toQuickFilterProperties', () => {
+    it('should search the sender for sender filters', () => {
+      expect(filters.toQuickFilterProperties('sender', 'Alice')).toEqual({
+        text: { text: 'Alice', author: true }
+      });
+      expect(filters.toQuickFilterProperties('senderEmail', 'a@example.com')).toEqual({
+        text: { text: 'a@example.com', author: true }
+      });
+      expect(filters.toQuickFilterProperties('senderParentDomain', 'client.co.uk')).toEqual({
+        text: { text: 'client.co.uk', author: true }
+      });
+    });
+
+    it('should search the matching field for other text filters', () => {
+      expect(filters.toQuickFilterProperties('recipients', 'Bob').text.recipients).toBe(true);
+      expect(filters.toQuickFilterProperties('subject', 'Report').text.subject).toBe(true);
+      expect(filters.toQuickFilterProperties('body', 'invoice').text.body).toBe(true);
+    });
+
+    it('should throw for unknown filter types', () => {
+      expect(() => filters.toQuickFilterProperties('folder', 'Inbox')).toThrow('Unknown filter type');
+    });
+  });
+
+  describe('criterionToState', () => {
+    it('should put text criteria in the Quick Filter text', () => {
+      const state = filters.criterionToState('subject', 'Project X');
+      expect(state.text).toEqual({ text: 'Project X', subject: true });
+      expect(state.unread).toBeNull();
+    });
+
+    it('should put Cc only criteria in the conditions', () => {
+      const state = filters.criterionToState('recipientCc', 'ann@example.com');
+      expect(state.text).toBeNull();
+      expect(state.conditions).toEqual([{ text: 'ann@example.com', cc: true }]);
+    });
+
+    it('should exclude the sender and recipients for Bcc criteria', () => {
+      const state = filters.criterionToState('bccTo', ['me@example.com']);
+      expect(state.conditions).toEqual([
+        { text: 'me@example.com', author: true, recipients: true, exclude: true }
+      ]);
+    });
+
+    it('should put header criteria in the conditions', () => {
+      const state = filters.criterionToState('header', { name: 'List-Id', text: 'dev.lists.example.org' });
+      expect(state.text).toBeNull();
+      expect(state.conditions).toEqual([{ text: 'dev.lists.example.org', header: 'List-Id' }]);
+    });
+
+    it('should convert tag lists to "any" tag filters', () => {
+      const state = filters.criterionToState('tags', ['$label1', 'work']);
+      expect(state.tags).toEqual({ mode: 'any', tags: { $label1: true, work: true } });
+    });
+
+    it('should convert tri-state and date criteria', () => {
+      expect(filters.criterionToState('unread', true).unread).toBe(true);
+      expect(filters.criterionToState('attachment', false).attachment).toBe(false);
+      expect(filters.criterionToState('contact', true).contact).toBe(true);
+      expect(filters.criterionToState('date', { start: 1, end: 2 }).date).toEqual({ start: 1, end: 2 });
+    });
+
+    it('should search the default Quick Filter fields for "text" criteria', () => {
+      expect(filters.criterionToState('text', 'Build 42').text).toEqual({
+        text: 'Build 42', author: true, recipients: true, subject: true
+      });
+    });
+
+    it('should throw for unknown criteria', () => {
+      expect(() => filters.criterionToState('size', 10)).toThrow('Unknown filter type');
+    });
+  });
+
+  describe('anyOfToState', () => {
+    it('should match any of several values', () => {
+      const state = filters.anyOfToState('senderEmail', ['a@example.com', 'b@example.com']);
+      expect(state.text).toBeNull();
+      expect(state.anyOf).toEqual([
+        { text: 'a@example.com', author: true },
+        { text: 'b@example.com', author: true }
+      ]);
+    });
+
+    it('should deduplicate values ignoring case and spaces', () => {
+      const state = filters.anyOfToState('senderEmail', ['Bot@Example.com', ' bot@example.com', 'ci@example.com', '']);
+      expect(state.anyOf.map(text => text.text)).toEqual(['Bot@Example.com', 'ci@example.com']);
+    });
+
+    it('should use the plain text filter for a single value', () => {
+      expect(filters.anyOfToState('subject', ['Build', 'build '])).toEqual(filters.criterionToState('subject', 'Build'));
+    });
+
+    it('should throw without values or for non-text types', () => {
+      expect(() => filters.anyOfToState('subject', ['', ' '])).toThrow('No value');
+      expect(() => filters.anyOfToState('tags', ['work'])).toThrow('Unknown filter type');
+    });
+  });
+
+  describe('combineStates', () => {
+    it('should keep condition-only criteria out of the Quick Filter text', () => {
+      const combined = filters.combineStates(
+        filters.createEmptyState(),
+        filters.criterionToState('recipientCc', 'ann@example.com')
+      );
+      expect(combined.text).toBeNull();
+      expect(combined.conditions).toEqual([{ text: 'ann@example.com', cc: true }]);
+    });
+
+    it('should use the first text criterion as Quick Filter text', () => {
+      const combined = filters.combineStates(
+        filters.createEmptyState(),
+        filters.criterionToState('sender', 'client@example.com')
+      );
+      expect(combined.text).toEqual({ text: 'client@example.com', author: true });
+      expect(combined.conditions).toEqual([]);
+    });
+
+    it('should stack further text criteria as conditions', () => {
+      let state = filters.criterionToState('sender', 'client@example.com');
+      state = filters.combineStates(state, filters.criterionToState('subject', 'Project X'));
+      state = filters.combineStates(state, filters.criterionToState('unread', true));
+
+      expect(state.text).toEqual({ text: 'client@example.com', author: true });
+      expect(state.conditions).toEqual([{ text: 'Project X', subject: true }]);
+      expect(state.unread).toBe(true);
+    });
+
+    it('should not add the same text criterion twice', () => {
+      const state = filters.criterionToState('subject', 'Project X');
+      const combined = filters.combineStates(state, filters.criterionToState('subject', 'Project X'));
+      expect(combined.conditions).toEqual([]);
+    });
+
+    it('should keep the alternatives of either state', () => {
+      const current = filters.anyOfToState('subject', ['a', 'b']);
+      const kept = filters.combineStates(current, filters.criterionToState('unread', true));
+      expect(kept.anyOf).toEqual(current.anyOf);
+
+      const added = filters.combineStates(filters.criterionToState('unread', true), current);
+      expect(added.anyOf).toEqual(current.anyOf);
+    });
+
+    it('should refuse to stack two sets of alternatives', () => {
+      const current = filters.anyOfToState('subject', ['a', 'b']);
+      const addition = filters.anyOfToState('sender', ['x', 'y']);
+      expect(filters.canCombineStates(current, addition)).toBe(false);
+      expect(() => filters.combineStates(current, addition)).toThrow('Only one set of alternatives');
+      expect(current.anyOf).toEqual([{ text: 'a', subject: true }, { text: 'b', subject: true }]);
+    });
+
+    it('should combine states with the same alternatives', () => {
+      const current = filters.anyOfToState('subject', ['a', 'b']);
+      const addition = filters.anyOfToState('subject', ['b', 'a']);
+      expect(filters.canCombineStates(current, addition)).toBe(true);
+      expect(filters.combineStates(current, addition).anyOf).toEqual(current.anyOf);
+      expect(filters.canCombineStates(null, addition)).toBe(true);
+    });
+
+    it('should merge tags and keep the current mode', () => {
+      const current = { ...filters.createEmptyState(), tags: { mode: 'all', tags: { work: true } } };
+      const combined = filters.combineStates(current, filters.criterionToState('tags', ['urgent']));
+      expect(combined.tags).toEqual({ mode: 'all', tags: { work: true, urgent: true } });
+    });
+
+    it('should intersect date ranges', () => {
+      const current = filters.criterionToState('date', { start: 0, end: 100 });
+      const combined = filters.combineStates(current, filters.criterionToState('date', { start: 50, end: 200 }));
+      expect(combined.date).toEqual({ start: 50, end: 100 });
+    });
+
+    it('should match no dates when ranges do not overlap', () => {
+      const current = filters.criterionToState('date', { start: 0, end: 10 });
+      const combined = filters.combineStates(current, filters.criterionToState('date', { start: 50, end: 60 }));
+      expect(combined.date).toEqual({ start: 50, end: 10 });
+      expect(filters.hasCriteria(combined)).toBe(true);
+      expect(filters.describeState(combined)).toBe('Date: no common dates');
+    });
+
+    it('should intersect conversations', () => {
+      const current = filters.criterionToState('conversation', ['a@x', 'b@x']);
+      expect(filters.combineStates(current, filters.criterionToState('conversation', ['b@x', 'c@x'])).messageIds).toEqual(['b@x']);
+      expect(filters.combineStates(current, filters.criterionToState('unread', true)).messageIds).toEqual(['a@x', 'b@x']);
+    });
+
+    it('should match no messages when conversations have none in common', () => {
+      const current = filters.criterionToState('conversation', ['a@x', 'b@x']);
+      const combined = filters.combineStates(current, filters.criterionToState('conversation', ['d@x']));
+      expect(combined.messageIds).toEqual([]);
+      expect(filters.hasCriteria(combined)).toBe(true);
+      expect(filters.describeState(combined)).toBe('Conversation: no common messages');
+    });
+
+    it('should keep criteria the addition does not set', () => {
+      const current = { ...filters.createEmptyState(), flagged: true, show: true };
+      const combined = filters.combineStates(current, filters.criterionToState('attachment', true));
+      expect(combined.flagged).toBe(true);
+      expect(combined.attachment).toBe(true);
+      expect(combined.show).toBe(true);
+    });
+
+    it('should accept a missing current state', () => {
+      const combined = filters.combineStates(null, filters.criterionToState('unread', false));
+      expect(combined.unread).toBe(false);
+    });
+
+    it('should not modify its inputs', () => {
+      const current = filters.criterionToState('sender', 'a@example.com');
+      const addition = filters.criterionToState('subject', 'Hello');
+      filters.combineStates(current, addition);
+      expect(current.conditions).toEqual([]);
+      expect(addition.text).toEqual({ text: 'Hello', subject: true });
+    });
+  });
+
+  describe('columnToCriterion', () => {
+    const row = {
+      message: {
+        read: false,
+        flagged: true,
+        tags: ['$label1'],
+        date: new Date(2024, 4, 15, 9, 30),
+        folder: { accountId: 'account1', path: '/INBOX' }
+      },
+      hasAttachment: true
+    };
+
+    it('should use the cell text for sender, recipient and subject columns', () => {
+      expect(filters.columnToCriterion('subjectcol-column', 'Report', row)).toEqual({ type: 'subject', value: 'Report' });
+      expect(filters.columnToCriterion('correspondentcol-column', 'Bob', row)).toEqual({ type: 'sender', value: 'Bob' });
+      expect(filters.columnToCriterion('recipientcol-column', 'Ann', row)).toEqual({ type: 'recipients', value: 'Ann' });
+      expect(filters.columnToCriterion('sendercol-column', '', row)).toBeNull();
+    });
+
+    it('should use the message for icon, tag and date columns', () => {
+      expect(filters.columnToCriterion('tagscol-column', 'Important', row)).toEqual({ type: 'tags', value: ['$label1'] });
+      expect(filters.columnToCriterion('unreadbuttoncolheader-column', '', row)).toEqual({ type: 'unread', value: true });
+      expect(filters.columnToCriterion('flaggedcol-column', '', row)).toEqual({ type: 'flagged', value: true });
+      expect(filters.columnToCriterion('attachmentcol-column', '', row)).toEqual({ type: 'attachment', value: true });
+      expect(filters.columnToCriterion('datecol-column', '15/05/2024', row)).toEqual({ type: 'day', value: row.message.date });
+    });
+
+    it('should show the folder for account and location columns', () => {
+      expect(filters.columnToCriterion('locationcol-column', 'Inbox', row)).toEqual({ type: 'folder', value: row.message.folder });
+      expect(filters.columnToCriterion('accountcol-column', 'Work', row).type).toBe('folder');
+    });
+
+    it('should return null without the data a column needs', () => {
+      expect(filters.columnToCriterion('tagscol-column', '', { message: { tags: [] } })).toBeNull();
+      expect(filters.columnToCriterion('flaggedcol-column', '')).toBeNull();
+      expect(filters.columnToCriterion('attachmentcol-column', '', { message: row.message })).toBeNull();
+    });
+
+    it('should search custom columns as text and ignore unfilterable ones', () => {
+      expect(filters.columnToCriterion('ticketcol-column', ' JIRA-12 ', row)).toEqual({ type: 'text', value: 'JIRA-12' });
+      expect(filters.columnToCriterion('sizecol-column', '12 KB', row)).toBeNull();
+      expect(filters.columnToCriterion('ticketcol-column', '', row)).toBeNull();
+    });
+  });
+
+  describe('describeState', () => {
+    it('should describe Cc and excluded criteria', () => {
+      let state = filters.criterionToState('recipientCc', 'ann@example.com');
+      state = filters.combineStates(state, filters.criterionToState('bccTo', ['me@example.com']));
+      expect(filters.describeState(state)).toBe('Cc: ann@example.com · Sender/Recipients without: me@example.com');
+    });
+
+    it('should describe header criteria by header name', () => {
+      let state = filters.criterionToState('subject', 'Release');
+      state = filters.combineStates(state, filters.criterionToState('header', { name: 'List-Id', text: 'dev.lists.example.org' }));
+      state = filters.combineStates(state, filters.criterionToState('header', { name: 'list-id', text: 'dev.lists.example.org' }));
+      expect(filters.describeState(state)).toBe('Subject: Release · List-Id: dev.lists.example.org');
+    });
+
+    it('should describe conversations by their size', () => {
+      const state = filters.criterionToState('conversation', ['a@x', 'b@x']);
+      expect(filters.describeState(state)).toBe('Conversation: 2 messages');
+    });
+
+    it('should list text criteria with their fields', () => {
+      let state = filters.criterionToState('sender', 'client@example.com');
+      state = filters.combineStates(state, filters.criterionToState('subject', 'Project X'));
+      expect(filters.describeState(state)).toBe('Sender: client@example.com · Subject: Project X');
+    });
+
+    it('should describe tri-state criteria and tags', () => {
+      const state = {
+        ...filters.criterionToState('tags', ['work']),
+        unread: true,
+        attachment: false
+      };
+      expect(filters.describeState(state)).toBe('Tags: work · Unread · No attachment');
+    });
+
+    it('should join alternatives with "or"', () => {
+      const state = filters.anyOfToState('senderEmail', ['a@example.com', 'b@example.com']);
+      expect(filters.describeState(state)).toBe('Sender: a@example.com or Sender: b@example.com');
+    });
+
+    it('should return an empty string without criteria', () => {
+      expect(filters.describeState(filters.createEmptyState())).toBe('');
+    });
+  });
+
+  describe('hasCriteria', () => {
+    it('should be false for empty or missing states', () => {
+      expect(filters.hasCriteria(null)).toBe(false);
+      expect(filters.hasCriteria(filters.createEmptyState())).toBe(false);
+    });
+
+    it('should be true when any criterion is set', () => {
+      expect(filters.hasCriteria(filters.criterionToState('unread', false))).toBe(true);
+      expect(filters.hasCriteria(filters.criterionToState('subject', 'x'))).toBe(true);
+      expect(filters.hasCriteria(filters.anyOfToState('subject', ['x', 'y']))).toBe(true);
+      expect(filters.hasCriteria(filters.criterionToState('conversation', ['a@x']))).toBe(true);
+    });
+  });
+
+  describe('isSameState', () => {
+    it('should ignore the Quick Filter bar visibility and key order', () => {
+      const state = filters.criterionToState('subject', 'status');
+      const read = { ...state, show: true, text: { subject: true, text: 'status' } };
+      expect(filters.isSameState(state, read)).toBe(true);
+      expect(filters.isSameState(null, { ...filters.createEmptyState(), show: false })).toBe(true);
+    });
+
+    it('should tell different criteria apart', () => {
+      expect(filters.isSameState(
+        filters.criterionToState('subject', 'status'),
+        filters.criterionToState('subject', 'report')
+      )).toBe(false);
+      expect(filters.isSameState(filters.createEmptyState(), filters.criterionToState('unread', true))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for src/utils/headers.js
+ */
+
+const headers = require('../../src/utils/headers');
+
+describe('headers.js', () => {
+  describe('getHeader', () => {
+    it('should return the first value of a header in any case', () => {
+      const messageHeaders = { 'list-id': ['<dev.lists.example.org> '], received: ['a', 'b'] };
+      expect(headers.getHeader(messageHeaders, 'List-Id')).toBe('<dev.lists.example.org>');
+      expect(headers.getHeader(messageHeaders, 'Received')).toBe('a');
+    });
+
+    it('should return null for missing or empty headers', () => {
+      expect(headers.getHeader({ 'list-id': [' '] }, 'List-Id')).toBeNull();
+      expect(headers.getHeader({}, 'List-Id')).toBeNull();
+      expect(headers.getHeader(undefined, 'List-Id')).toBeNull();
+    });
+  });
+
+  describe('formatHeaderName', () => {
+    it('should capitalize each part of the name', () => {
+      expect(headers.formatHeaderName('x-github-reason')).toBe('X-Github-Reason');
+      expect(headers.formatHeaderName('REPLY-TO')).toBe('Reply-To');
+    });
+  });
+
+  describe('listHeaders', () => {
+    it('should list each value, sorted by name, on one line', () => {
+      expect(headers.listHeaders({
+        'x-priority': ['3'],
+        'x-mailer': ['Build\r\n bot'],
+        'reply-to': ['a@example.com', 'b@example.com']
+      })).toEqual([
+        { name: 'Reply-To', value: 'a@example.com' },
+        { name: 'Reply-To', value: 'b@example.com' },
+        { name: 'X-Mailer', value: 'Build bot' },
+        { name: 'X-Priority', value: '3' }
+      ]);
+    });
+
+    it('should leave out hidden and empty headers', () => {
+      expect(headers.listHeaders({ received: ['from a by b'], 'dkim-signature': ['v=1'], 'x-empty': [''] })).toEqual([]);
+      expect(headers.listHeaders(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parseListId', () => {
+    it('should parse the ID and description', () => {
+      expect(headers.parseListId('"Developers" <dev.lists.example.org>')).toEqual({
+        id: 'dev.lists.example.org', name: 'Developers'
+      });
+      expect(headers.parseListId('Team list <team.example.com>')).toEqual({ id: 'team.example.com', name: 'Team list' });
+      expect(headers.parseListId('<team.example.com>')).toEqual({ id: 'team.example.com', name: '' });
+    });
+
+    it('should accept IDs without angle brackets', () => {
+      expect(headers.parseListId('team.example.com')).toEqual({ id: 'team.example.com', name: '' });
+    });
+
+    it('should return null without an ID', () => {
+      expect(headers.parseListId('Team list')).toBeNull();
+      expect(headers.parseListId(null)).toBeNull();
+    });
+  });
+
+  describe('parseListPost', () => {
+    it('should return the mailto address', () => {
+      expect(headers.parseListPost('<mailto:dev@lists.example.org>')).toBe('dev@lists.example.org');
+      expect(headers.parseListPost('<https://lists.example.org/post>, <mailto:dev@lists.example.org?subject=post>')).toBe('dev@lists.example.org');
+    });
+
+    it('should return null when posting is not allowed', () => {
+      expect(headers.parseListPost('NO')).toBeNull();
+      expect(headers.parseListPost(undefined)).toBeNull();
+    });
+  });
+
+  describe('getMailingList', () => {
+    it('should prefer List-Id', () => {
+      expect(headers.getMailingList({
+        'list-id': ['Developers <dev.lists.example.org>'],
+        'list-post': ['<mailto:dev@lists.example.org>']
+      })).toEqual({ header: 'List-Id', text: 'dev.lists.example.org', name: 'Developers' });
+    });
+
+    it('should fall back to List-Post', () => {
+      expect(headers.getMailingList({ 'list-post': ['<mailto:dev@lists.example.org>'] })).toEqual({
+        header: 'List-Post', text: 'dev@lists.example.org', name: 'dev@lists.example.org'
+      });
+    });
+
+    it('should return null for messages not sent through a list', () => {
+      expect(headers.getMailingList({ 'list-post': ['NO'] })).toBeNull();
+      expect(headers.getMailingList({ subject: ['Hello'] })).toBeNull();
+    });
+  });
+});
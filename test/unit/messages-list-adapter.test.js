@@ -0,0 +1,291 @@
+/**
+ * Unit tests for api/MessagesListAdapter/implementation.js
+ * The experiment runs in a sandbox with minimal Thunderbird globals and a
+ * fake about:3pane window.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const implementation = fs.readFileSync(
+  path.join(__dirname, '../../api/MessagesListAdapter/implementation.js'), 'utf-8'
+);
+
+/**
+ * Loads the experiment and returns its API.
+ *
+ * @param {Object} about3PaneWindow - Window of tab 1
+ * @param {Object} [globals] - Further Thunderbird globals (e.g. Cc)
+ * @returns {Object} MessagesListAdapter API
+ */
+function loadAPI(about3PaneWindow, globals = {}) {
+  const sandbox = {
+    console: { log: jest.fn(), warn: jest.fn(), error: jest.fn() },
+    WeakRef,
+    ExtensionCommon: {
+      ExtensionAPI: class {
+        constructor(extension) {
+          this.extension = extension;
+        }
+      },
+      EventEmitter: class {
+        emit() {}
+        on() {}
+        off() {}
+      },
+      EventManager: class {
+        api() {
+          return {};
+        }
+      }
+    },
+    ExtensionUtils: { ExtensionError: class extends Error {} },
+    Ci: {
+      nsMsgSearchAttrib: {
+        Subject: 1, Sender: 2, Body: 3, Date: 4, ToOrCC: 5, CC: 6, MsgStatus: 7, OtherHeader: 52, HdrProperty: 60
+      },
+      nsMsgSearchOp: { Contains: 0, DoesntContain: 1, Is: 2, IsBefore: 3, IsAfter: 4, Isnt: 5 },
+      nsMsgMessageFlags: { Read: 0x1, Marked: 0x4, Attachment: 0x10000000 },
+      nsMsgFolderFlags: { Virtual: 0x20 },
+      nsMsgSearchScope: { offlineMail: 0 }
+    },
+    ...globals
+  };
+  vm.runInNewContext(implementation, sandbox);
+
+  const context = {
+    extension: {
+      tabManager: {
+        get: () => ({
+          nativeTab: { mode: { name: 'mail3PaneTab' }, chromeBrowser: { contentWindow: about3PaneWindow } }
+        })
+      },
+      messageManager: { convert: msgHdr => ({ id: msgHdr.id }) }
+    }
+  };
+  return new sandbox.MessagesListAdapter({}).getAPI(context).MessagesListAdapter;
+}
+
+/**
+ * View search like Thunderbird's SearchSpec: assigning userTerms runs a search.
+ */
+class SearchSpec {
+  constructor() {
+    this.session = { createTerm: () => ({ value: {} }) };
+    this._userTerms = null;
+    this.searches = [];
+  }
+
+  get userTerms() {
+    return this._userTerms;
+  }
+
+  set userTerms(terms) {
+    this._userTerms = terms;
+    this.searches.push(terms);
+  }
+}
+
+/**
+ * Creates an about:3pane window whose Quick Filter bar replaces the user
+ * terms of the view on every update, like Thunderbird's QuickFilterBar.
+ */
+function createWindow() {
+  const search = new SearchSpec();
+  const filterValues = {};
+  const quickFilterBar = {
+    filterer: {
+      visible: true,
+      filterValues,
+      setFilterValue: (name, value) => {
+        filterValues[name] = value;
+      }
+    },
+    _showFilterBar: jest.fn(),
+    updateSearch: () => {
+      search.userTerms = filterValues.text ? [{ bar: filterValues.text.text }] : [];
+    }
+  };
+  return { gViewWrapper: { search }, quickFilterBar, search };
+}
+
+/**
+ * Search session like nsIMsgSearchSession, reporting the given messages as
+ * hits of its search.
+ *
+ * @param {Array<Object>} hits - Messages found
+ * @returns {Object} Search session, with the appended terms and scopes
+ */
+function createSearchSession(hits) {
+  const session = {
+    terms: [],
+    folders: [],
+    listeners: [],
+    interrupted: false,
+    createTerm: () => ({ value: {} }),
+    appendTerm: term => session.terms.push(term),
+    addScopeTerm: (scope, folder) => session.folders.push(folder),
+    registerListener: listener => session.listeners.push(listener),
+    unregisterListener: listener => {
+      session.listeners = session.listeners.filter(registered => registered !== listener);
+    },
+    interruptSearch: () => {
+      session.interrupted = true;
+    },
+    search: () => {
+      const [listener] = session.listeners;
+      listener.onNewSearch();
+      for (const msgHdr of hits) {
+        if (session.interrupted) {
+          return;
+        }
+        listener.onSearchHit(msgHdr, msgHdr.folder);
+      }
+      listener.onSearchDone(0);
+    }
+  };
+  return session;
+}
+
+/**
+ * Globals creating the given search session.
+ *
+ * @param {Object} session - Search session (createSearchSession)
+ * @returns {Object} Cc and ChromeUtils globals
+ */
+function searchGlobals(session) {
+  return {
+    Cc: { '@mozilla.org/messenger/searchSession;1': { createInstance: () => session } },
+    ChromeUtils: { generateQI: () => () => {} }
+  };
+}
+
+/**
+ * Creates a folder of the account of the displayed folder.
+ *
+ * @param {string} name - Folder name
+ * @param {boolean} [virtual=false] - Whether it is a search folder
+ * @returns {Object} Folder
+ */
+function createFolder(name, virtual = false) {
+  return { name, getFlag: () => virtual };
+}
+
+describe('MessagesListAdapter experiment', () => {
+  const range = { start: 1000, end: 2000 };
+
+  it('should search the Quick Filter text and a date constraint in one update', async () => {
+    const window = createWindow();
+    const api = loadAPI(window);
+
+    await api.setQuickFilterState(1, {
+      text: { text: 'invoice', subject: true },
+      date: range
+    });
+
+    expect(window.search.searches).toHaveLength(1);
+    const [terms] = window.search.searches;
+    expect(terms[0]).toEqual({ bar: 'invoice' });
+    expect(terms.slice(1).map(term => term.value.date)).toEqual([999000, 2001000]);
+
+    const state = await api.getQuickFilterState(1);
+    expect(state.text.text).toBe('invoice');
+    expect(state.date).toEqual(range);
+  });
+
+  it('should keep constraints when the Quick Filter bar changes', async () => {
+    const window = createWindow();
+    const api = loadAPI(window);
+
+    await api.setDateFilter(1, range);
+    window.quickFilterBar.filterer.setFilterValue('text', { text: 'report' });
+    window.quickFilterBar.updateSearch();
+
+    const terms = window.search.searches[window.search.searches.length - 1];
+    expect(terms).toHaveLength(3);
+    expect(terms[0]).toEqual({ bar: 'report' });
+    expect(window.search.userTerms).toEqual([{ bar: 'report' }]);
+  });
+
+  it('should match no messages when combined criteria do not overlap', async () => {
+    const window = createWindow();
+    const api = loadAPI(window);
+
+    await api.setQuickFilterState(1, { date: { start: 5000, end: 2000 }, messageIds: [] });
+
+    const [terms] = window.search.searches;
+    expect(terms.map(term => term.value.date)).toEqual([0, 0, 0, 0]);
+    const state = await api.getQuickFilterState(1);
+    expect(state.date).toEqual({ start: 5000, end: 2000 });
+    expect(state.messageIds).toEqual([]);
+  });
+
+  it('should drop a conversation when an unread filter replaces it', async () => {
+    const window = createWindow();
+    const api = loadAPI(window);
+
+    await api.setQuickFilterState(1, { messageIds: ['a@example.com'], show: true });
+    expect(window.search.searches[0].length).toBeGreaterThan(0);
+
+    await api.setQuickFilterState(1, { unread: true, show: true });
+
+    expect(window.search.searches[window.search.searches.length - 1]).toBeNull();
+    const state = await api.getQuickFilterState(1);
+    expect(state.unread).toBe(true);
+    expect(state.messageIds).toBeNull();
+  });
+
+  it('should drop constraints when the user clears the Quick Filter bar', async () => {
+    const window = createWindow();
+    const api = loadAPI(window);
+
+    await api.setQuickFilterState(1, { text: { text: 'invoice', subject: true }, date: range });
+    window.quickFilterBar.filterer.setFilterValue('text', null);
+    window.quickFilterBar.updateSearch();
+
+    expect(window.search.searches[window.search.searches.length - 1]).toBeNull();
+    expect((await api.getQuickFilterState(1)).date).toBeNull();
+  });
+
+  it('should give the search back to the bar when constraints are cleared', async () => {
+    const window = createWindow();
+    const api = loadAPI(window);
+
+    await api.setDateFilter(1, range);
+    await api.setDateFilter(1, null);
+
+    expect(window.search.searches[window.search.searches.length - 1]).toBeNull();
+    expect((await api.getQuickFilterState(1)).date).toBeNull();
+  });
+
+  it('should search the folders of the account with the criteria of the state', async () => {
+    const folders = [createFolder('Inbox'), createFolder('Archives'), createFolder('Unread', true)];
+    const session = createSearchSession([{ id: 11 }, { id: 12 }]);
+    const window = createWindow();
+    window.gViewWrapper.displayedFolder = { rootFolder: { descendants: folders } };
+    const api = loadAPI(window, searchGlobals(session));
+
+    const results = await api.searchMessages(1, { scope: 'account', maxResults: 10 }, {
+      text: { text: 'ann@client.com', author: true },
+      unread: true
+    });
+
+    expect(results).toEqual({ messageIds: [11, 12], truncated: false });
+    expect(session.folders).toEqual(folders.slice(0, 2));
+    expect(session.terms.map(term => term.value.str || term.value.status)).toEqual(['ann@client.com', 0x1]);
+    expect(session.listeners).toHaveLength(0);
+  });
+
+  it('should stop the search at the maximum number of results', async () => {
+    const session = createSearchSession([{ id: 11 }, { id: 12 }, { id: 13 }]);
+    const window = createWindow();
+    window.gViewWrapper.displayedFolder = { rootFolder: { descendants: [createFolder('Inbox')] } };
+    const api = loadAPI(window, searchGlobals(session));
+
+    const results = await api.searchMessages(1, { scope: 'account', maxResults: 2 }, { flagged: true });
+
+    expect(results).toEqual({ messageIds: [11, 12], truncated: true });
+    expect(session.interrupted).toBe(true);
+  });
+});
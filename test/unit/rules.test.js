@@ -0,0 +1,86 @@
+/**
+ * Unit tests for src/utils/rules.js
+ */
+
+const rules = require('../../src/utils/rules');
+
+describe('rules.js', () => {
+  const rule = {
+    name: 'From: ann@client.com',
+    conditions: [{ text: 'ann@client.com', author: true }],
+    actions: [{ type: 'markRead' }]
+  };
+
+  describe('createCondition', () => {
+    it('should create sender and subject conditions', () => {
+      expect(rules.createCondition('author', ' ann@client.com ')).toEqual({ text: 'ann@client.com', author: true });
+      expect(rules.createCondition('subject', 'Weekly status')).toEqual({ text: 'Weekly status', subject: true });
+    });
+
+    it('should create header conditions for other fields', () => {
+      expect(rules.createCondition('List-Id', 'dev.lists.example.org')).toEqual({
+        text: 'dev.lists.example.org', header: 'List-Id'
+      });
+    });
+
+    it('should return null for empty texts', () => {
+      expect(rules.createCondition('author', '  ')).toBeNull();
+      expect(rules.createCondition('subject', undefined)).toBeNull();
+    });
+  });
+
+  describe('suggestRuleName', () => {
+    it('should list the conditions', () => {
+      expect(rules.suggestRuleName([
+        { text: 'dev.lists.example.org', header: 'List-Id' },
+        { text: 'Release', subject: true }
+      ])).toBe('List-Id: dev.lists.example.org, Subject: Release');
+    });
+
+    it('should shorten long names', () => {
+      const name = rules.suggestRuleName([{ text: 'x'.repeat(100), subject: true }]);
+      expect(name).toHaveLength(rules.MAX_RULE_NAME_LENGTH);
+      expect(name.endsWith('…')).toBe(true);
+    });
+
+    it('should return an empty name without conditions', () => {
+      expect(rules.suggestRuleName([])).toBe('');
+    });
+  });
+
+  describe('isEmailAddress', () => {
+    it('should accept single addresses only', () => {
+      expect(rules.isEmailAddress('team@example.com')).toBe(true);
+      expect(rules.isEmailAddress('Team <team@example.com>')).toBe(false);
+      expect(rules.isEmailAddress('a@example.com, b@example.com')).toBe(false);
+      expect(rules.isEmailAddress('team')).toBe(false);
+    });
+  });
+
+  describe('getRuleProblems', () => {
+    it('should accept a complete rule', () => {
+      expect(rules.getRuleProblems(rule)).toEqual([]);
+      expect(rules.getRuleProblems({
+        ...rule,
+        actions: [
+          { type: 'move', folder: { accountId: 'account1', path: '/Archives' } },
+          { type: 'tag', tag: '$label1' },
+          { type: 'forward', address: 'team@example.com' }
+        ]
+      })).toEqual([]);
+    });
+
+    it('should require a name, conditions and actions', () => {
+      expect(rules.getRuleProblems({ name: ' ', conditions: [], actions: [] })).toEqual(['name', 'conditions', 'actions']);
+      expect(rules.getRuleProblems({ ...rule, actions: [{ type: 'delete' }] })).toEqual(['actions']);
+      expect(rules.getRuleProblems(null)).toEqual(['name', 'conditions', 'actions']);
+    });
+
+    it('should require the target of each action', () => {
+      expect(rules.getRuleProblems({
+        ...rule,
+        actions: [{ type: 'move' }, { type: 'tag' }, { type: 'forward', address: 'team' }]
+      })).toEqual(['folder', 'tag', 'address']);
+    });
+  });
+});
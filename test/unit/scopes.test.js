@@ -0,0 +1,13 @@
+/**
+ * Unit tests for src/utils/scopes.js
+ */
+
+const scopes = require('../../src/utils/scopes');
+
+describe('scopes.js', () => {
+  describe('SCOPES', () => {
+    it('should list the displayed folder, its account and all accounts', () => {
+      expect(scopes.SCOPES).toEqual(['folder', 'account', 'all']);
+    });
+  });
+});
@@ -5,12 +5,16 @@
 require('../mocks/browser');
 
 const {
-  DEFAULT_SETTINGS,
+  DEFAULT_SETTINGS, CONTEXT_MENU_GROUPS,
   validateSetting, validateSettings,
   getSetting, getAllSettings, setSetting, setMultipleSettings,
   resetSetting, resetAllSettings,
   addToFilterHistory, getFilterHistory, clearFilterHistory,
+  setFilterHistoryPinned, removeFromFilterHistory,
+  isValidSavedFilter, getSavedFilters, addSavedFilter,
+  renameSavedFilter, moveSavedFilter, deleteSavedFilter,
   onStorageChanged, removeAllStorageListeners,
+  CONTEXT_MENU_GROUPS_ADDED, migrateSettings,
   init, clearCache, resetModuleState
 } = require('../../src/utils/settings');
 
@@ -22,6 +26,8 @@ describe('settings.js', () => {
     browser.storage.sync.set.mockResolvedValue(undefined);
     browser.storage.sync.remove.mockResolvedValue(undefined);
     browser.storage.sync.clear.mockResolvedValue(undefined);
+    browser.storage.local.get.mockResolvedValue({});
+    browser.storage.local.set.mockResolvedValue(undefined);
   });
 
   describe('DEFAULT_SETTINGS', () => {
@@ -31,6 +37,11 @@ describe('settings.js', () => {
       expect(DEFAULT_SETTINGS.maxFilterHistory).toBe(50);
       expect(typeof DEFAULT_SETTINGS.debugMode).toBe('boolean');
     });
+
+    it('should show every context menu group by default', () => {
+      expect(DEFAULT_SETTINGS.showContextMenus).toEqual(CONTEXT_MENU_GROUPS);
+      expect(DEFAULT_SETTINGS.showContextMenus).not.toBe(CONTEXT_MENU_GROUPS);
+    });
   });
 
   describe('validateSetting', () => {
@@ -40,18 +51,44 @@ describe('settings.js', () => {
       expect(validateSetting('altClickEnabled', 'invalid')).toBe(false);
     });
 
+    it('should validate the click modifier', () => {
+      expect(DEFAULT_SETTINGS.altClickModifier).toBe('alt');
+      expect(validateSetting('altClickModifier', 'ctrl-alt')).toBe(true);
+      expect(validateSetting('altClickModifier', 'middle')).toBe(true);
+      expect(validateSetting('altClickModifier', 'meta')).toBe(false);
+    });
+
     it('should validate string settings', () => {
       expect(validateSetting('defaultFilterType', 'sender')).toBe(true);
       expect(validateSetting('defaultFilterType', 'subject')).toBe(true);
       expect(validateSetting('defaultFilterType', 'invalid')).toBe(false);
     });
 
+    it('should validate subject rules', () => {
+      expect(validateSetting('subjectRules', DEFAULT_SETTINGS.subjectRules)).toBe(true);
+      expect(validateSetting('subjectRules', {
+        replyPrefixes: ['Antwort'], stripListTags: false, ticketPatterns: ['Ticket (\\d+)']
+      })).toBe(true);
+      expect(validateSetting('subjectRules', {
+        replyPrefixes: [], stripListTags: true, ticketPatterns: ['([unclosed']
+      })).toBe(false);
+      expect(validateSetting('subjectRules', { replyPrefixes: [' '], stripListTags: true, ticketPatterns: [] })).toBe(false);
+      expect(validateSetting('subjectRules', null)).toBe(false);
+    });
+
     it('should validate numeric settings', () => {
       expect(validateSetting('maxFilterHistory', 50)).toBe(true);
       expect(validateSetting('maxFilterHistory', -1)).toBe(false);
       expect(validateSetting('maxFilterHistory', 'invalid')).toBe(false);
     });
 
+    it('should validate context menu groups', () => {
+      expect(validateSetting('showContextMenus', ['sender', 'date', 'readStatus'])).toBe(true);
+      expect(validateSetting('showContextMenus', [])).toBe(true);
+      expect(validateSetting('showContextMenus', ['sender', 'folder'])).toBe(false);
+      expect(validateSetting('showContextMenus', 'sender')).toBe(false);
+    });
+
     it('should allow unknown settings', () => {
       expect(validateSetting('unknownSetting', 'anything')).toBe(true);
     });
@@ -122,17 +159,168 @@ describe('settings.js', () => {
     });
   });
 
+  describe('migrateSettings', () => {
+    const v14Groups = ['sender', 'senderEmail', 'recipient', 'recipients', 'subject'];
+
+    it('should show the groups added since the stored version', async () => {
+      browser.storage.sync.get.mockResolvedValue({ showContextMenus: v14Groups, lastVersion: '14.0.0' });
+      expect(await migrateSettings('15.0.0')).toBe(true);
+      expect(browser.storage.sync.set).toHaveBeenCalledWith({
+        lastVersion: '15.0.0',
+        showContextMenus: CONTEXT_MENU_GROUPS
+      });
+      expect(await getSetting('showContextMenus')).toEqual(CONTEXT_MENU_GROUPS);
+    });
+
+    it('should keep the groups the user turned off', async () => {
+      browser.storage.sync.get.mockResolvedValue({ showContextMenus: ['subject', 'sender'] });
+      await migrateSettings('15.0.0');
+      const shown = browser.storage.sync.set.mock.calls[0][0].showContextMenus;
+      expect(shown).toEqual(CONTEXT_MENU_GROUPS.filter(group =>
+        ['sender', 'subject'].includes(group) || CONTEXT_MENU_GROUPS_ADDED['15.0.0'].includes(group)));
+      expect(shown).not.toContain('senderEmail');
+      expect(shown).not.toContain('recipient');
+    });
+
+    it('should not show groups again once the version is stored', async () => {
+      browser.storage.sync.get.mockResolvedValue({ showContextMenus: ['sender'], lastVersion: '15.0.0' });
+      expect(await migrateSettings('15.0.0')).toBe(false);
+      expect(browser.storage.sync.set).not.toHaveBeenCalled();
+    });
+
+    it('should only store the version without stored groups', async () => {
+      browser.storage.sync.get.mockResolvedValue({});
+      await migrateSettings('15.0.0');
+      expect(browser.storage.sync.set).toHaveBeenCalledWith({ lastVersion: '15.0.0' });
+    });
+
+    it('should move saved filters out of synced storage', async () => {
+      const presets = [{ id: 'a', name: 'Unread', filter: { unread: true }, createdAt: 1 }];
+      browser.storage.sync.get.mockResolvedValue({ customFilters: presets, lastVersion: '15.0.0' });
+      expect(await migrateSettings('15.0.0')).toBe(true);
+      expect(browser.storage.local.set).toHaveBeenCalledWith({ customFilters: presets });
+      expect(browser.storage.sync.remove).toHaveBeenCalledWith(['customFilters']);
+    });
+
+    it('should keep saved filters already stored locally', async () => {
+      browser.storage.sync.get.mockResolvedValue({ customFilters: [], lastVersion: '15.0.0' });
+      browser.storage.local.get.mockResolvedValue({ customFilters: [] });
+      await migrateSettings('15.0.0');
+      expect(browser.storage.local.set).not.toHaveBeenCalled();
+      expect(browser.storage.sync.remove).toHaveBeenCalledWith(['customFilters']);
+    });
+
+    it('should only add the groups of versions after the stored one', async () => {
+      browser.storage.sync.get.mockResolvedValue({ showContextMenus: ['sender'], lastVersion: '15.0.0' });
+      await migrateSettings('15.1.0');
+      expect(browser.storage.sync.set).toHaveBeenCalledWith({
+        lastVersion: '15.1.0',
+        showContextMenus: ['sender']
+      });
+    });
+  });
+
   describe('filter history', () => {
+    const entry = (id, filter, pinned = false) => ({ id, filter, label: id, source: 'menu', timestamp: 1, pinned });
+
     it('should add and retrieve filter history', async () => {
-      browser.storage.sync.get.mockResolvedValue({ filterHistory: [] });
+      browser.storage.local.get.mockResolvedValue({ filterHistory: [] });
       const result = await addToFilterHistory({ type: 'sender', value: 'test@test.com' });
       expect(result).toBe(true);
     });
 
+    it('should keep filter history out of browser.storage.sync', async () => {
+      browser.storage.local.get.mockResolvedValue({ filterHistory: [] });
+      await addToFilterHistory(entry('a', { messageIds: ['a@x', 'b@x'] }));
+
+      expect(browser.storage.local.set).toHaveBeenCalledWith({ filterHistory: [expect.objectContaining({ id: 'a' })] });
+      expect(browser.storage.sync.set).not.toHaveBeenCalled();
+    });
+
     it('should clear filter history', async () => {
       const result = await clearFilterHistory();
       expect(result).toBe(true);
     });
+
+    it('should replace earlier entries for the same filter and keep their pin', async () => {
+      browser.storage.local.get.mockResolvedValue({
+        filterHistory: [entry('old', { unread: true }, true), entry('other', { unread: false })]
+      });
+      await addToFilterHistory(entry('new', { unread: true }));
+
+      const stored = browser.storage.local.set.mock.calls[0][0].filterHistory;
+      expect(stored.map(e => e.id)).toEqual(['new', 'other']);
+      expect(stored[0].pinned).toBe(true);
+    });
+
+    it('should drop the oldest unpinned entries when trimming', async () => {
+      browser.storage.local.get.mockResolvedValue({
+        filterHistory: [entry('b', { flagged: true }), entry('a', { unread: true }, true)]
+      });
+      browser.storage.sync.get.mockResolvedValue({ maxFilterHistory: 2 });
+      await addToFilterHistory(entry('c', { attachment: true }));
+
+      const stored = browser.storage.local.set.mock.calls[0][0].filterHistory;
+      expect(stored.map(e => e.id)).toEqual(['c', 'a']);
+    });
+
+    it('should pin and remove history entries', async () => {
+      browser.storage.local.get.mockResolvedValue({ filterHistory: [entry('a', { unread: true })] });
+      expect(await setFilterHistoryPinned('a', true)).toBe(true);
+      expect((await getFilterHistory())[0].pinned).toBe(true);
+      expect(await removeFromFilterHistory('a')).toBe(true);
+      expect(await getFilterHistory()).toEqual([]);
+      expect(await removeFromFilterHistory('a')).toBe(false);
+    });
+  });
+
+  describe('saved filters', () => {
+    const preset = (id, name) => ({ id, name, filter: { unread: true }, createdAt: 1 });
+
+    it('should validate saved filters', () => {
+      expect(isValidSavedFilter(preset('a', 'Unread'))).toBe(true);
+      expect(isValidSavedFilter(preset('a', '  '))).toBe(false);
+      expect(isValidSavedFilter({ id: 'a', name: 'No filter', createdAt: 1 })).toBe(false);
+      expect(validateSetting('customFilters', [preset('a', 'Unread')])).toBe(true);
+      expect(validateSetting('customFilters', [{ name: 'broken' }])).toBe(false);
+    });
+
+    it('should append a named filter', async () => {
+      browser.storage.local.get.mockResolvedValue({ customFilters: [preset('a', 'First')] });
+      const saved = await addSavedFilter('  Client X unread ', { unread: true });
+
+      expect(saved.name).toBe('Client X unread');
+      expect(saved.id).toMatch(/^filter-/);
+      const stored = browser.storage.local.set.mock.calls[0][0].customFilters;
+      expect(stored.map(p => p.name)).toEqual(['First', 'Client X unread']);
+    });
+
+    it('should refuse filters without a name', async () => {
+      expect(await addSavedFilter('', { unread: true })).toBeNull();
+      expect(browser.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    it('should rename a saved filter', async () => {
+      browser.storage.local.get.mockResolvedValue({ customFilters: [preset('a', 'Old')] });
+      expect(await renameSavedFilter('a', 'New')).toBe(true);
+      expect(await getSavedFilters()).toEqual([{ ...preset('a', 'New') }]);
+    });
+
+    it('should reorder saved filters', async () => {
+      browser.storage.local.get.mockResolvedValue({
+        customFilters: [preset('a', 'A'), preset('b', 'B'), preset('c', 'C')]
+      });
+      expect(await moveSavedFilter('c', -1)).toBe(true);
+      expect((await getSavedFilters()).map(p => p.id)).toEqual(['a', 'c', 'b']);
+      expect(await moveSavedFilter('a', -1)).toBe(false);
+    });
+
+    it('should delete a saved filter', async () => {
+      browser.storage.local.get.mockResolvedValue({ customFilters: [preset('a', 'A'), preset('b', 'B')] });
+      expect(await deleteSavedFilter('a')).toBe(true);
+      expect((await getSavedFilters()).map(p => p.id)).toEqual(['b']);
+      expect(await deleteSavedFilter('missing')).toBe(false);
+    });
   });
 
   describe('storage listeners', () => {
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for src/utils/subjects.js
+ */
+
+const subjects = require('../../src/utils/subjects');
+
+describe('subjects.js', () => {
+  describe('normalizeSubject', () => {
+    it('should strip reply prefixes and list tags in any order', () => {
+      expect(subjects.normalizeSubject('Re: [proj-dev] Build failed (#1234)')).toBe('Build failed (#1234)');
+      expect(subjects.normalizeSubject('[proj-dev] RE: Fwd: re: Build failed')).toBe('Build failed');
+      expect(subjects.normalizeSubject('Fwd: Report (fwd)')).toBe('Report');
+    });
+
+    it('should strip counted and localized prefixes', () => {
+      expect(subjects.normalizeSubject('RE[2]: Re(3): Re^2: Plan')).toBe('Plan');
+      expect(subjects.normalizeSubject('AW: WG: Angebot')).toBe('Angebot');
+      expect(subjects.normalizeSubject('TR : RÉF: Devis')).toBe('Devis');
+      expect(subjects.normalizeSubject('回复：会议')).toBe('会议');
+    });
+
+    it('should keep words that only look like prefixes', () => {
+      expect(subjects.normalizeSubject('Resume attached')).toBe('Resume attached');
+      expect(subjects.normalizeSubject('Release: 2.0')).toBe('Release: 2.0');
+    });
+
+    it('should apply the configured rules', () => {
+      const rules = subjects.compileRules({ replyPrefixes: ['Antwort:'], stripListTags: false, ticketPatterns: [] });
+      expect(subjects.normalizeSubject('Antwort: [team] Re: Plan', rules)).toBe('[team] Re: Plan');
+    });
+
+    it('should return an empty subject for prefixes only', () => {
+      expect(subjects.normalizeSubject('Re:')).toBe('');
+      expect(subjects.normalizeSubject(undefined)).toBe('');
+    });
+  });
+
+  describe('extractTicketId', () => {
+    it('should find built-in ticket IDs', () => {
+      expect(subjects.extractTicketId('Re: Build failed (#1234)')).toBe('#1234');
+      expect(subjects.extractTicketId('[PROJ-42] Crash on start')).toBe('PROJ-42');
+      expect(subjects.extractTicketId('Lunch on Friday')).toBeNull();
+    });
+
+    it('should use the first group of configured patterns', () => {
+      const rules = subjects.compileRules({
+        replyPrefixes: [], stripListTags: true, ticketPatterns: ['Case (\\d{6})', '[invalid']
+      });
+      expect(subjects.extractTicketId('Your Case 004217 was updated', rules)).toBe('004217');
+    });
+  });
+
+  describe('isValidPattern', () => {
+    it('should accept only compiling, non-empty patterns', () => {
+      expect(subjects.isValidPattern('#\\d+')).toBe(true);
+      expect(subjects.isValidPattern('(')).toBe(false);
+      expect(subjects.isValidPattern('')).toBe(false);
+    });
+  });
+});
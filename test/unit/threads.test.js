@@ -0,0 +1,65 @@
+/**
+ * Unit tests for src/utils/threads.js
+ */
+
+const threads = require('../../src/utils/threads');
+
+/**
+ * Creates a lookup over a fixed set of messages, like
+ * MessagesListAdapter.findRelatedMessages.
+ */
+function createLookup(messages) {
+  return jest.fn(async (ids) => messages.filter(message =>
+    ids.includes(message.messageId) || message.references.some(id => ids.includes(id))
+  ));
+}
+
+describe('threads.js', () => {
+  describe('normalizeMessageId', () => {
+    it('should remove angle brackets and whitespace', () => {
+      expect(threads.normalizeMessageId(' <abc@example.com> ')).toBe('abc@example.com');
+      expect(threads.normalizeMessageId('abc@example.com')).toBe('abc@example.com');
+      expect(threads.normalizeMessageId(undefined)).toBe('');
+    });
+  });
+
+  describe('collectThread', () => {
+    const messages = [
+      { messageId: 'root@x', references: [] },
+      { messageId: 'reply1@x', references: ['root@x'] },
+      { messageId: 'reply2@x', references: ['root@x', 'reply1@x'] },
+      { messageId: 'other@x', references: [] },
+      { messageId: 'other-reply@x', references: ['other@x'] }
+    ];
+
+    it('should walk references up and down the thread', async () => {
+      const ids = await threads.collectThread('<reply2@x>', createLookup(messages));
+      expect(ids.sort()).toEqual(['reply1@x', 'reply2@x', 'root@x']);
+    });
+
+    it('should find replies to an original message that is missing', async () => {
+      const replies = messages.slice(1, 3);
+      const ids = await threads.collectThread('reply1@x', createLookup(replies));
+      expect(ids.sort()).toEqual(['reply1@x', 'reply2@x']);
+    });
+
+    it('should only look up new IDs', async () => {
+      const lookup = createLookup(messages);
+      await threads.collectThread('root@x', lookup);
+      const looked = lookup.mock.calls.flatMap(([ids]) => ids);
+      expect(new Set(looked).size).toBe(looked.length);
+    });
+
+    it('should stop at the maximum number of messages', async () => {
+      const ids = await threads.collectThread('root@x', createLookup(messages), 2);
+      expect(ids).toHaveLength(2);
+      expect(ids[0]).toBe('root@x');
+    });
+
+    it('should return an empty list without a Message-ID', async () => {
+      const lookup = createLookup(messages);
+      expect(await threads.collectThread('', lookup)).toEqual([]);
+      expect(lookup).not.toHaveBeenCalled();
+    });
+  });
+});